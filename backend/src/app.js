@@ -6,6 +6,7 @@
  * 2. Connects all our routes
  * 3. Handles errors
  * 4. Starts listening for requests
+ * 5. Starts scheduled tasks (expiring old job posts)
  * 
  * Think of this as the main control center where everything comes together.
  */
@@ -14,43 +15,75 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 require('dotenv').config();
+const { rateLimit } = require('./middleware/rateLimit');
+const { requestLogger } = require('./middleware/requestLogger');
+const logger = require('./utils/logger');
+const { notFoundHandler, errorHandler } = require('./middleware/error');
 
 // Initialize Firebase
 const { initializeFirebase } = require('./config/firebase');
 initializeFirebase();
 
 // Import routes
+const authRouter = require('./routes/auth');
+const verificationRouter = require('./routes/verification');
 const jobsRouter = require('./routes/jobs');
 const profilesRouter = require('./routes/profiles');
+const swipesRouter = require('./routes/swipes');
+const matchesRouter = require('./routes/matches');
+const conversationsRouter = require('./routes/conversations');
+const interviewsRouter = require('./routes/interviews');
+const notificationsRouter = require('./routes/notifications');
+const employerRouter = require('./routes/employer');
+const reportsRouter = require('./routes/reports');
+const adminRouter = require('./routes/admin');
+
+// Import scheduled tasks
+const { startJobExpirySweeper } = require('./tasks/jobExpiry');
 
 // Initialize express app
 const app = express();
 
+// Behind a proxy, take the client's IP from X-Forwarded-For (used by rate limits).
+// TRUST_PROXY is a hop count ("1") or anything Express accepts for 'trust proxy'.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
+app.use(requestLogger); // Request ids and access log
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(express.json()); // Parse JSON bodies
+app.use('/api', rateLimit('api')); // Per-IP backstop; route groups have their own limits
 
 // Routes
+app.use('/api/auth', rateLimit('auth'), authRouter); // Business email verification
+app.use('/api/verification', verificationRouter); // Verification documents and status
 app.use('/api/jobs', jobsRouter); // Job-related routes
 app.use('/api/profile', profilesRouter); // Profile-related routes
+app.use('/api/swipes', swipesRouter); // Swipe and matching routes
+app.use('/api/matches', matchesRouter); // Match listings
+app.use('/api/conversations', conversationsRouter); // Messaging between matches
+app.use('/api/interviews', interviewsRouter); // Interview scheduling
+app.use('/api/notifications', notificationsRouter); // Notification inbox, preferences and push tokens
+app.use('/api/employer', employerRouter); // Employer dashboard stats
+app.use('/api/reports', reportsRouter); // Abuse reports on jobs and accounts
+app.use('/api/admin', adminRouter); // Moderation tools and audit log (admins only)
 
 // Basic route for testing
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', message: 'Server is running' });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.statusCode || 500).json({ 
-    status: 'error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
+// Error handling middleware (see middleware/error.js for the response format)
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
+  logger.info('Server is running', { port: PORT });
+  startJobExpirySweeper();
 });
@@ -0,0 +1,43 @@
+/**
+ * Admin Actions
+ *
+ * Everything an admin does through routes/admin.js is written to the audit
+ * log (see models/auditLog.model.js) as one of these actions, together with
+ * the type and ID of what it was done to.
+ *
+ * "approve" on a flagged job or user means an admin looked at it and found
+ * nothing wrong: the flags are cleared and it stays up.
+ */
+
+const ADMIN_ACTIONS = {
+  APPROVE_VERIFICATION: 'verification.approve',
+  REJECT_VERIFICATION: 'verification.reject',
+  APPROVE_JOB: 'job.approve',
+  SUSPEND_JOB: 'job.suspend',
+  RESTORE_JOB: 'job.restore',
+  APPROVE_USER: 'user.approve',
+  SUSPEND_USER: 'user.suspend',
+  RESTORE_USER: 'user.restore'
+};
+
+// An entry is written before its action runs and closed once it has
+// - pending   -> the action is running, or the server stopped part way
+// - completed -> the action went through
+// - failed    -> the action threw; `error` says why
+const AUDIT_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const AUDIT_TARGET_TYPES = {
+  VERIFICATION_DOCUMENT: 'verificationDocument',
+  JOB: 'job',
+  USER: 'user'
+};
+
+module.exports = {
+  ADMIN_ACTIONS,
+  AUDIT_STATUSES,
+  AUDIT_TARGET_TYPES
+};
@@ -0,0 +1,114 @@
+/**
+ * API Error Codes
+ *
+ * Every error response has a stable `code` that clients can rely on, while
+ * `message` is free text that may change:
+ *
+ *   {
+ *     "status": "fail",
+ *     "code": "VALIDATION_FAILED",
+ *     "message": "Validation failed",
+ *     "errors": [{ "field": "title", "code": "required", "message": "Job title is required" }],
+ *     "requestId": "..."
+ *   }
+ *
+ * APIErrors without a code get the default for their status
+ * (DEFAULT_CODES_BY_STATUS); a 400 listing field errors is VALIDATION_FAILED.
+ * Field errors have their own codes (FIELD_ERROR_CODES), one per validator rule.
+ *
+ * Codes are only ever added. Renaming or removing one breaks released apps.
+ */
+
+const ERROR_CODES = {
+  // Generic, one per status
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNPROCESSABLE: 'UNPROCESSABLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+
+  // Requests
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_PAGE_TOKEN: 'INVALID_PAGE_TOKEN',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  IDEMPOTENCY_KEY_IN_USE: 'IDEMPOTENCY_KEY_IN_USE',
+
+  // Accounts and access
+  AUTH_TOKEN_MISSING: 'AUTH_TOKEN_MISSING',
+  AUTH_TOKEN_INVALID: 'AUTH_TOKEN_INVALID',
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+  ACCOUNT_UNDER_REVIEW: 'ACCOUNT_UNDER_REVIEW',
+  ROLE_NOT_ALLOWED: 'ROLE_NOT_ALLOWED',
+  PROFILE_EXISTS: 'PROFILE_EXISTS',
+
+  // Employer verification
+  VERIFICATION_REQUIRED: 'VERIFICATION_REQUIRED',
+  ALREADY_VERIFIED: 'ALREADY_VERIFIED',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_ALREADY_USED: 'TOKEN_ALREADY_USED',
+
+  // Uploads
+  FILE_REQUIRED: 'FILE_REQUIRED',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  TOO_MANY_FILES: 'TOO_MANY_FILES',
+  UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+
+  // Jobs, matches and messages
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  ALREADY_SWIPED: 'ALREADY_SWIPED',
+  ALREADY_REPORTED: 'ALREADY_REPORTED',
+  MATCH_CLOSED: 'MATCH_CLOSED',
+  MESSAGE_BLOCKED: 'MESSAGE_BLOCKED',
+  INTERVIEW_CONFLICT: 'INTERVIEW_CONFLICT',
+  SLOT_PASSED: 'SLOT_PASSED'
+};
+
+const DEFAULT_CODES_BY_STATUS = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHENTICATED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.UNPROCESSABLE,
+  429: ERROR_CODES.RATE_LIMITED,
+  500: ERROR_CODES.INTERNAL_ERROR,
+  503: ERROR_CODES.SERVICE_UNAVAILABLE
+};
+
+// Codes of field errors: one per validator rule (see utils/validator.js),
+// plus a few set by hand. Field errors without a code get 'invalid'.
+const FIELD_ERROR_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  enum: 'invalid_value',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  pattern: 'invalid_format',
+  min: 'too_small',
+  max: 'too_large',
+  minItems: 'too_few_items',
+  maxItems: 'too_many_items',
+  invalid: 'invalid',
+  invalidContent: 'invalid_content',
+  overlap: 'overlap'
+};
+
+// The code for an error with this status and no code of its own
+const getDefaultCode = (statusCode) => DEFAULT_CODES_BY_STATUS[statusCode]
+  || (statusCode >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST);
+
+module.exports = {
+  ERROR_CODES,
+  DEFAULT_CODES_BY_STATUS,
+  FIELD_ERROR_CODES,
+  getDefaultCode
+};
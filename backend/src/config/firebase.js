@@ -1,6 +1,7 @@
 const admin = require('firebase-admin');
 require('dotenv').config();
 const path = require('path');
+const logger = require('../utils/logger').child({ component: 'Firebase' });
 
 // Initialize Firebase Admin
 const initializeFirebase = () => {
@@ -12,9 +13,9 @@ const initializeFirebase = () => {
       databaseURL: process.env.FIREBASE_DATABASE_URL,
       storageBucket: process.env.FIREBASE_STORAGE_BUCKET
     });
-    console.log(' Firebase Admin initialized successfully');
+    logger.info('Firebase Admin initialized');
   } catch (error) {
-    console.error(' Error initializing Firebase Admin:', error);
+    logger.error('Error initializing Firebase Admin', { error });
     process.exit(1);
   }
 };
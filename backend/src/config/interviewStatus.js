@@ -0,0 +1,47 @@
+/**
+ * Interview Lifecycle
+ *
+ * - proposed             -> the employer offered one or more time slots
+ * - confirmed            -> the candidate accepted a slot
+ * - reschedule_requested -> the candidate asked for other times
+ * - cancelled            -> called off by either side (final)
+ *
+ * The employer can propose new slots at any point before cancellation, which
+ * moves the interview back to proposed.
+ */
+
+const INTERVIEW_STATUSES = {
+  PROPOSED: 'proposed',
+  CONFIRMED: 'confirmed',
+  RESCHEDULE_REQUESTED: 'reschedule_requested',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses each status can move to
+const INTERVIEW_TRANSITIONS = {
+  [INTERVIEW_STATUSES.PROPOSED]: [
+    INTERVIEW_STATUSES.PROPOSED,
+    INTERVIEW_STATUSES.CONFIRMED,
+    INTERVIEW_STATUSES.RESCHEDULE_REQUESTED,
+    INTERVIEW_STATUSES.CANCELLED
+  ],
+  [INTERVIEW_STATUSES.CONFIRMED]: [
+    INTERVIEW_STATUSES.PROPOSED,
+    INTERVIEW_STATUSES.RESCHEDULE_REQUESTED,
+    INTERVIEW_STATUSES.CANCELLED
+  ],
+  [INTERVIEW_STATUSES.RESCHEDULE_REQUESTED]: [
+    INTERVIEW_STATUSES.PROPOSED,
+    INTERVIEW_STATUSES.CANCELLED
+  ],
+  [INTERVIEW_STATUSES.CANCELLED]: []
+};
+
+// Check whether an interview can move from one status to another
+const canTransition = (from, to) => (INTERVIEW_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  INTERVIEW_STATUSES,
+  INTERVIEW_TRANSITIONS,
+  canTransition
+};
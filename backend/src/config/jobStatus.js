@@ -0,0 +1,64 @@
+/**
+ * Job Lifecycle
+ *
+ * Every job post is in one of these statuses:
+ * - draft   -> saved but not published yet
+ * - active  -> published, shows up in search and feeds until expiresAt
+ * - paused  -> hidden by the employer for now, can be resumed
+ * - expired -> reached expiresAt (set by the expiry sweeper), can be renewed
+ * - closed  -> taken down by the employer
+ * - filled  -> the position has been filled
+ * - suspended -> taken down by an admin, hidden everywhere until an admin restores it
+ *
+ * closed and filled are final. Status changes go through JobModel.changeStatus,
+ * which only allows the transitions listed in JOB_TRANSITIONS. Suspending and
+ * restoring skip it (JobModel.suspendJob / restoreJob), so employers can't
+ * move a job out of suspended themselves.
+ */
+
+const JOB_STATUSES = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  EXPIRED: 'expired',
+  CLOSED: 'closed',
+  FILLED: 'filled',
+  SUSPENDED: 'suspended'
+};
+
+// Statuses each status can move to
+const JOB_TRANSITIONS = {
+  [JOB_STATUSES.DRAFT]: [JOB_STATUSES.ACTIVE, JOB_STATUSES.CLOSED],
+  [JOB_STATUSES.ACTIVE]: [JOB_STATUSES.PAUSED, JOB_STATUSES.EXPIRED, JOB_STATUSES.CLOSED, JOB_STATUSES.FILLED],
+  [JOB_STATUSES.PAUSED]: [JOB_STATUSES.ACTIVE, JOB_STATUSES.EXPIRED, JOB_STATUSES.CLOSED, JOB_STATUSES.FILLED],
+  [JOB_STATUSES.EXPIRED]: [JOB_STATUSES.ACTIVE, JOB_STATUSES.CLOSED],
+  [JOB_STATUSES.CLOSED]: [],
+  [JOB_STATUSES.FILLED]: [],
+  [JOB_STATUSES.SUSPENDED]: []
+};
+
+// Statuses whose jobs still count down to expiresAt
+const EXPIRING_STATUSES = [JOB_STATUSES.ACTIVE, JOB_STATUSES.PAUSED];
+
+/** @const {number} How long a job stays active after it is published or renewed */
+const JOB_DURATION_DAYS = 30;
+
+/** @const {number} How many days before expiry employers are reminded */
+const JOB_EXPIRY_REMINDER_DAYS = 3;
+
+// Check whether a job can move from one status to another
+const canTransition = (from, to) => (JOB_TRANSITIONS[from] || []).includes(to);
+
+// When a job published or renewed now should expire
+const getExpiryDate = (from = new Date()) =>
+  new Date(from.getTime() + JOB_DURATION_DAYS * 24 * 60 * 60 * 1000);
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_TRANSITIONS,
+  EXPIRING_STATUSES,
+  JOB_DURATION_DAYS,
+  JOB_EXPIRY_REMINDER_DAYS,
+  canTransition,
+  getExpiryDate
+};
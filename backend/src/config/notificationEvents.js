@@ -0,0 +1,44 @@
+/**
+ * Notification Events
+ *
+ * Things that happen in the app that users can be told about:
+ * - match        -> a job seeker and an employer liked each other
+ * - job_liked    -> a job seeker liked one of the employer's jobs
+ * - message      -> a new message in one of the user's conversations
+ * - interview    -> an interview was proposed, confirmed, moved or cancelled
+ * - job_expiring -> one of the employer's jobs expires soon
+ *
+ * Each event can be delivered to two channels, and users can turn either off
+ * per event in their notification preferences:
+ * - inApp -> an item in the notification inbox (GET /api/notifications)
+ * - push  -> a push notification to every device the user registered
+ */
+
+const NOTIFICATION_EVENTS = {
+  MATCH: 'match',
+  JOB_LIKED: 'job_liked',
+  MESSAGE: 'message',
+  INTERVIEW: 'interview',
+  JOB_EXPIRING: 'job_expiring'
+};
+
+const NOTIFICATION_CHANNELS = ['inApp', 'push'];
+
+// Everything is on until the user turns it off
+const DEFAULT_PREFERENCES = Object.values(NOTIFICATION_EVENTS).reduce((preferences, event) => ({
+  ...preferences,
+  [event]: { inApp: true, push: true }
+}), {});
+
+// Fill in defaults for events and channels a user hasn't set
+const getPreferences = (stored = {}) => Object.keys(DEFAULT_PREFERENCES).reduce((preferences, event) => ({
+  ...preferences,
+  [event]: { ...DEFAULT_PREFERENCES[event], ...(stored[event] || {}) }
+}), {});
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_PREFERENCES,
+  getPreferences
+};
@@ -0,0 +1,28 @@
+/**
+ * Rate Limits
+ *
+ * Budgets for middleware/rateLimit.js. Each route group counts requests in
+ * its own fixed window: `max` requests per `windowMs`, per user when the
+ * request is signed in and per IP address otherwise.
+ *
+ * - api     -> every /api request, per IP; a backstop for everything else
+ * - search  -> public job search and job pages (GET /api/jobs, /feed, /:id),
+ *              so job views can't be inflated by reloading
+ * - auth    -> business email verification (/api/auth), per IP
+ * - uploads -> profile images and verification documents
+ * - swipes  -> job seeker and employer swipes
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const RATE_LIMITS = {
+  api: { windowMs: MINUTE_MS, max: 300 },
+  search: { windowMs: MINUTE_MS, max: 60 },
+  auth: { windowMs: 15 * MINUTE_MS, max: 10 },
+  uploads: { windowMs: 60 * MINUTE_MS, max: 20 },
+  swipes: { windowMs: MINUTE_MS, max: 60 }
+};
+
+module.exports = {
+  RATE_LIMITS
+};
@@ -0,0 +1,46 @@
+/**
+ * Abuse Reports
+ *
+ * Job seekers report jobs (fake or exploitative posts) and anyone can report
+ * another account. Each reporter can have one open report per job or account.
+ *
+ * Every report flags what was reported, which takes a job out of
+ * GET /api/jobs while an admin reviews it. Once REPORT_HIDE_THRESHOLD
+ * different people have open reports on the same thing it is hidden
+ * automatically:
+ * - jobs are suspended (restored with POST /api/admin/jobs/:id/restore)
+ * - accounts are hidden: they can't send messages and employers can't swipe
+ *   on them (cleared when an admin approves or restores the account)
+ *
+ * Report statuses:
+ * - open      -> waiting for an admin
+ * - dismissed -> an admin found nothing wrong
+ * - actioned  -> an admin suspended what was reported
+ */
+
+const REPORT_TARGET_TYPES = {
+  JOB: 'job',
+  USER: 'user'
+};
+
+// Reasons a reporter can pick, per kind of report
+const REPORT_REASONS = {
+  [REPORT_TARGET_TYPES.JOB]: ['fake_job', 'scam', 'exploitative', 'discriminatory', 'inappropriate', 'other'],
+  [REPORT_TARGET_TYPES.USER]: ['fake_profile', 'harassment', 'scam', 'spam', 'inappropriate', 'other']
+};
+
+const REPORT_STATUSES = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+  ACTIONED: 'actioned'
+};
+
+/** @const {number} Open reports from different people that hide a job or account */
+const REPORT_HIDE_THRESHOLD = 3;
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_HIDE_THRESHOLD
+};
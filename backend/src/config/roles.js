@@ -0,0 +1,50 @@
+/**
+ * User Roles
+ *
+ * Every account has one role, stored as a Firebase custom claim (`role`) so
+ * it arrives inside the ID token and routes can check it without a
+ * database read.
+ *
+ * Roles map onto the profile types in the users collection:
+ * - jobSeeker       -> userType 'jobSeeker'
+ * - employer        -> userType 'employer' (direct employer)
+ * - agencyRecruiter -> userType 'employer' with employerType 'agency'
+ * - admin           -> no profile, granted with scripts/setAdminRole.js
+ */
+
+const ROLES = {
+  JOB_SEEKER: 'jobSeeker',
+  EMPLOYER: 'employer',
+  AGENCY_RECRUITER: 'agencyRecruiter',
+  ADMIN: 'admin'
+};
+
+// Roles that act on behalf of a company and own job posts
+const EMPLOYER_ROLES = [ROLES.EMPLOYER, ROLES.AGENCY_RECRUITER];
+
+// Work out a role from a users document (also used for accounts created before roles existed)
+const getRoleForUser = (user) => {
+  if (!user) return null;
+  if (user.role) return user.role;
+
+  // Accounts created in the app were saved with a lowercase 'jobseeker'
+  if (user.userType === 'jobSeeker' || user.userType === 'jobseeker') return ROLES.JOB_SEEKER;
+  if (user.userType === 'employer') {
+    return user.employer?.employerType === 'agency' ? ROLES.AGENCY_RECRUITER : ROLES.EMPLOYER;
+  }
+  return null;
+};
+
+// The profile type (users.userType) a role works with
+const getUserTypeForRole = (role) => {
+  if (role === ROLES.JOB_SEEKER) return 'jobSeeker';
+  if (EMPLOYER_ROLES.includes(role)) return 'employer';
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  EMPLOYER_ROLES,
+  getRoleForUser,
+  getUserTypeForRole
+};
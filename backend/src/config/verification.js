@@ -0,0 +1,95 @@
+/**
+ * Employer Verification
+ *
+ * Employers prove they are a real business before their grace period ends.
+ * Their users document has:
+ *
+ *   verification: { status, method, businessEmail, domain, verifiedAt, gracePeriodEndsAt }
+ *
+ * - status:
+ *   - unverified -> nothing submitted yet
+ *   - pending    -> documents uploaded and waiting for review
+ *   - verified   -> a business email was confirmed or a document was approved
+ *   - rejected   -> every submitted document was rejected; they can upload more
+ * - method: how they were verified ('business_email' or 'documents')
+ * - gracePeriodEndsAt: GRACE_PERIOD_DAYS after sign-up. Employers who are
+ *   still unverified or rejected after it can't post jobs
+ */
+
+const VERIFICATION_STATUSES = {
+  UNVERIFIED: 'unverified',
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected'
+};
+
+const VERIFICATION_METHODS = {
+  BUSINESS_EMAIL: 'business_email',
+  DOCUMENTS: 'documents'
+};
+
+// Review states of an uploaded verification document
+const DOCUMENT_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/** @const {number} Days new employers can use the app before they must be verified */
+const GRACE_PERIOD_DAYS = 15;
+
+/** @const {number} Hours a verification email link stays valid */
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+
+/** @const {number} Seconds an employer has to wait before asking for another email */
+const EMAIL_RESEND_COOLDOWN_SECONDS = 60;
+
+/** @const {string[]} File types accepted as verification documents */
+const ALLOWED_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+/** @const {number} Largest verification document (10 MB), same as the app's limit */
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+/** @const {number} Most documents in one upload */
+const MAX_DOCUMENTS_PER_UPLOAD = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the grace period of an employer who signed up at `from` ends
+const getGracePeriodEnd = (from = new Date()) => new Date(from.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+
+/**
+ * Work out where an employer stands
+ * @param {Object} verification - The user's `verification` field
+ * @param {Date} [now]
+ * @returns {Object} { status, method, gracePeriodEndsAt, daysRemaining, isRestricted }
+ * isRestricted is true once the grace period is over for employers who
+ * aren't verified and have nothing waiting for review.
+ */
+const getVerificationState = (verification = {}, now = new Date()) => {
+  const status = verification.status || VERIFICATION_STATUSES.UNVERIFIED;
+  const gracePeriodEndsAt = verification.gracePeriodEndsAt ? verification.gracePeriodEndsAt.toDate() : null;
+  const settled = [VERIFICATION_STATUSES.VERIFIED, VERIFICATION_STATUSES.PENDING].includes(status);
+
+  return {
+    status,
+    method: verification.method || null,
+    gracePeriodEndsAt,
+    daysRemaining: gracePeriodEndsAt ? Math.max(0, Math.ceil((gracePeriodEndsAt - now) / DAY_MS)) : GRACE_PERIOD_DAYS,
+    isRestricted: !settled && Boolean(gracePeriodEndsAt) && now > gracePeriodEndsAt
+  };
+};
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  VERIFICATION_METHODS,
+  DOCUMENT_STATUSES,
+  GRACE_PERIOD_DAYS,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  EMAIL_RESEND_COOLDOWN_SECONDS,
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  MAX_DOCUMENTS_PER_UPLOAD,
+  getGracePeriodEnd,
+  getVerificationState
+};
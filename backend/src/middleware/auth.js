@@ -1,12 +1,39 @@
 /**
  * Authentication Middleware
- * 
+ *
  * This middleware verifies the Firebase ID token passed in the Authorization header
  * and attaches the decoded user information to the request object.
+ *
+ * The user's role comes from the `role` custom claim (see config/roles.js).
+ * Routes restrict access to roles with requireRole().
+ *
+ * Tokens are checked for revocation too, so accounts an admin suspended
+ * (see UserModel.suspendUser) are locked out straight away.
  */
 
 const { admin } = require('../config/firebase');
 const { APIError } = require('./error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { getRoleForUser, getUserTypeForRole } = require('../config/roles');
+const UserModel = require('../models/user.model');
+const logger = require('../utils/logger').child({ component: 'Auth' });
+
+/**
+ * Look up the role of an account whose token has no role claim yet
+ * (accounts created before roles existed) and save it as a claim for next time
+ * @param {string} uid - Firebase user ID
+ * @returns {Promise<string|null>} The user's role, or null if they have no profile
+ */
+const resolveMissingRole = async (uid) => {
+  const user = await UserModel.findById(uid);
+  const role = getRoleForUser(user);
+
+  if (role) {
+    await UserModel.setRole(uid, role);
+  }
+
+  return role;
+};
 
 /**
  * Middleware to authenticate requests using Firebase ID tokens
@@ -19,24 +46,49 @@ const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      throw new APIError(401, 'No token provided');
+      throw new APIError(401, 'No token provided', null, ERROR_CODES.AUTH_TOKEN_MISSING);
     }
 
     const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
+    const decodedToken = await admin.auth().verifyIdToken(idToken, true);
+    const role = decodedToken.role || await resolveMissingRole(decodedToken.uid);
+
     // Attach the user info to the request
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      // Add any other needed user info from the token
+      role,
+      userType: getUserTypeForRole(role)
     };
-    
+
     next();
   } catch (error) {
-    console.error('Auth Error:', error);
-    next(new APIError(401, 'Authentication failed'));
+    logger.warn('Authentication failed', { code: error.code, reason: error.message });
+    if (error.code === 'auth/user-disabled') {
+      return next(new APIError(403, 'This account has been suspended', null, ERROR_CODES.ACCOUNT_SUSPENDED));
+    }
+    next(new APIError(401, 'Authentication failed', null, ERROR_CODES.AUTH_TOKEN_INVALID));
+  }
+};
+
+/**
+ * Middleware factory that only lets users with one of the given roles through.
+ * Must be used after authenticateUser.
+ * @param {...string} roles - Allowed roles from ROLES
+ * @returns {Function} Express middleware
+ * @throws {APIError} 403 if the user's role isn't allowed
+ *
+ * @example
+ * router.post('/', authenticateUser, requireRole(ROLES.EMPLOYER, ROLES.AGENCY_RECRUITER), handler);
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new APIError(403, 'You do not have permission to perform this action', null, ERROR_CODES.ROLE_NOT_ALLOWED));
   }
+  next();
 };
 
-module.exports = authenticateUser;
+module.exports = {
+  authenticateUser,
+  requireRole
+};
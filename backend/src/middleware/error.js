@@ -1,8 +1,16 @@
+const multer = require('multer');
+const logger = require('../utils/logger');
+const { ERROR_CODES, FIELD_ERROR_CODES, getDefaultCode } = require('../config/errorCodes');
+
 // Custom error class for API errors
+// `errors` optionally lists field-level problems as [{ field, code, message }]
+// `code` is a stable code from config/errorCodes.js (default: from the status)
 class APIError extends Error {
-  constructor(statusCode, message) {
+  constructor(statusCode, message, errors = null, code = null) {
     super(message);
     this.statusCode = statusCode;
+    this.errors = errors && errors.map(error => ({ ...error, code: error.code || FIELD_ERROR_CODES.invalid }));
+    this.code = code || (statusCode === 400 && errors ? ERROR_CODES.VALIDATION_FAILED : getDefaultCode(statusCode));
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -10,37 +18,91 @@ class APIError extends Error {
   }
 }
 
-// Error handling middleware
+// Firestore errors carry gRPC status codes. These ones are caused by the
+// request; the rest are our own bugs or outages.
+const FIRESTORE_ERRORS = {
+  3: [400, 'Invalid request', ERROR_CODES.BAD_REQUEST], // INVALID_ARGUMENT
+  5: [404, 'Not found', ERROR_CODES.NOT_FOUND], // NOT_FOUND, e.g. updating a deleted document
+  6: [409, 'Already exists', ERROR_CODES.CONFLICT], // ALREADY_EXISTS
+  10: [409, 'The request conflicted with another change. Please try again.', ERROR_CODES.CONFLICT], // ABORTED
+  8: [429, 'Too many requests. Please try again later.', ERROR_CODES.RATE_LIMITED], // RESOURCE_EXHAUSTED
+  4: [503, 'The service is busy. Please try again.', ERROR_CODES.SERVICE_UNAVAILABLE], // DEADLINE_EXCEEDED
+  14: [503, 'The service is busy. Please try again.', ERROR_CODES.SERVICE_UNAVAILABLE] // UNAVAILABLE
+};
+
+// Multer errors the upload middleware doesn't turn into APIErrors itself
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'File size too large', ERROR_CODES.FILE_TOO_LARGE],
+  LIMIT_FILE_COUNT: [400, 'Too many files', ERROR_CODES.TOO_MANY_FILES],
+  LIMIT_UNEXPECTED_FILE: [400, 'Unexpected file field', ERROR_CODES.TOO_MANY_FILES],
+  LIMIT_PART_COUNT: [413, 'Too many form parts', ERROR_CODES.PAYLOAD_TOO_LARGE],
+  LIMIT_FIELD_COUNT: [413, 'Too many form fields', ERROR_CODES.PAYLOAD_TOO_LARGE],
+  LIMIT_FIELD_KEY: [400, 'Form field name too long', ERROR_CODES.BAD_REQUEST],
+  LIMIT_FIELD_VALUE: [413, 'Form field value too long', ERROR_CODES.PAYLOAD_TOO_LARGE]
+};
+
+const isFirestoreError = (err) => typeof err.code === 'number' && Object.prototype.hasOwnProperty.call(err, 'details');
+
+// Turn any error into an APIError; unknown errors become a 500
+const toAPIError = (err) => {
+  if (err instanceof APIError) return err;
+
+  if (err instanceof multer.MulterError) {
+    const [statusCode, message, code] = MULTER_ERRORS[err.code] || [400, err.message, ERROR_CODES.BAD_REQUEST];
+    return new APIError(statusCode, message, null, code);
+  }
+
+  // Thrown by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return new APIError(400, 'Request body is not valid JSON', null, ERROR_CODES.INVALID_JSON);
+  }
+  if (err.type === 'entity.too.large') {
+    return new APIError(413, 'Request body is too large', null, ERROR_CODES.PAYLOAD_TOO_LARGE);
+  }
+
+  if (isFirestoreError(err) && FIRESTORE_ERRORS[err.code]) {
+    const [statusCode, message, code] = FIRESTORE_ERRORS[err.code];
+    return new APIError(statusCode, message, null, code);
+  }
+
+  const error = new APIError(500, 'Something went wrong!', null, ERROR_CODES.INTERNAL_ERROR);
+  error.isOperational = false;
+  return error;
+};
+
+// Handler for requests no route matched. Mount after the routes.
+const notFoundHandler = (req, res, next) => {
+  next(new APIError(404, `Cannot ${req.method} ${req.path}`, null, ERROR_CODES.ROUTE_NOT_FOUND));
+};
+
+// Error handling middleware. Mount last; every route passes errors here with next(error).
 const errorHandler = (err, req, res, next) => {
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || 'error';
-
-  if (process.env.NODE_ENV === 'development') {
-    res.status(err.statusCode).json({
-      status: err.status,
-      error: err,
-      message: err.message,
-      stack: err.stack
-    });
-  } else {
-    // Production error response
-    if (err.isOperational) {
-      res.status(err.statusCode).json({
-        status: err.status,
-        message: err.message
-      });
-    } else {
-      // Programming or unknown errors
-      console.error('ERROR 💥', err);
-      res.status(500).json({
-        status: 'error',
-        message: 'Something went wrong!'
-      });
-    }
+  const error = toAPIError(err);
+
+  // 4xx are the client's doing and already in the access log
+  if (error.statusCode >= 500) {
+    logger.error(error.isOperational ? error.message : 'Unhandled error', { error: err });
+  }
+
+  if (res.headersSent) {
+    return next(err);
   }
+
+  // In development, show what really went wrong
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(error.statusCode).json({
+    status: error.status,
+    code: error.code,
+    message: isDevelopment && !error.isOperational ? err.message : error.message,
+    ...(error.errors && { errors: error.errors }),
+    requestId: req.id,
+    ...(isDevelopment && { stack: err.stack })
+  });
 };
 
 module.exports = {
   APIError,
+  notFoundHandler,
   errorHandler
 };
@@ -0,0 +1,99 @@
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients retry writes safely. A client sends an `Idempotency-Key`
+ * header (any unique string, e.g. a UUID, up to 255 characters) and reuses it
+ * when it retries the same request:
+ * - the first request runs as usual
+ * - repeats within IDEMPOTENCY_TTL_HOURS get the first successful response
+ *   back, with an `Idempotent-Replayed: true` header, instead of running again
+ * - a repeat that arrives while the first is still running gets a 409
+ * - the same key with a different body gets a 422
+ *
+ * Failed requests (4xx and 5xx) give the key back, so they can be retried
+ * with it. Keys are per user and endpoint, and the header is optional.
+ *
+ * Must be used after authenticateUser, and after upload middleware so the
+ * uploaded file is part of the request that's compared. Put it after
+ * validateRequest too: the cleaned body is what's compared, and invalid
+ * requests are turned away without touching a key:
+ *
+ *   router.post('/', authenticateUser, validateRequest(...), idempotent, handler)
+ */
+
+const crypto = require('crypto');
+const { APIError } = require('./error');
+const IdempotencyKeyModel = require('../models/idempotencyKey.model');
+const logger = require('../utils/logger').child({ component: 'Idempotency' });
+
+/** @const {number} Hours a key is remembered */
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+/** @const {number} Seconds before a request that never finished gives its key up */
+const PROCESSING_TIMEOUT_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+// Helper function to fingerprint what was sent: the body and any uploaded files
+const hashRequest = (req) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(req.body || {}));
+  const files = req.files || (req.file ? [req.file] : []);
+  files.forEach(file => hash.update(file.buffer));
+  return hash.digest('hex');
+};
+
+/**
+ * Middleware that replays responses for repeated Idempotency-Keys
+ * @throws {APIError} 400 for a bad key, 409 while the first request runs,
+ * 422 when the key was used with a different request
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'Idempotency-Key', message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` }
+      ]);
+    }
+
+    const path = `${req.baseUrl}${req.path}`;
+    const id = crypto.createHash('sha256')
+      .update(`${req.user.uid}:${req.method}:${path}:${key}`)
+      .digest('hex');
+
+    const { replay } = await IdempotencyKeyModel.begin(
+      id,
+      { userId: req.user.uid, method: req.method, path, requestHash: hashRequest(req) },
+      { ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000, processingTimeoutMs: PROCESSING_TIMEOUT_SECONDS * 1000 }
+    );
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(replay.statusCode).json(replay.body);
+    }
+
+    // Save the response before sending it, so a retry right after sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const saved = res.statusCode < 400
+        ? IdempotencyKeyModel.complete(id, res.statusCode, body)
+        : IdempotencyKeyModel.release(id);
+
+      saved
+        .catch(error => logger.error('Error saving idempotent response', { error }))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  idempotent
+};
@@ -0,0 +1,125 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Limits how many requests a caller can make to a route group (budgets are in
+ * config/rateLimits.js). Callers are the signed-in user when the limiter runs
+ * after authenticateUser, and the IP address otherwise.
+ *
+ * Every limited response has the standard headers:
+ * - RateLimit-Limit: requests allowed per window
+ * - RateLimit-Remaining: requests left in the current window
+ * - RateLimit-Reset: seconds until the window resets
+ * Requests over the limit get a 429 with Retry-After (seconds).
+ *
+ * Counts are kept in a store, so they can be shared between servers by
+ * swapping it. A store is an object with:
+ *
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *
+ * which adds one to the key's count in its current window and returns the new
+ * count and when the window ends (ms since epoch). The default store keeps
+ * counts in this process's memory; install another with setRateLimitStore.
+ *
+ * Behind a proxy, set TRUST_PROXY so req.ip is the client's address.
+ */
+
+const { APIError } = require('./error');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const logger = require('../utils/logger').child({ component: 'RateLimit' });
+
+// How often the memory store drops windows that have ended
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @function createMemoryStore
+ * @description Store that keeps counts in memory, for a single server
+ * @returns {Object} Store with increment() and reset()
+ */
+const createMemoryStore = () => {
+  const windows = new Map();
+  let lastSweepAt = Date.now();
+
+  // Drop ended windows now and then, so the map doesn't keep growing
+  const sweep = (now) => {
+    if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = now;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * @function setRateLimitStore
+ * @description Replace the store request counts are kept in
+ * @param {Object} newStore - Object with an increment(key, windowMs) method
+ */
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Create middleware that limits a route group
+ * @param {string} group - Name of a budget in config/rateLimits.js
+ * @returns {Function} Express middleware
+ * @throws {APIError} 429 once the caller is over the limit
+ *
+ * If the store fails, requests are let through rather than blocked.
+ */
+const rateLimit = (group) => {
+  const { windowMs, max } = RATE_LIMITS[group];
+
+  return async (req, res, next) => {
+    const caller = req.user ? `user:${req.user.uid}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await store.increment(`${group}:${caller}`, windowMs);
+    } catch (error) {
+      logger.error('Rate limit store failed', { group, error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - result.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new APIError(429, 'Too many requests. Please try again later.'));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  setRateLimitStore,
+  rateLimit
+};
@@ -0,0 +1,72 @@
+/**
+ * Request Logger Middleware
+ *
+ * Gives every request an id and writes one access log line when it finishes:
+ *
+ *   {"level":"info","msg":"request","requestId":"...","method":"GET","path":"/api/jobs","status":200,"durationMs":42.1,...}
+ *
+ * - The id is the client's `X-Request-Id` header when it sends a valid one
+ *   (so app and server logs can be matched up), otherwise a new UUID. It is
+ *   sent back in the `X-Request-Id` response header
+ * - Everything logged while the request is handled carries the id (see
+ *   utils/logger.js)
+ * - The path is the pattern of the route that handled the request, such as
+ *   /api/jobs/:id, since ids and push tokens in real paths identify users.
+ *   It is null when no route matched
+ *
+ * Mount it before the routes.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Ids clients may send: short and safe to write to logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// The route pattern that handled a request, e.g. /api/swipes/jobs/:jobId
+// Express resets req.baseUrl when an error leaves a router, so the mount path
+// is then worked out from the URL: the route pattern covers its last segments.
+const getRoutePath = (req) => {
+  if (!req.route) return null;
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  let { baseUrl } = req;
+  if (!baseUrl) {
+    const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const routeSegments = routePath.split('/').filter(Boolean).length;
+    baseUrl = segments.length > routeSegments ? `/${segments.slice(0, segments.length - routeSegments).join('/')}` : '';
+  }
+
+  return `${baseUrl}${routePath}` || '/';
+};
+
+/**
+ * Middleware that sets req.id and logs the request when the response is sent
+ */
+const requestLogger = (req, res, next) => {
+  const clientId = req.get('X-Request-Id');
+  const requestId = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request', {
+      requestId,
+      method: req.method,
+      path: getRoutePath(req),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      userId: req.user?.uid,
+      contentLength: Number(res.get('Content-Length')) || 0
+    });
+  });
+
+  logger.runWithRequestContext({ requestId }, next);
+};
+
+module.exports = {
+  requestLogger
+};
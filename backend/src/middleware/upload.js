@@ -5,10 +5,24 @@
  * - Size limits
  * - Format validation
  * - Error handling
+ *
+ * Profile images: one image field, up to 5MB.
+ * Verification documents: up to 5 PDF, JPEG or PNG files, up to 10MB each.
+ * Their contents are checked as well as their MIME type (see utils/fileType.js).
+ *
+ * Known multer errors get messages with our limits here; any others are
+ * mapped by the error handler (see middleware/error.js).
  */
 
 const multer = require('multer');
 const { APIError } = require('./error');
+const { ERROR_CODES, FIELD_ERROR_CODES } = require('../config/errorCodes');
+const { detectFileType } = require('../utils/fileType');
+const {
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  MAX_DOCUMENTS_PER_UPLOAD
+} = require('../config/verification');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -19,14 +33,14 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     // Check file type
     if (!file.mimetype.startsWith('image/')) {
-      return cb(new APIError(400, 'Only image files are allowed'));
+      return cb(new APIError(400, 'Only image files are allowed', null, ERROR_CODES.UNSUPPORTED_FILE_TYPE));
     }
 
     // Allow specific formats
     const allowedFormats = ['jpeg', 'jpg', 'png', 'webp'];
     const format = file.mimetype.split('/')[1];
     if (!allowedFormats.includes(format)) {
-      return cb(new APIError(400, `Invalid image format. Allowed formats: ${allowedFormats.join(', ')}`));
+      return cb(new APIError(400, `Invalid image format. Allowed formats: ${allowedFormats.join(', ')}`, null, ERROR_CODES.UNSUPPORTED_FILE_TYPE));
     }
 
     cb(null, true);
@@ -39,24 +53,70 @@ const uploadProfileImage = upload.single('image');
 // Error handling wrapper
 const handleUpload = (req, res, next) => {
   uploadProfileImage(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return next(new APIError(400, 'File size too large. Maximum size is 5MB'));
-      }
-      return next(new APIError(400, err.message));
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return next(new APIError(413, 'File size too large. Maximum size is 5MB', null, ERROR_CODES.FILE_TOO_LARGE));
     } else if (err) {
       return next(err);
     }
     
     // Check if file exists
     if (!req.file) {
-      return next(new APIError(400, 'No image file provided'));
+      return next(new APIError(400, 'No image file provided', null, ERROR_CODES.FILE_REQUIRED));
     }
     
     next();
   });
 };
 
+// Configure multer for verification documents
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE,
+    files: MAX_DOCUMENTS_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new APIError(400, 'Invalid document type. Allowed types: PDF, JPEG, PNG', null, ERROR_CODES.UNSUPPORTED_FILE_TYPE));
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware for handling verification document uploads
+const uploadDocuments = documentUpload.array('documents', MAX_DOCUMENTS_PER_UPLOAD);
+
+// Error handling wrapper for verification documents
+// Also checks each file's contents match the type it was sent as
+const handleDocumentUpload = (req, res, next) => {
+  uploadDocuments(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return next(new APIError(413, `File size too large. Maximum size is ${MAX_DOCUMENT_SIZE / (1024 * 1024)}MB`, null, ERROR_CODES.FILE_TOO_LARGE));
+    } else if (err instanceof multer.MulterError && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code)) {
+      return next(new APIError(400, `Upload up to ${MAX_DOCUMENTS_PER_UPLOAD} files in the 'documents' field`, null, ERROR_CODES.TOO_MANY_FILES));
+    } else if (err) {
+      return next(err);
+    }
+
+    // Check if files exist
+    if (!req.files || req.files.length === 0) {
+      return next(new APIError(400, 'No documents provided', null, ERROR_CODES.FILE_REQUIRED));
+    }
+
+    const mismatched = req.files.filter(file => detectFileType(file.buffer) !== file.mimetype);
+    if (mismatched.length > 0) {
+      return next(new APIError(400, 'Some files are not valid PDF, JPEG or PNG documents', mismatched.map(file => ({
+        field: 'documents',
+        code: FIELD_ERROR_CODES.invalidContent,
+        message: `${file.originalname} is not a valid ${file.mimetype} file`
+      })), ERROR_CODES.UNSUPPORTED_FILE_TYPE));
+    }
+
+    next();
+  });
+};
+
 module.exports = {
-  handleUpload
+  handleUpload,
+  handleDocumentUpload
 };
@@ -0,0 +1,46 @@
+/**
+ * Validation Middleware
+ *
+ * Validates request bodies, query strings and route params against
+ * declarative schemas (see utils/validator.js). Valid requests continue with
+ * the cleaned, type-coerced values in place of the originals; invalid ones
+ * get a 400 listing every field-level problem.
+ */
+
+const { APIError } = require('./error');
+const { validate } = require('../utils/validator');
+
+const SOURCES = ['params', 'query', 'body'];
+
+/**
+ * Create a middleware that validates parts of the request
+ * @param {Object} schemas - Schemas keyed by request part ('body', 'query', 'params').
+ * A schema can also be a function of the request, for rules that depend on the user.
+ * @returns {Function} Express middleware
+ * @throws {APIError} 400 VALIDATION_FAILED with `errors: [{ field, code, message }]`
+ *
+ * @example
+ * router.post('/', authenticateUser, validateRequest({ body: jobSchemas.create }), handler);
+ */
+const validateRequest = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  SOURCES.forEach(source => {
+    const schema = typeof schemas[source] === 'function' ? schemas[source](req) : schemas[source];
+    if (!schema) return;
+
+    const result = validate(schema, req[source]);
+    errors.push(...result.errors);
+    req[source] = result.value;
+  });
+
+  if (errors.length > 0) {
+    return next(new APIError(400, 'Validation failed', errors));
+  }
+
+  next();
+};
+
+module.exports = {
+  validateRequest
+};
@@ -0,0 +1,34 @@
+/**
+ * Verification Middleware
+ *
+ * Employers have GRACE_PERIOD_DAYS after sign-up to get verified (see
+ * config/verification.js). After that, employers who aren't verified and
+ * have no documents waiting for review can't post jobs until they are.
+ */
+
+const { APIError } = require('./error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const UserModel = require('../models/user.model');
+
+/**
+ * Middleware that stops employers whose verification grace period is over.
+ * Must be used after authenticateUser.
+ * @throws {APIError} 403 if the employer is restricted
+ */
+const requireVerifiedEmployer = async (req, res, next) => {
+  try {
+    const verification = await UserModel.getVerification(req.user.uid);
+
+    if (verification?.isRestricted) {
+      throw new APIError(403, 'Your verification grace period has ended. Verify your company to keep posting jobs.', null, ERROR_CODES.VERIFICATION_REQUIRED);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireVerifiedEmployer
+};
@@ -0,0 +1,63 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const { AUDIT_STATUSES } = require('../config/adminActions');
+
+// A record of every admin action (see config/adminActions.js).
+// Entries are written before the action runs, so none can happen without one,
+// and are closed with the outcome once it has. They are never deleted.
+// - details: anything else worth keeping, e.g. the jobs suspended with an account
+class AuditLogModel extends BaseModel {
+  constructor() {
+    super('auditLogs');
+  }
+
+  // Record an admin action that is about to run
+  async start({ adminId, action, targetType, targetId, reason = null, details = {} }) {
+    const entry = {
+      adminId,
+      action,
+      targetType,
+      targetId,
+      reason,
+      details,
+      status: AUDIT_STATUSES.PENDING,
+      error: null,
+      createdAt: admin.firestore.Timestamp.now(),
+      completedAt: null
+    };
+
+    const ref = await this.collection.add(entry);
+    return { id: ref.id, ...entry };
+  }
+
+  // Close an entry once its action went through, with what it did
+  async complete(id, details) {
+    await this.collection.doc(id).update({
+      status: AUDIT_STATUSES.COMPLETED,
+      details,
+      completedAt: admin.firestore.Timestamp.now()
+    });
+  }
+
+  // Close an entry whose action threw
+  async fail(id, error) {
+    await this.collection.doc(id).update({
+      status: AUDIT_STATUSES.FAILED,
+      error: error.message,
+      completedAt: admin.firestore.Timestamp.now()
+    });
+  }
+
+  // Get one page of audit log entries, newest first
+  // - filters: { adminId, action, targetType, targetId }, all optional
+  // - options: { limit, pageToken } - see BaseModel.queryPage
+  async getEntries(filters = {}, options = {}) {
+    const conditions = ['adminId', 'action', 'targetType', 'targetId']
+      .filter(field => filters[field])
+      .map(field => ({ field, operator: '==', value: filters[field] }));
+
+    return this.queryPage(conditions, options);
+  }
+}
+
+module.exports = new AuditLogModel();
@@ -1,6 +1,14 @@
 const { admin } = require('../config/firebase');
+const { getSearchCells, findClosestDistance } = require('../utils/geo');
+const { DEFAULT_PAGE_SIZE, encodeCursor, decodeCursor } = require('../utils/pagination');
 const db = admin.firestore();
 
+// Sort order for queryPage() when none is given
+const DEFAULT_ORDER = [{ field: 'createdAt', direction: 'desc' }];
+
+// Most documents a geoQuery() reads before giving up on the rest of the area
+const GEO_QUERY_MAX_SCAN = 1000;
+
 class BaseModel {
   constructor(collectionName) {
     this.collection = db.collection(collectionName);
@@ -38,56 +46,158 @@ class BaseModel {
     return true;
   }
 
-  // Query documents
-  async query(conditions = [], limit = 10) {
+  // Build a Firestore query from where() conditions and options
+  // - orderBy: [{ field, direction }] where direction is 'asc' or 'desc'
+  // - startAfter: values of the orderBy fields (or a DocumentSnapshot) to start after
+  buildQuery(conditions = [], options = {}) {
+    const { orderBy = [], startAfter = null } = options;
     let query = this.collection;
-    
+
     conditions.forEach(condition => {
       query = query.where(condition.field, condition.operator, condition.value);
     });
 
-    const snapshot = await query.limit(limit).get();
+    orderBy.forEach(({ field, direction = 'asc' }) => {
+      query = query.orderBy(field, direction);
+    });
+
+    if (startAfter) {
+      query = Array.isArray(startAfter) ? query.startAfter(...startAfter) : query.startAfter(startAfter);
+    }
+
+    return query;
+  }
+
+  // Query documents
+  async query(conditions = [], limit = 10, options = {}) {
+    const snapshot = await this.buildQuery(conditions, options).limit(limit).get();
     return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
   }
 
-  // Geospatial query
-  async geoQuery(location, radius, limit = 10) {
-    const center = new admin.firestore.GeoPoint(location.latitude, location.longitude);
-    const bounds = this.getGeoBounds(center, radius);
-
-    const snapshot = await this.collection
-      .where('location', '>=', bounds.lower)
-      .where('location', '<=', bounds.upper)
-      .limit(limit)
+  // Query one page of documents
+  // Returns { items, nextPageToken }; nextPageToken is null on the last page.
+  // - orderBy: sort order, newest first by default. The document ID is added
+  //   as a tie-breaker so documents with equal values aren't skipped or repeated
+  // - pageToken: nextPageToken from the previous page (see utils/pagination.js)
+  async queryPage(conditions = [], options = {}) {
+    const {
+      orderBy = DEFAULT_ORDER,
+      limit = DEFAULT_PAGE_SIZE,
+      pageToken = null
+    } = options;
+
+    const lastDirection = orderBy.length > 0 ? orderBy[orderBy.length - 1].direction || 'asc' : 'asc';
+    const fullOrder = [...orderBy, { field: admin.firestore.FieldPath.documentId(), direction: lastDirection }];
+
+    let startAfter = null;
+    if (pageToken) {
+      const cursor = decodeCursor(pageToken, orderBy);
+      startAfter = [...cursor.values, cursor.id];
+    }
+
+    // Fetch one extra document to find out whether there is another page
+    const snapshot = await this.buildQuery(conditions, { orderBy: fullOrder, startAfter })
+      .limit(limit + 1)
       .get();
 
-    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const docs = snapshot.docs.slice(0, limit);
+    const hasMore = snapshot.docs.length > limit;
+
+    return {
+      items: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      nextPageToken: hasMore ? encodeCursor(docs[docs.length - 1], orderBy) : null
+    };
   }
 
-  // Helper method to calculate geo bounds
-  getGeoBounds(center, radiusInKm) {
-    const lat = center.latitude;
-    const lon = center.longitude;
-    const latRadian = lat * (Math.PI / 180);
-    
-    // Earth's radius in kilometers
-    const earthRadius = 6371;
-    
-    // Angular distance in radians
-    const radDist = radiusInKm / earthRadius;
-    
-    const minLat = lat - radDist * 180 / Math.PI;
-    const maxLat = lat + radDist * 180 / Math.PI;
-    
-    const deltaLon = Math.asin(Math.sin(radDist) / Math.cos(latRadian));
-    const minLon = lon - deltaLon * 180 / Math.PI;
-    const maxLon = lon + deltaLon * 180 / Math.PI;
-    
+  // Fields that flag a document with the `moderation` map it has now
+  // Flags add up: every reason is kept, and flaggedAt stays at the first flag
+  // so the document keeps its place in the review queue
+  getFlagFields(moderation = {}, reason) {
     return {
-      lower: new admin.firestore.GeoPoint(minLat, minLon),
-      upper: new admin.firestore.GeoPoint(maxLat, maxLon)
+      'moderation.flagged': true,
+      'moderation.flagReasons': admin.firestore.FieldValue.arrayUnion(reason),
+      'moderation.flaggedAt': moderation.flagged ? moderation.flaggedAt : admin.firestore.FieldValue.serverTimestamp()
     };
   }
+
+  // Flag a document for an admin to review (see routes/admin.js)
+  async flag(id, reason) {
+    const ref = this.collection.doc(id);
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return;
+
+      transaction.update(ref, this.getFlagFields(doc.data().moderation, reason));
+    });
+  }
+
+  // Clear a document's flags and open report count once an admin has reviewed it
+  async clearFlag(id, reviewerId, fields = {}) {
+    return this.update(id, {
+      ...fields,
+      'moderation.flagged': false,
+      'moderation.flagReasons': [],
+      'moderation.flaggedAt': null,
+      'moderation.reportCount': 0,
+      'moderation.reviewedBy': reviewerId,
+      'moderation.reviewedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Get one page of flagged documents, flagged longest ago first
+  // options: { limit, pageToken } - see queryPage
+  async getFlagged(options = {}) {
+    return this.queryPage(
+      [{ field: 'moderation.flagged', operator: '==', value: true }],
+      { ...options, orderBy: [{ field: 'moderation.flaggedAt', direction: 'asc' }] }
+    );
+  }
+
+  // Geospatial query
+  // Finds documents with a point within `radius` km of `location`, closest first.
+  // Documents need a geohash prefix array (see utils/geo.js) and a way to read their points:
+  // - geohashField: field holding the geohash prefixes
+  // - getPoints: returns the document's coordinates (a document may have several)
+  // - conditions: extra where() filters, in the same format as query()
+  // - filter: check for anything where() can't express; applied before `limit`
+  // - maxScan: most documents to read (default GEO_QUERY_MAX_SCAN)
+  // Returns { items, truncated }. Up to `maxScan` documents in the geohash cells
+  // are read (by ID, so always the same ones) and ranked, with ties broken by ID,
+  // so the order is the same every time (which offset page tokens rely on).
+  // `truncated` is true when the cells held more than that, in which case some
+  // closer documents may be missing; narrow the radius to see them.
+  async geoQuery(location, radius, options = {}) {
+    const {
+      geohashField = 'geohashes',
+      getPoints = (doc) => [doc.location],
+      conditions = [],
+      filter = () => true,
+      limit = 10,
+      maxScan = GEO_QUERY_MAX_SCAN
+    } = options;
+
+    const query = this.buildQuery([
+      { field: geohashField, operator: 'array-contains-any', value: getSearchCells(location, radius) },
+      ...conditions
+    ]);
+
+    // One extra document tells us whether there were more than maxScan
+    const snapshot = await query.limit(maxScan + 1).get();
+
+    // Geohash cells cover more than the search circle, so filter by exact distance
+    const items = snapshot.docs
+      .slice(0, maxScan)
+      .map(doc => {
+        const data = { id: doc.id, ...doc.data() };
+        return { ...data, distance: findClosestDistance(location, getPoints(data)) };
+      })
+      .filter(doc => doc.distance !== null && doc.distance <= radius && filter(doc))
+      .sort((a, b) => (a.distance - b.distance) || (a.id < b.id ? -1 : 1))
+      .slice(0, limit);
+
+    return { items, truncated: snapshot.size > maxScan };
+  }
 }
 
 module.exports = BaseModel;
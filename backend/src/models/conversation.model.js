@@ -0,0 +1,105 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+
+// Longest preview of the last message kept on a conversation
+const PREVIEW_LENGTH = 100;
+
+// One conversation per match, stored as conversations/{matchId}, between the
+// job seeker and the employer of that job/candidate pair.
+// - unreadCounts: messages each participant hasn't read yet
+// - readBy: when each participant last read the conversation (read receipts)
+class ConversationModel extends BaseModel {
+  constructor() {
+    super('conversations');
+  }
+
+  // Get the conversation for a match, creating it the first time it's needed
+  async getOrCreateForMatch(match) {
+    const ref = this.collection.doc(match.id);
+    const doc = await ref.get();
+    if (doc.exists) return { id: doc.id, ...doc.data() };
+
+    const conversation = {
+      matchId: match.id,
+      jobId: match.jobId,
+      jobSeekerId: match.jobSeekerId,
+      employerId: match.employerId,
+      participants: [match.jobSeekerId, match.employerId],
+      lastMessage: null,
+      // Ordered by lastMessageAt, so new conversations start at their creation time
+      lastMessageAt: admin.firestore.Timestamp.now(),
+      unreadCounts: {
+        [match.jobSeekerId]: 0,
+        [match.employerId]: 0
+      },
+      readBy: {
+        [match.jobSeekerId]: null,
+        [match.employerId]: null
+      },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    try {
+      await ref.create(conversation);
+    } catch (error) {
+      // Both participants opened it at the same time; use the one that was saved
+      if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+    }
+
+    return this.findById(match.id);
+  }
+
+  // Get one page of a user's conversations, most recent activity first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getConversationsForUser(userId, options = {}) {
+    return this.queryPage(
+      [{ field: 'participants', operator: 'array-contains', value: userId }],
+      { ...options, orderBy: [{ field: 'lastMessageAt', direction: 'desc' }] }
+    );
+  }
+
+  // Total unread messages across all of a user's conversations
+  async getUnreadTotal(userId) {
+    const conversations = await this.query(
+      [{ field: `unreadCounts.${userId}`, operator: '>', value: 0 }],
+      500
+    );
+    return conversations.reduce((total, conversation) => total + conversation.unreadCounts[userId], 0);
+  }
+
+  // Save a message and update the conversation's preview and unread count
+  // in one batch. `message` is built by MessageModel.buildMessage.
+  async addMessage(conversation, messageRef, message) {
+    const recipientId = conversation.participants.find(id => id !== message.senderId);
+    const batch = this.collection.firestore.batch();
+
+    batch.create(messageRef, message);
+    batch.update(this.collection.doc(conversation.id), {
+      lastMessage: {
+        text: (message.text || '').slice(0, PREVIEW_LENGTH),
+        senderId: message.senderId,
+        hasAttachments: message.attachments.length > 0,
+        sentAt: message.createdAt
+      },
+      lastMessageAt: message.createdAt,
+      [`unreadCounts.${recipientId}`]: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+    return { id: messageRef.id, ...message };
+  }
+
+  // Mark a conversation as read by a participant
+  async markRead(conversationId, userId) {
+    await this.collection.doc(conversationId).update({
+      [`unreadCounts.${userId}`]: 0,
+      [`readBy.${userId}`]: admin.firestore.Timestamp.now(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return this.findById(conversationId);
+  }
+}
+
+module.exports = new ConversationModel();
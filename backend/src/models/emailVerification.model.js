@@ -0,0 +1,79 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const UserModel = require('./user.model');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { VERIFICATION_STATUSES, VERIFICATION_METHODS } = require('../config/verification');
+
+// Business email verification requests, stored as emailVerifications/{userId}.
+// Only the latest link works: sending a new email replaces tokenId, and a link
+// stops working once usedAt is set.
+class EmailVerificationModel extends BaseModel {
+  constructor() {
+    super('emailVerifications');
+  }
+
+  // Record a new verification email, replacing any earlier one
+  async startVerification(userId, { email, domain, companyName, tokenId, expiresAt }) {
+    const verification = {
+      userId,
+      email,
+      domain,
+      companyName: companyName || null,
+      tokenId,
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      sentAt: admin.firestore.Timestamp.now(),
+      usedAt: null
+    };
+
+    await this.collection.doc(userId).set(verification);
+    return { id: userId, ...verification };
+  }
+
+  // Use a verification link and mark the employer as verified
+  // `token` is the verified payload of the signed token ({ uid, jti, ... }).
+  // Runs in a transaction so a link can only be used once.
+  async completeVerification(token) {
+    const ref = this.collection.doc(token.uid);
+    const userRef = UserModel.collection.doc(token.uid);
+
+    return this.collection.firestore.runTransaction(async (transaction) => {
+      const [doc, userDoc] = await Promise.all([transaction.get(ref), transaction.get(userRef)]);
+      const verification = doc.exists ? doc.data() : null;
+
+      if (!verification || verification.tokenId !== token.jti) {
+        throw new APIError(400, 'This link is no longer valid. Please use the latest email we sent.', null, ERROR_CODES.INVALID_TOKEN);
+      }
+      if (verification.usedAt) {
+        throw new APIError(409, 'This link has already been used', null, ERROR_CODES.TOKEN_ALREADY_USED);
+      }
+      if (!userDoc.exists) {
+        throw new APIError(404, 'User profile not found');
+      }
+
+      const now = admin.firestore.Timestamp.now();
+      const result = {
+        status: VERIFICATION_STATUSES.VERIFIED,
+        method: VERIFICATION_METHODS.BUSINESS_EMAIL,
+        businessEmail: verification.email,
+        domain: verification.domain,
+        verifiedAt: now
+      };
+
+      transaction.update(ref, { usedAt: now });
+      transaction.update(userRef, {
+        'verification.status': result.status,
+        'verification.method': result.method,
+        'verification.businessEmail': result.businessEmail,
+        'verification.domain': result.domain,
+        'verification.verifiedAt': result.verifiedAt,
+        'employerType.isEmailVerified': true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return result;
+    });
+  }
+}
+
+module.exports = new EmailVerificationModel();
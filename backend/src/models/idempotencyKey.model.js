@@ -0,0 +1,78 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+// Idempotency keys sent with write requests (see middleware/idempotency.js).
+// One document per user, endpoint and key, holding a hash of the request and,
+// once it succeeded, the response to replay.
+// - status: 'processing' while the first request runs, then 'completed'
+// - expiresAt: after this the key can be used again (set a Firestore TTL
+//   policy on it to delete old keys)
+class IdempotencyKeyModel extends BaseModel {
+  constructor() {
+    super('idempotencyKeys');
+  }
+
+  // Claim a key for a request, in a transaction so two copies of the same
+  // request can't both run
+  // - record: { userId, method, path, requestHash }
+  // Returns { replay: null } when the request should run, or
+  // { replay: { statusCode, body } } when it already succeeded.
+  // Throws 422 if the key was used with a different request and 409 while
+  // the first request is still running.
+  async begin(id, record, { ttlMs, processingTimeoutMs }) {
+    const ref = this.collection.doc(id);
+
+    return this.collection.firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const now = Date.now();
+
+      if (doc.exists && doc.data().expiresAt.toMillis() > now) {
+        const existing = doc.data();
+
+        if (existing.requestHash !== record.requestHash) {
+          throw new APIError(422, 'This Idempotency-Key was already used with a different request', null, ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+        }
+
+        if (existing.status === 'completed') {
+          return { replay: { statusCode: existing.statusCode, body: JSON.parse(existing.responseBody) } };
+        }
+
+        // A request that never finished (e.g. the server restarted) gives the key up after a while
+        if (existing.startedAt.toMillis() + processingTimeoutMs > now) {
+          throw new APIError(409, 'A request with this Idempotency-Key is still being processed', null, ERROR_CODES.IDEMPOTENCY_KEY_IN_USE);
+        }
+      }
+
+      transaction.set(ref, {
+        ...record,
+        status: 'processing',
+        statusCode: null,
+        responseBody: null,
+        startedAt: admin.firestore.Timestamp.fromMillis(now),
+        expiresAt: admin.firestore.Timestamp.fromMillis(now + ttlMs)
+      });
+
+      return { replay: null };
+    });
+  }
+
+  // Keep a successful response so repeats of the request get it back
+  async complete(id, statusCode, body) {
+    await this.collection.doc(id).update({
+      status: 'completed',
+      statusCode,
+      // Stored as JSON so any response shape fits in a document
+      responseBody: JSON.stringify(body),
+      completedAt: admin.firestore.Timestamp.now()
+    });
+  }
+
+  // Give a key back after a failed request, so it can be retried
+  async release(id) {
+    await this.collection.doc(id).delete();
+  }
+}
+
+module.exports = new IdempotencyKeyModel();
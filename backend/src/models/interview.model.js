@@ -0,0 +1,272 @@
+const { v4: uuidv4 } = require('uuid');
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES, FIELD_ERROR_CODES } = require('../config/errorCodes');
+const { INTERVIEW_STATUSES, canTransition } = require('../config/interviewStatus');
+const { isValidTimeZone, parseDateTime } = require('../utils/timezone');
+
+/** @const {number} Longest interview, in minutes. Also bounds the conflict search */
+const MAX_DURATION_MINUTES = 480;
+
+// Interviews between the employer and job seeker of a match
+// - slots: times the employer offered ({ id, startAt, endAt }, stored in UTC)
+// - startAt/endAt: the accepted slot, set while the interview is confirmed
+// - timeZone: IANA time zone the employer proposed the slots in
+// - sequence: bumped whenever a confirmed time changes or is called off, so
+//   calendar apps replace the event from an earlier .ics invite
+class InterviewModel extends BaseModel {
+  constructor() {
+    super('interviews');
+  }
+
+  // Turn the slot times sent by the client into stored slots
+  // Local times are read in `timeZone`; every slot must be in the future.
+  buildSlots(slots, timeZone, durationMinutes) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'timeZone', message: 'timeZone must be an IANA time zone such as "Europe/London"' }
+      ]);
+    }
+
+    const now = Date.now();
+    const errors = [];
+    const built = slots.map((slot, index) => {
+      const start = parseDateTime(slot.start, timeZone);
+      if (!start) {
+        errors.push({ field: `slots[${index}].start`, message: `slots[${index}].start must be a date and time like 2025-01-15T10:00` });
+        return null;
+      }
+      if (start.getTime() <= now) {
+        errors.push({ field: `slots[${index}].start`, message: `slots[${index}].start must be in the future` });
+        return null;
+      }
+
+      return {
+        id: uuidv4(),
+        startAt: admin.firestore.Timestamp.fromDate(start),
+        endAt: admin.firestore.Timestamp.fromDate(new Date(start.getTime() + durationMinutes * 60000))
+      };
+    });
+
+    if (errors.length > 0) {
+      throw new APIError(400, 'Validation failed', errors);
+    }
+
+    return built.sort((a, b) => a.startAt.toMillis() - b.startAt.toMillis());
+  }
+
+  // Find the employer's confirmed interviews that overlap any of the slots
+  // Pass a transaction to read inside it. Returns [{ slotId, interviewId, startAt, endAt }].
+  async findConflicts(employerId, slots, { excludeId = null, transaction = null } = {}) {
+    if (slots.length === 0) return [];
+
+    const earliestStart = Math.min(...slots.map(slot => slot.startAt.toMillis()));
+    const latestEnd = Math.max(...slots.map(slot => slot.endAt.toMillis()));
+
+    // Only startAt can be ranged, so look back by the longest possible interview
+    const query = this.buildQuery([
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'status', operator: '==', value: INTERVIEW_STATUSES.CONFIRMED },
+      { field: 'startAt', operator: '>', value: admin.firestore.Timestamp.fromMillis(earliestStart - MAX_DURATION_MINUTES * 60000) },
+      { field: 'startAt', operator: '<', value: admin.firestore.Timestamp.fromMillis(latestEnd) }
+    ]);
+
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    const booked = snapshot.docs
+      .filter(doc => doc.id !== excludeId)
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const conflicts = [];
+    slots.forEach(slot => {
+      booked
+        .filter(interview => interview.startAt.toMillis() < slot.endAt.toMillis() &&
+          interview.endAt.toMillis() > slot.startAt.toMillis())
+        .forEach(interview => conflicts.push({
+          slotId: slot.id,
+          interviewId: interview.id,
+          startAt: interview.startAt,
+          endAt: interview.endAt
+        }));
+    });
+
+    return conflicts;
+  }
+
+  // Throw a 409 listing the slots that clash with other interviews
+  async assertNoConflicts(employerId, slots, options = {}) {
+    const conflicts = await this.findConflicts(employerId, slots, options);
+    if (conflicts.length > 0) {
+      throw new APIError(409, 'Some slots overlap with other confirmed interviews', conflicts.map(conflict => ({
+        field: 'slots',
+        slotId: conflict.slotId,
+        interviewId: conflict.interviewId,
+        code: FIELD_ERROR_CODES.overlap,
+        message: `Overlaps an interview from ${conflict.startAt.toDate().toISOString()} to ${conflict.endAt.toDate().toISOString()}`
+      })), ERROR_CODES.INTERVIEW_CONFLICT);
+    }
+  }
+
+  // Propose an interview on a match
+  // data: { timeZone, durationMinutes, slots: [{ start }], location, meetingUrl, notes }
+  async createInterview(match, data, createdBy) {
+    const slots = this.buildSlots(data.slots, data.timeZone, data.durationMinutes);
+    await this.assertNoConflicts(match.employerId, slots);
+
+    return this.create({
+      matchId: match.id,
+      jobId: match.jobId,
+      jobSeekerId: match.jobSeekerId,
+      employerId: match.employerId,
+      status: INTERVIEW_STATUSES.PROPOSED,
+      timeZone: data.timeZone,
+      durationMinutes: data.durationMinutes,
+      slots,
+      startAt: null,
+      endAt: null,
+      location: data.location || null,
+      meetingUrl: data.meetingUrl || null,
+      notes: data.notes || null,
+      rescheduleNote: null,
+      sequence: 0,
+      createdBy
+    });
+  }
+
+  // Change an interview's status, checking the move is allowed
+  async changeStatus(interview, status, fields = {}) {
+    if (!canTransition(interview.status, status)) {
+      throw new APIError(409, `Cannot change an interview from ${interview.status} to ${status}`, null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    return this.update(interview.id, {
+      ...fields,
+      status,
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Replace the offered slots (the employer answering a reschedule request,
+  // or moving a confirmed interview). The interview goes back to proposed.
+  // data: { timeZone, durationMinutes, slots, location, meetingUrl, notes }
+  async proposeSlots(interview, data) {
+    const slots = this.buildSlots(data.slots, data.timeZone, data.durationMinutes);
+    await this.assertNoConflicts(interview.employerId, slots, { excludeId: interview.id });
+
+    const wasConfirmed = interview.status === INTERVIEW_STATUSES.CONFIRMED;
+    return this.changeStatus(interview, INTERVIEW_STATUSES.PROPOSED, {
+      timeZone: data.timeZone,
+      durationMinutes: data.durationMinutes,
+      slots,
+      startAt: null,
+      endAt: null,
+      ...(data.location !== undefined && { location: data.location || null }),
+      ...(data.meetingUrl !== undefined && { meetingUrl: data.meetingUrl || null }),
+      ...(data.notes !== undefined && { notes: data.notes || null }),
+      ...(wasConfirmed && { sequence: admin.firestore.FieldValue.increment(1) })
+    });
+  }
+
+  // Accept one of the offered slots
+  // Runs in a transaction so two candidates can't book overlapping times
+  // with the same employer at once.
+  async acceptSlot(interviewId, slotId) {
+    const ref = this.collection.doc(interviewId);
+
+    await this.collection.firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const interview = { id: doc.id, ...doc.data() };
+
+      if (interview.status !== INTERVIEW_STATUSES.PROPOSED) {
+        throw new APIError(409, `Cannot accept a slot while the interview is ${interview.status}`, null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+      }
+
+      const slot = interview.slots.find(item => item.id === slotId);
+      if (!slot) {
+        throw new APIError(404, 'Slot not found');
+      }
+      if (slot.startAt.toMillis() <= Date.now()) {
+        throw new APIError(409, 'This slot has already passed', null, ERROR_CODES.SLOT_PASSED);
+      }
+
+      await this.assertNoConflicts(interview.employerId, [slot], { excludeId: interview.id, transaction });
+
+      transaction.update(ref, {
+        status: INTERVIEW_STATUSES.CONFIRMED,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        rescheduleNote: null,
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+        statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    return this.findById(interviewId);
+  }
+
+  // Ask the employer for different times
+  async requestReschedule(interview, note) {
+    const wasConfirmed = interview.status === INTERVIEW_STATUSES.CONFIRMED;
+    return this.changeStatus(interview, INTERVIEW_STATUSES.RESCHEDULE_REQUESTED, {
+      rescheduleNote: note || null,
+      startAt: null,
+      endAt: null,
+      ...(wasConfirmed && { sequence: admin.firestore.FieldValue.increment(1) })
+    });
+  }
+
+  // Call off an interview
+  async cancelInterview(interview, cancelledBy, reason) {
+    return this.changeStatus(interview, INTERVIEW_STATUSES.CANCELLED, {
+      cancelledBy,
+      cancelReason: reason || null,
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      sequence: admin.firestore.FieldValue.increment(1)
+    });
+  }
+
+  // Get an employer's confirmed interviews that haven't started yet, soonest first
+  // Returns { count, next } where next is the soonest interview (or null)
+  async getUpcomingForEmployer(employerId) {
+    const query = this.buildQuery([
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'status', operator: '==', value: INTERVIEW_STATUSES.CONFIRMED },
+      { field: 'startAt', operator: '>', value: admin.firestore.Timestamp.now() }
+    ], { orderBy: [{ field: 'startAt', direction: 'asc' }] });
+
+    const [countSnapshot, nextSnapshot] = await Promise.all([
+      query.count().get(),
+      query.limit(1).get()
+    ]);
+    const [next] = nextSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    return { count: countSnapshot.data().count, next: next || null };
+  }
+
+  // Get an employer's most recently changed interviews, newest change first
+  async getRecentlyUpdatedForEmployer(employerId, limit = 10) {
+    return this.query(
+      [{ field: 'employerId', operator: '==', value: employerId }],
+      limit,
+      { orderBy: [{ field: 'updatedAt', direction: 'desc' }] }
+    );
+  }
+
+  // Get one page of a user's interviews, newest first
+  // field: 'jobSeekerId' or 'employerId'
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getInterviewsForUser(field, userId, status = null, options = {}) {
+    const conditions = [
+      { field, operator: '==', value: userId }
+    ];
+
+    if (status) {
+      conditions.push({ field: 'status', operator: '==', value: status });
+    }
+
+    return this.queryPage(conditions, options);
+  }
+}
+
+module.exports = new InterviewModel();
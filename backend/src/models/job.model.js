@@ -1,26 +1,46 @@
 const BaseModel = require('./base.model');
 const { admin } = require('../config/firebase');
+const SkillTaxonomy = require('../utils/skills');
+const { buildGeohashes } = require('../utils/geo');
+const { DEFAULT_PAGE_SIZE, encodeOffset, decodeOffset } = require('../utils/pagination');
+const JobSearch = require('../utils/search');
+const JobRevisionModel = require('./jobRevision.model');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const logger = require('../utils/logger').child({ component: 'JobModel' });
+const {
+  JOB_STATUSES,
+  EXPIRING_STATUSES,
+  JOB_EXPIRY_REMINDER_DAYS,
+  canTransition,
+  getExpiryDate
+} = require('../config/jobStatus');
+
+// How many jobs a keyword search ranks at most: the newest matches,
+// or the closest ones when searching an area
+const SEARCH_CANDIDATE_LIMIT = 200;
+
+// Fields the search index is built from
+const SEARCH_FIELDS = ['title', 'description', 'skills'];
+
+// Firestore allows at most 500 writes per batch
+const EXPIRY_BATCH_SIZE = 500;
 
 class JobModel extends BaseModel {
   constructor() {
     super('jobs');
   }
 
-  // Create a new job
+  // Create a new job, published straight away unless it is saved as a draft
   async createJob(jobData) {
+    const isDraft = jobData.status === JOB_STATUSES.DRAFT;
     const job = {
       employerId: jobData.employerId,
       title: jobData.title,
       description: jobData.description,
       requirements: jobData.requirements || [],
       responsibilities: jobData.responsibilities || [],
-      location: {
-        type: jobData.locationType || 'onsite',
-        locations: jobData.locations.map(loc => ({
-          address: loc.address,
-          coordinates: new admin.firestore.GeoPoint(loc.latitude, loc.longitude)
-        }))
-      },
+      location: this.buildLocation(jobData),
       employmentType: jobData.employmentType,
       experienceLevel: jobData.experienceLevel,
       salary: {
@@ -30,83 +50,512 @@ class JobModel extends BaseModel {
         isNegotiable: jobData.salary.isNegotiable || false
       },
       skills: jobData.skills || [],
+      education: jobData.education || null,
       benefits: jobData.benefits || [],
-      status: 'active',
+      status: isDraft ? JOB_STATUSES.DRAFT : JOB_STATUSES.ACTIVE,
       rightSwipeCount: 0,
       views: 0,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt: admin.firestore.Timestamp.fromDate(
-        new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      )
+      // Drafts start counting down when they are published
+      expiresAt: isDraft ? null : admin.firestore.Timestamp.fromDate(getExpiryDate())
+    };
+    job.searchIndex = JobSearch.buildSearchIndex(job);
+    job.version = 1;
+
+    // Save the job and its first revision together
+    const jobRef = this.collection.doc();
+    const batch = this.collection.firestore.batch();
+    batch.set(jobRef, job);
+    batch.create(JobRevisionModel.getRevisionRef(jobRef.id, 1), JobRevisionModel.buildRevision({
+      jobId: jobRef.id,
+      version: 1,
+      action: 'create',
+      changedBy: jobData.employerId,
+      snapshot: JobRevisionModel.getSnapshot(job),
+      changes: {}
+    }));
+    await batch.commit();
+
+    return { id: jobRef.id, ...job };
+  }
+
+  // Build the location object from job data, with geohashes for radius searches
+  buildLocation(jobData) {
+    const locations = (jobData.locations || []).map(loc => ({
+      address: loc.address,
+      coordinates: new admin.firestore.GeoPoint(loc.latitude, loc.longitude)
+    }));
+
+    return {
+      type: jobData.locationType || 'onsite',
+      occasionalOnsite: jobData.occasionalOnsite || false,
+      locations,
+      geohashes: buildGeohashes(locations.map(loc => loc.coordinates))
     };
+  }
+
+  // Turn update data into the fields to write, rebuilding the location when
+  // new locations are sent and the search index when searchable text changes
+  buildUpdateFields(current, updates) {
+    const { locations, locationType, occasionalOnsite, ...fields } = updates;
+
+    if (locations) {
+      fields.location = this.buildLocation({ locations, locationType, occasionalOnsite });
+    } else if (locationType || occasionalOnsite !== undefined) {
+      fields.location = {
+        ...current.location,
+        ...(locationType && { type: locationType }),
+        ...(occasionalOnsite !== undefined && { occasionalOnsite })
+      };
+    }
+
+    if (SEARCH_FIELDS.some(field => fields[field] !== undefined)) {
+      fields.searchIndex = JobSearch.buildSearchIndex({ ...current, ...fields });
+    }
+
+    return fields;
+  }
+
+  // Update a job and record the change as a new revision (see jobRevision.model.js)
+  // - changedBy: ID of the user making the change
+  // - options.action: 'update' or 'restore'
+  // - options.restoredFrom: version being restored
+  // Returns the updated job; nothing is written if no versioned field changed
+  async updateJob(jobId, updates, changedBy, options = {}) {
+    const { action = 'update', restoredFrom = null } = options;
+    const jobRef = this.collection.doc(jobId);
+
+    await this.collection.firestore.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists) {
+        throw new APIError(404, 'Job not found');
+      }
+
+      const current = { id: jobDoc.id, ...jobDoc.data() };
+      const fields = this.buildUpdateFields(current, updates);
+      const before = JobRevisionModel.getSnapshot(current);
+      const after = JobRevisionModel.getSnapshot({ ...current, ...fields });
+      const changes = JobRevisionModel.diffSnapshots(before, after);
+
+      if (Object.keys(changes).length === 0) return;
+
+      // Jobs created before revisions existed get their current state recorded first
+      let version = current.version || 0;
+      if (version === 0) {
+        version = 1;
+        transaction.create(JobRevisionModel.getRevisionRef(jobId, version), JobRevisionModel.buildRevision({
+          jobId,
+          version,
+          action: 'baseline',
+          changedBy: current.employerId,
+          changedAt: current.updatedAt || current.createdAt,
+          snapshot: before,
+          changes: {}
+        }));
+      }
+
+      version += 1;
+      transaction.create(JobRevisionModel.getRevisionRef(jobId, version), JobRevisionModel.buildRevision({
+        jobId,
+        version,
+        action,
+        changedBy,
+        snapshot: after,
+        changes,
+        restoredFrom
+      }));
+
+      transaction.update(jobRef, {
+        ...fields,
+        version,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    return this.findById(jobId);
+  }
+
+  // Put a job's versioned fields back to how they were at an earlier revision
+  // The restore is recorded as a new revision, so nothing is lost
+  async restoreRevision(jobId, version, changedBy) {
+    const revision = await JobRevisionModel.getRevision(jobId, version);
+    if (!revision) {
+      throw new APIError(404, 'Revision not found');
+    }
+
+    const { location, ...fields } = revision.snapshot;
+    const updates = { ...fields };
+    if (location) {
+      updates.locations = (location.locations || []).map(loc => ({
+        address: loc.address,
+        latitude: loc.coordinates.latitude,
+        longitude: loc.coordinates.longitude
+      }));
+      updates.locationType = location.type;
+      updates.occasionalOnsite = location.occasionalOnsite;
+    }
 
-    return this.create(job);
+    return this.updateJob(jobId, updates, changedBy, { action: 'restore', restoredFrom: version });
   }
 
-    // Get jobs by employer
-    async getJobsByEmployer(employerId, status = null) {
-      console.log('[JobModel] Starting query:', { employerId, status });
+    // Get one page of an employer's jobs, newest first
+    // options: { limit, pageToken } - see BaseModel.queryPage
+    async getJobsByEmployer(employerId, status = null, options = {}) {
       try {
         const conditions = [{ field: 'employerId', operator: '==', value: employerId }];
         
         if (status) {
-          console.log('[JobModel] Applying status filter:', status);
           conditions.push({ field: 'status', operator: '==', value: status });
         }
   
-        const jobs = await this.query(conditions);
-        console.log('[JobModel] Query results:', { documentCount: jobs.length });
-  
-        return jobs;
-      } catch (error) {
-        console.error('[JobModel] Query failed:', {
-          error: error.message,
+        const page = await this.queryPage(conditions, options);
+        logger.debug('Employer jobs query', {
           employerId,
-          status
+          status,
+          documentCount: page.items.length,
+          hasMore: Boolean(page.nextPageToken)
         });
+  
+        return page;
+      } catch (error) {
+        logger.error('Employer jobs query failed', { employerId, status, error });
         throw error;
       }
     }
   
 
+  // Get all of an employer's jobs (up to `limit`), e.g. to add up their stats
+  async getAllJobsByEmployer(employerId, limit = 500) {
+    return this.query([{ field: 'employerId', operator: '==', value: employerId }], limit);
+  }
+
+  // Get one page of active jobs, newest first
+  // Jobs past their expiry that the sweeper hasn't reached yet are included;
+  // leave them out with isExpired()
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getActiveJobsPage(options = {}) {
+    return this.queryPage(
+      [{ field: 'status', operator: '==', value: JOB_STATUSES.ACTIVE }],
+      { ...options, orderBy: [{ field: 'createdAt', direction: 'desc' }] }
+    );
+  }
+
   // Get nearby jobs
+  // Returns { items, truncated } (see BaseModel.geoQuery); each job includes
+  // `distance`, the km to its closest location
   async getNearbyJobs(latitude, longitude, radius, filters = {}, limit = 10) {
     const location = { latitude, longitude };
-    const jobs = await this.geoQuery(location, radius, limit);
+    return this.geoQuery(location, radius, {
+      geohashField: 'location.geohashes',
+      getPoints: (job) => job.location.locations.map(loc => loc.coordinates),
+      conditions: filters.status ? [{ field: 'status', operator: '==', value: filters.status }] : [],
+      filter: (job) => this.matchesFilters(job, filters),
+      limit
+    });
+  }
 
-    return jobs.filter(job => {
-      // Apply status filter
-      if (filters.status && job.status !== filters.status) return false;
+  // Check a job against the filters of a job search
+  matchesFilters(job, filters = {}) {
+    // Leave out active jobs past their expiry that the sweeper hasn't reached yet,
+    // and jobs under review after being reported
+    if (filters.status === JOB_STATUSES.ACTIVE && (this.isExpired(job) || this.isUnderReview(job))) return false;
 
-      // Apply employment type filter
-      if (filters.employmentType && job.employmentType !== filters.employmentType) return false;
+    // Apply employment type filter
+    if (filters.employmentType && job.employmentType !== filters.employmentType) return false;
 
-      // Apply experience level filter
-      if (filters.experienceLevel && job.experienceLevel !== filters.experienceLevel) return false;
+    // Apply experience level filter
+    if (filters.experienceLevel && job.experienceLevel !== filters.experienceLevel) return false;
 
-      // Apply salary range filter
-      if (filters.salary) {
-        const { min, max } = filters.salary;
-        if (min && job.salary.amount < min) return false;
-        if (max && job.salary.amount > max) return false;
-      }
+    // Apply salary range filter
+    if (filters.salary) {
+      const { min, max } = filters.salary;
+      if (min && job.salary.amount < min) return false;
+      if (max && job.salary.amount > max) return false;
+    }
 
-      // Apply skills filter
-      if (filters.skills && filters.skills.length > 0) {
-        const hasRequiredSkills = filters.skills.every(skill => 
-          job.skills.includes(skill)
-        );
-        if (!hasRequiredSkills) return false;
-      }
+    // Apply skills filter (aliases and related skills count)
+    if (filters.skills && filters.skills.length > 0) {
+      const hasRequiredSkills = filters.skills.every(skill =>
+        SkillTaxonomy.hasSkillOrRelated(skill, job.skills)
+      );
+      if (!hasRequiredSkills) return false;
+    }
+
+    return true;
+  }
+
+  // Get one page of jobs matching a keyword search, most relevant first
+  // (see utils/search.js). Each job includes its `relevance` score.
+  // - filters: same as getNearbyJobs
+  // - location: { latitude, longitude, radius } to only search nearby jobs;
+  //   jobs that are equally relevant are then sorted closest first
+  // - options: { limit, pageToken }
+  // Only the SEARCH_CANDIDATE_LIMIT newest matches are ranked (closest, with a location).
+  // Returns { items, nextPageToken, truncated }; `truncated` is true when more jobs
+  // matched than that, or only part of a crowded area was searched (see BaseModel.geoQuery)
+  async searchJobs(query, filters = {}, location = null, options = {}) {
+    const { limit = DEFAULT_PAGE_SIZE, pageToken = null } = options;
+    const offset = pageToken ? decodeOffset(pageToken) : 0;
+
+    const terms = JobSearch.parseQuery(query);
+    if (terms.length === 0) {
+      return { items: [], nextPageToken: null, truncated: false };
+    }
+
+    let candidates;
+    let truncated = false;
+    if (location) {
+      ({ items: candidates, truncated } = await this.getNearbyJobs(
+        location.latitude,
+        location.longitude,
+        location.radius,
+        filters,
+        SEARCH_CANDIDATE_LIMIT
+      ));
+    } else {
+      const conditions = [
+        { field: 'searchIndex.tokens', operator: 'array-contains-any', value: JobSearch.getLookupTokens(terms) }
+      ];
+      if (filters.status) conditions.push({ field: 'status', operator: '==', value: filters.status });
+      if (filters.employmentType) conditions.push({ field: 'employmentType', operator: '==', value: filters.employmentType });
+      if (filters.experienceLevel) conditions.push({ field: 'experienceLevel', operator: '==', value: filters.experienceLevel });
+
+      // Newest first, so the same matches are ranked on every page. One extra
+      // job tells us whether any older matches were left out
+      const jobs = await this.query(conditions, SEARCH_CANDIDATE_LIMIT + 1, {
+        orderBy: [{ field: 'createdAt', direction: 'desc' }]
+      });
+      truncated = jobs.length > SEARCH_CANDIDATE_LIMIT;
+      candidates = jobs.slice(0, SEARCH_CANDIDATE_LIMIT).filter(job => this.matchesFilters(job, filters));
+    }
+
+    const results = candidates
+      .map(job => ({ ...job, relevance: JobSearch.scoreRelevance(job.searchIndex, terms) }))
+      .filter(job => job.relevance > 0)
+      .sort((a, b) => (b.relevance - a.relevance) || ((a.distance || 0) - (b.distance || 0)));
+
+    return {
+      items: results.slice(offset, offset + limit),
+      nextPageToken: results.length > offset + limit ? encodeOffset(offset + limit) : null,
+      truncated
+    };
+  }
+
+  // Get one page of nearby jobs, closest first
+  // Results are ranked by distance in memory rather than by a stored field,
+  // so the page token holds an offset into the ranked list instead of a cursor.
+  // The ranking covers the same jobs in the area every time, so it is the same
+  // on every page and each page is full until the last one.
+  // Returns { items, nextPageToken, truncated } (see BaseModel.geoQuery)
+  async getNearbyJobsPage(latitude, longitude, radius, filters = {}, options = {}) {
+    const { limit = DEFAULT_PAGE_SIZE, pageToken = null } = options;
+    const offset = pageToken ? decodeOffset(pageToken) : 0;
+
+    // One extra job tells us whether there is another page
+    const { items: jobs, truncated } = await this.getNearbyJobs(latitude, longitude, radius, filters, offset + limit + 1);
 
-      return true;
+    return {
+      items: jobs.slice(offset, offset + limit),
+      nextPageToken: jobs.length > offset + limit ? encodeOffset(offset + limit) : null,
+      truncated
+    };
+  }
+
+  // Check whether a job has reached its expiry date
+  isExpired(job) {
+    return Boolean(job.expiresAt) && job.expiresAt.toMillis() <= Date.now();
+  }
+
+  // Check whether a job is flagged and waiting for an admin (e.g. after a report)
+  isUnderReview(job) {
+    return Boolean(job.moderation?.flagged);
+  }
+
+  // Move a job to another status, enforcing the lifecycle in config/jobStatus.js
+  async changeStatus(job, status, fields = {}) {
+    if (!canTransition(job.status, status)) {
+      throw new APIError(409, `Cannot change a job from ${job.status} to ${status}`, null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    return this.update(job.id, {
+      ...fields,
+      status,
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Publish a draft job
+  async publishJob(job) {
+    if (job.status !== JOB_STATUSES.DRAFT) {
+      throw new APIError(409, 'Only draft jobs can be published', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+    return this.changeStatus(job, JOB_STATUSES.ACTIVE, {
+      expiresAt: admin.firestore.Timestamp.fromDate(getExpiryDate())
+    });
+  }
+
+  // Pause an active job
+  async pauseJob(job) {
+    return this.changeStatus(job, JOB_STATUSES.PAUSED);
+  }
+
+  // Resume a paused job (it keeps its original expiry date)
+  async resumeJob(job) {
+    if (job.status !== JOB_STATUSES.PAUSED) {
+      throw new APIError(409, 'Only paused jobs can be resumed', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+    return this.changeStatus(job, JOB_STATUSES.ACTIVE);
+  }
+
+  // Renew an active or expired job for another full duration from today
+  async renewJob(job) {
+    const renewal = {
+      expiresAt: admin.firestore.Timestamp.fromDate(getExpiryDate()),
+      renewedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (job.status === JOB_STATUSES.ACTIVE) {
+      return this.update(job.id, renewal);
+    }
+    if (job.status !== JOB_STATUSES.EXPIRED) {
+      throw new APIError(409, 'Only active or expired jobs can be renewed', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+    return this.changeStatus(job, JOB_STATUSES.ACTIVE, renewal);
+  }
+
+  // Mark a job's position as filled
+  async fillJob(job) {
+    return this.changeStatus(job, JOB_STATUSES.FILLED);
+  }
+
+  // Close a job
+  async closeJob(job) {
+    return this.changeStatus(job, JOB_STATUSES.CLOSED);
+  }
+
+  // Fields that suspend a job, keeping the status it had so restoreJob can put it back
+  getSuspensionFields(job, reason, withAccount = false) {
+    return {
+      status: JOB_STATUSES.SUSPENDED,
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      'moderation.previousStatus': job.status,
+      'moderation.suspensionReason': reason,
+      'moderation.suspendedWithAccount': withAccount
+    };
+  }
+
+  // Fields that hide a job once it has enough reports (see config/reports.js):
+  // it is suspended, but stays flagged so an admin reviews it
+  getHideFields(job, reason) {
+    return job.status === JOB_STATUSES.SUSPENDED ? {} : this.getSuspensionFields(job, reason);
+  }
+
+  // Take a job down (admins only)
+  // - options.withAccount: the job was suspended along with its employer's account
+  async suspendJob(job, reason, adminId, options = {}) {
+    if (job.status === JOB_STATUSES.SUSPENDED) {
+      throw new APIError(409, 'This job is already suspended', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    return this.clearFlag(job.id, adminId, this.getSuspensionFields(job, reason, Boolean(options.withAccount)));
+  }
+
+  // Put a suspended job back in the status it had. An active job whose expiry
+  // date passed while it was suspended comes back expired.
+  async restoreJob(job, adminId) {
+    if (job.status !== JOB_STATUSES.SUSPENDED) {
+      throw new APIError(409, 'Only suspended jobs can be restored', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    let status = job.moderation?.previousStatus || JOB_STATUSES.PAUSED;
+    if (EXPIRING_STATUSES.includes(status) && this.isExpired(job)) {
+      status = JOB_STATUSES.EXPIRED;
+    }
+
+    return this.clearFlag(job.id, adminId, {
+      status,
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      'moderation.previousStatus': null,
+      'moderation.suspensionReason': null,
+      'moderation.suspendedWithAccount': false
     });
   }
 
-  // Update job status
-  async updateStatus(jobId, status) {
-    return this.update(jobId, { status });
+  // Suspend an employer's live jobs along with their account
+  // Returns the suspended jobs
+  async suspendJobsForEmployer(employerId, reason, adminId) {
+    const jobs = await this.query([
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'status', operator: 'in', value: [JOB_STATUSES.DRAFT, ...EXPIRING_STATUSES] }
+    ], EXPIRY_BATCH_SIZE);
+
+    return Promise.all(jobs.map(job => this.suspendJob(job, reason, adminId, { withAccount: true })));
+  }
+
+  // Restore the jobs that were suspended along with an employer's account
+  // Returns the restored jobs
+  async restoreJobsForEmployer(employerId, adminId) {
+    const jobs = await this.query([
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'moderation.suspendedWithAccount', operator: '==', value: true }
+    ], EXPIRY_BATCH_SIZE);
+
+    return Promise.all(jobs.map(job => this.restoreJob(job, adminId)));
+  }
+
+  // Expire every active or paused job whose expiry date has passed
+  // Returns how many jobs were expired
+  async expireStaleJobs() {
+    let expiredCount = 0;
+    let snapshot;
+
+    do {
+      snapshot = await this.collection
+        .where('status', 'in', EXPIRING_STATUSES)
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+        .limit(EXPIRY_BATCH_SIZE)
+        .get();
+
+      if (snapshot.empty) break;
+
+      const batch = this.collection.firestore.batch();
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, {
+          status: JOB_STATUSES.EXPIRED,
+          statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+      expiredCount += snapshot.size;
+    } while (snapshot.size === EXPIRY_BATCH_SIZE);
+
+    return expiredCount;
+  }
+
+  // Get active jobs expiring within JOB_EXPIRY_REMINDER_DAYS whose employer
+  // hasn't been reminded about this expiry date yet
+  async getJobsNeedingExpiryReminder() {
+    const now = Date.now();
+    const snapshot = await this.collection
+      .where('status', '==', JOB_STATUSES.ACTIVE)
+      .where('expiresAt', '>', admin.firestore.Timestamp.fromMillis(now))
+      .where('expiresAt', '<=', admin.firestore.Timestamp.fromMillis(now + JOB_EXPIRY_REMINDER_DAYS * 24 * 60 * 60 * 1000))
+      .limit(EXPIRY_BATCH_SIZE)
+      .get();
+
+    // Renewing moves expiresAt, so a renewed job gets a new reminder
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(job => !job.expiryReminderFor || !job.expiryReminderFor.isEqual(job.expiresAt));
+  }
+
+  // Record that the employer was reminded about a job's current expiry date
+  async markExpiryReminderSent(job) {
+    await this.collection.doc(job.id).update({
+      expiryReminderFor: job.expiresAt
+    });
   }
 
   // Increment view count
@@ -117,9 +566,9 @@ class JobModel extends BaseModel {
     });
   }
 
-  // Increment right swipe count
-  async incrementRightSwipes(jobId) {
-    await this.collection.doc(jobId).update({
+  // Increment right swipe count as part of a batch (committed with the swipe itself)
+  incrementRightSwipes(batch, jobId) {
+    batch.update(this.collection.doc(jobId), {
       rightSwipeCount: admin.firestore.FieldValue.increment(1),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
@@ -0,0 +1,112 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const logger = require('../utils/logger').child({ component: 'JobAnalytics' });
+
+// Things counted per job per day:
+// - impressions: the job was shown in search results or the swipe feed
+// - views:       its details were opened (GET /api/jobs/:id)
+// - likes:       a job seeker swiped right on it
+// - passes:      a job seeker swiped left on it
+// - matches:     a like turned into a match
+const METRICS = ['impressions', 'views', 'likes', 'passes', 'matches'];
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily counters for each job, one document per job per UTC day:
+// jobAnalytics/{jobId}_{YYYY-MM-DD}. Counters are bumped with increments, so
+// concurrent requests don't overwrite each other.
+// Recording never fails the request that caused it; problems are logged.
+class JobAnalyticsModel extends BaseModel {
+  constructor() {
+    super('jobAnalytics');
+  }
+
+  // The UTC day a time falls on, as YYYY-MM-DD
+  toDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Build a deterministic document ID for a job's day
+  getBucketId(jobId, dateKey) {
+    return `${jobId}_${dateKey}`;
+  }
+
+  // Add `count` to one metric of each job's bucket for today
+  async record(jobs, metric, count = 1) {
+    const list = (Array.isArray(jobs) ? jobs : [jobs]).filter(Boolean);
+    if (list.length === 0) return;
+
+    const date = this.toDateKey();
+    try {
+      for (let i = 0; i < list.length; i += BATCH_SIZE) {
+        const batch = this.collection.firestore.batch();
+        list.slice(i, i + BATCH_SIZE).forEach(job => this.recordInBatch(batch, job, metric, count, date));
+        await batch.commit();
+      }
+    } catch (error) {
+      logger.error('Failed to record', { metric, error });
+    }
+  }
+
+  // Add `count` to one metric of a job's bucket as part of someone else's batch,
+  // for counts that must be written exactly when the thing they count is
+  // (unlike record(), a failure here fails the whole batch)
+  recordInBatch(batch, job, metric, count = 1, date = this.toDateKey()) {
+    batch.set(this.collection.doc(this.getBucketId(job.id, date)), {
+      jobId: job.id,
+      employerId: job.employerId,
+      date,
+      [metric]: admin.firestore.FieldValue.increment(count),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  // Get a job's daily counts from one YYYY-MM-DD date to another (both included)
+  // Every day is in the result, with zeros for days nothing happened, oldest first
+  async getDailySeries(jobId, from, to) {
+    const snapshot = await this.buildQuery([
+      { field: 'jobId', operator: '==', value: jobId },
+      { field: 'date', operator: '>=', value: from },
+      { field: 'date', operator: '<=', value: to }
+    ]).get();
+
+    const buckets = new Map(snapshot.docs.map(doc => [doc.get('date'), doc.data()]));
+    const series = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+      const date = this.toDateKey(new Date(time));
+      const bucket = buckets.get(date) || {};
+      series.push(METRICS.reduce((day, metric) => ({ ...day, [metric]: bucket[metric] || 0 }), { date }));
+    }
+
+    return series;
+  }
+
+  // Add up a daily series and work out the conversion between funnel steps.
+  // Rates are between 0 and 1, or null when the step before had nothing.
+  // - viewRate:  views per impression
+  // - likeRate:  likes per swipe (likes + passes)
+  // - matchRate: matches per like
+  // - overallRate: matches per impression
+  summarize(series) {
+    const totals = METRICS.reduce((sums, metric) => ({
+      ...sums,
+      [metric]: series.reduce((sum, day) => sum + day[metric], 0)
+    }), {});
+    const rate = (count, base) => (base > 0 ? Math.round((count / base) * 10000) / 10000 : null);
+
+    return {
+      totals,
+      funnel: {
+        viewRate: rate(totals.views, totals.impressions),
+        likeRate: rate(totals.likes, totals.likes + totals.passes),
+        matchRate: rate(totals.matches, totals.likes),
+        overallRate: rate(totals.matches, totals.impressions)
+      }
+    };
+  }
+}
+
+module.exports = new JobAnalyticsModel();
@@ -0,0 +1,139 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+
+// Job fields that are versioned. Derived fields (geohashes, searchIndex),
+// counters and status are left out.
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'responsibilities',
+  'location',
+  'employmentType',
+  'experienceLevel',
+  'salary',
+  'skills',
+  'education',
+  'benefits'
+];
+
+// Compare two stored values, treating GeoPoints and Timestamps by value
+const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || a === undefined || b === undefined) return false;
+  if (typeof a.isEqual === 'function') return a.isEqual(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEqualValue(a[key], b[key]));
+  }
+  return false;
+};
+
+// Every change to a job post is kept as a numbered revision in
+// jobRevisions/{jobId}_{version}. Revisions are only ever created, never
+// updated, so they form an audit trail of who changed what and when.
+class JobRevisionModel extends BaseModel {
+  constructor() {
+    super('jobRevisions');
+  }
+
+  // Reference to a revision document
+  getRevisionRef(jobId, version) {
+    return this.collection.doc(`${jobId}_${version}`);
+  }
+
+  // The versioned fields of a job (location without its derived geohashes)
+  getSnapshot(job) {
+    const snapshot = TRACKED_FIELDS.reduce((fields, field) => ({
+      ...fields,
+      [field]: job[field] === undefined ? null : job[field]
+    }), {});
+
+    if (snapshot.location) {
+      const { geohashes, ...location } = snapshot.location;
+      snapshot.location = location;
+    }
+
+    return snapshot;
+  }
+
+  // Fields that differ between two snapshots, as { field: { from, to } }
+  diffSnapshots(before, after, fields = TRACKED_FIELDS) {
+    return fields.reduce((changes, field) => {
+      const from = before[field] === undefined ? null : before[field];
+      const to = after[field] === undefined ? null : after[field];
+      return isEqualValue(from, to) ? changes : { ...changes, [field]: { from, to } };
+    }, {});
+  }
+
+  // Build a revision document
+  // - action: 'create', 'update', 'restore' or 'baseline' (the state of a job
+  //   created before revisions existed, recorded on its first update)
+  buildRevision({ jobId, version, action, changedBy, snapshot, changes, restoredFrom = null, changedAt = null }) {
+    return {
+      jobId,
+      version,
+      action,
+      changedBy,
+      changedAt: changedAt || admin.firestore.FieldValue.serverTimestamp(),
+      changedFields: Object.keys(changes),
+      changes,
+      snapshot,
+      restoredFrom
+    };
+  }
+
+  // Get one revision of a job
+  async getRevision(jobId, version) {
+    const doc = await this.getRevisionRef(jobId, version).get();
+    if (!doc.exists) return null;
+    return { id: doc.id, ...doc.data() };
+  }
+
+  // Get one page of a job's revisions, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async listRevisions(jobId, options = {}) {
+    return this.queryPage(
+      [{ field: 'jobId', operator: '==', value: jobId }],
+      { ...options, orderBy: [{ field: 'version', direction: 'desc' }] }
+    );
+  }
+
+  // Get the revision a job was at on a given date
+  // Falls back to the oldest revision for dates before the job's history starts
+  async getRevisionAt(jobId, date) {
+    const [atDate] = await this.query(
+      [
+        { field: 'jobId', operator: '==', value: jobId },
+        { field: 'changedAt', operator: '<=', value: date }
+      ],
+      1,
+      { orderBy: [{ field: 'changedAt', direction: 'desc' }] }
+    );
+    if (atDate) return atDate;
+
+    const [oldest] = await this.query(
+      [{ field: 'jobId', operator: '==', value: jobId }],
+      1,
+      { orderBy: [{ field: 'version', direction: 'asc' }] }
+    );
+    return oldest || null;
+  }
+
+  // Get a job's latest revision
+  async getLatestRevision(jobId) {
+    const [latest] = await this.query(
+      [{ field: 'jobId', operator: '==', value: jobId }],
+      1,
+      { orderBy: [{ field: 'version', direction: 'desc' }] }
+    );
+    return latest || null;
+  }
+}
+
+module.exports = new JobRevisionModel();
@@ -1,32 +1,56 @@
 const BaseModel = require('./base.model');
 const { admin } = require('../config/firebase');
+const MatchScoring = require('../utils/matchScoring');
+const { calculateDistanceKm } = require('../utils/geo');
+const ConversationModel = require('./conversation.model');
+const JobAnalyticsModel = require('./jobAnalytics.model');
+const { notifyMatch } = require('../utils/notifications');
 
 class MatchModel extends BaseModel {
   constructor() {
     super('matches');
   }
 
+  // Build a deterministic document ID so a job/candidate pair can only match once
+  getMatchId(jobId, jobSeekerId) {
+    return `${jobId}_${jobSeekerId}`;
+  }
+
   // Create a new match
+  // Returns null if the pair already has one. The document is created rather
+  // than set, so of two requests racing only one gets the match back.
   async createMatch(matchData) {
     const match = {
       jobId: matchData.jobId,
       jobSeekerId: matchData.jobSeekerId,
       employerId: matchData.employerId,
       status: 'pending',
+      score: matchData.score || 0,
       matchCriteria: {
-        skillsMatch: matchData.skillsMatch || 0,
-        locationMatch: matchData.locationMatch || false,
-        experienceMatch: matchData.experienceMatch || false,
-        salaryMatch: matchData.salaryMatch || false
+        skills: matchData.criteria?.skills || 0,
+        experience: matchData.criteria?.experience || 0,
+        salary: matchData.criteria?.salary || 0,
+        location: matchData.criteria?.location || 0,
+        education: matchData.criteria?.education || 0
       },
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    return this.create(match);
+    const id = this.getMatchId(match.jobId, match.jobSeekerId);
+    try {
+      await this.collection.doc(id).create(match);
+    } catch (error) {
+      if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+      return null;
+    }
+
+    return { id, ...match };
   }
 
-  // Get matches by job seeker
-  async getMatchesByJobSeeker(jobSeekerId, status = null) {
+  // Get one page of matches by job seeker, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getMatchesByJobSeeker(jobSeekerId, status = null, options = {}) {
     const conditions = [
       { field: 'jobSeekerId', operator: '==', value: jobSeekerId }
     ];
@@ -35,11 +59,12 @@ class MatchModel extends BaseModel {
       conditions.push({ field: 'status', operator: '==', value: status });
     }
 
-    return this.query(conditions);
+    return this.queryPage(conditions, options);
   }
 
-  // Get matches by employer
-  async getMatchesByEmployer(employerId, status = null) {
+  // Get one page of matches by employer, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getMatchesByEmployer(employerId, status = null, options = {}) {
     const conditions = [
       { field: 'employerId', operator: '==', value: employerId }
     ];
@@ -48,11 +73,12 @@ class MatchModel extends BaseModel {
       conditions.push({ field: 'status', operator: '==', value: status });
     }
 
-    return this.query(conditions);
+    return this.queryPage(conditions, options);
   }
 
-  // Get matches by job
-  async getMatchesByJob(jobId, status = null) {
+  // Get one page of matches by job, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getMatchesByJob(jobId, status = null, options = {}) {
     const conditions = [
       { field: 'jobId', operator: '==', value: jobId }
     ];
@@ -61,7 +87,18 @@ class MatchModel extends BaseModel {
       conditions.push({ field: 'status', operator: '==', value: status });
     }
 
-    return this.query(conditions);
+    return this.queryPage(conditions, options);
+  }
+
+  // Count an employer's matches, optionally only those with one status
+  async countByEmployer(employerId, status = null) {
+    const conditions = [{ field: 'employerId', operator: '==', value: employerId }];
+    if (status) {
+      conditions.push({ field: 'status', operator: '==', value: status });
+    }
+
+    const snapshot = await this.buildQuery(conditions).count().get();
+    return snapshot.data().count;
   }
 
   // Update match status
@@ -74,6 +111,10 @@ class MatchModel extends BaseModel {
 
   // Check if match exists
   async checkMatchExists(jobId, jobSeekerId) {
+    const match = await this.findById(this.getMatchId(jobId, jobSeekerId));
+    if (match) return match;
+
+    // Matches made before IDs were deterministic have random IDs
     const matches = await this.query([
       { field: 'jobId', operator: '==', value: jobId },
       { field: 'jobSeekerId', operator: '==', value: jobSeekerId }
@@ -82,77 +123,57 @@ class MatchModel extends BaseModel {
     return matches.length > 0 ? matches[0] : null;
   }
 
-  // Calculate match score
-  calculateMatchScore(job, jobSeeker) {
-    let score = 0;
-    const criteria = {
-      skillsMatch: 0,
-      locationMatch: false,
-      experienceMatch: false,
-      salaryMatch: false
-    };
+  // Create a match for a job/candidate pair once both sides have liked each other
+  // Safe to call again for the same pair: it returns the existing match, making
+  // sure its conversation exists in case an earlier attempt stopped part-way
+  async createMutualMatch(job, jobSeeker) {
+    const existingMatch = await this.checkMatchExists(job.id, jobSeeker.id);
+    if (existingMatch) {
+      await ConversationModel.getOrCreateForMatch(existingMatch);
+      return existingMatch;
+    }
 
-    // Skills match (30% weight)
-    const matchingSkills = job.skills.filter(skill => 
-      jobSeeker.jobSeeker.profile.skills.includes(skill)
-    );
-    criteria.skillsMatch = (matchingSkills.length / job.skills.length) * 100;
-    score += (criteria.skillsMatch * 0.3);
-
-    // Experience match (25% weight)
-    const expMatch = jobSeeker.jobSeeker.profile.experience >= job.experienceLevel;
-    criteria.experienceMatch = expMatch;
-    score += expMatch ? 25 : 0;
-
-    // Location match (25% weight)
-    const jobLocation = job.location.locations[0].coordinates;
-    const seekerLocation = jobSeeker.jobSeeker.currentLocation;
-    const distance = this.calculateDistance(
-      jobLocation.latitude,
-      jobLocation.longitude,
-      seekerLocation.latitude,
-      seekerLocation.longitude
-    );
-    criteria.locationMatch = distance <= jobSeeker.jobSeeker.searchRadius;
-    score += criteria.locationMatch ? 25 : 0;
+    const { score, criteria } = this.calculateMatchScore(job, jobSeeker);
 
-    // Salary match (20% weight)
-    const salaryMatch = this.checkSalaryMatch(job.salary, jobSeeker.jobSeeker.profile.preferredSalary);
-    criteria.salaryMatch = salaryMatch;
-    score += salaryMatch ? 20 : 0;
+    const match = await this.createMatch({
+      jobId: job.id,
+      jobSeekerId: jobSeeker.id,
+      employerId: job.employerId,
+      score,
+      criteria
+    });
 
-    return { score, criteria };
-  }
+    // Both sides' swipes raced here and the other request made the match;
+    // it also takes care of the conversation and notifications
+    if (!match) return this.findById(this.getMatchId(job.id, jobSeeker.id));
 
-  // Helper: Calculate distance between two points
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = this.toRad(lat2 - lat1);
-    const dLon = this.toRad(lon2 - lon1);
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+    // Matching unlocks messaging between the two sides
+    await ConversationModel.getOrCreateForMatch(match);
+    await JobAnalyticsModel.record(job, 'matches');
+    await notifyMatch(match, job);
+
+    return match;
   }
 
-  // Helper: Convert degrees to radians
-  toRad(degrees) {
-    return degrees * Math.PI / 180;
+  // Calculate match score (see utils/matchScoring.js for the full algorithm)
+  calculateMatchScore(job, jobSeeker) {
+    const { score, breakdown } = MatchScoring.calculateMatchScore(job, jobSeeker.jobSeeker);
+
+    // Points earned per factor, as stored on match documents
+    const criteria = Object.keys(breakdown).reduce((points, factor) => ({
+      ...points,
+      [factor]: breakdown[factor].points
+    }), {});
+
+    return { score, criteria, breakdown };
   }
 
-  // Helper: Check salary match
-  checkSalaryMatch(jobSalary, seekerSalary) {
-    if (seekerSalary.isNegotiable) return true;
-    
-    // Convert both salaries to annual if needed
-    const jobAnnual = jobSalary.type === 'monthly' ? jobSalary.amount * 12 : jobSalary.amount;
-    const seekerAnnual = seekerSalary.type === 'monthly' ? seekerSalary.amount * 12 : seekerSalary.amount;
-    
-    // Allow for a 10% variance
-    const minAcceptable = seekerAnnual * 0.9;
-    return jobAnnual >= minAcceptable;
+  // Helper: Calculate distance between two points
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    return calculateDistanceKm(
+      { latitude: lat1, longitude: lon1 },
+      { latitude: lat2, longitude: lon2 }
+    );
   }
 }
 
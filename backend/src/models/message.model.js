@@ -0,0 +1,42 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+
+// Messages sent in conversations (see conversation.model.js)
+// - status: 'visible', or 'flagged' when a moderation hook marked it for review.
+//   Moderators can set 'hidden' to take a message out of the conversation
+// - attachments: references to files stored elsewhere ({ name, url, contentType, size })
+class MessageModel extends BaseModel {
+  constructor() {
+    super('messages');
+  }
+
+  // Reference for a new message
+  newMessageRef() {
+    return this.collection.doc();
+  }
+
+  // Build a message document
+  buildMessage({ conversationId, senderId, text, attachments = [], moderation }) {
+    return {
+      conversationId,
+      senderId,
+      text: text || '',
+      attachments,
+      status: moderation.action === 'flag' ? 'flagged' : 'visible',
+      moderationReasons: moderation.reasons,
+      // Set here rather than by the server so the conversation preview can use the same time
+      createdAt: admin.firestore.Timestamp.now()
+    };
+  }
+
+  // Get one page of a conversation's messages, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getMessages(conversationId, options = {}) {
+    return this.queryPage(
+      [{ field: 'conversationId', operator: '==', value: conversationId }],
+      options
+    );
+  }
+}
+
+module.exports = new MessageModel();
@@ -0,0 +1,93 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+
+// Most notifications markAllRead updates per batch (Firestore's limit is 500 writes)
+const READ_BATCH_SIZE = 500;
+
+// In-app notification inbox items
+// - type: the event that caused it (see config/notificationEvents.js)
+// - data: IDs the app needs to open the right screen (matchId, jobId, ...)
+// - status: 'unread' until the user reads it
+class NotificationModel extends BaseModel {
+  constructor() {
+    super('notifications');
+  }
+
+  // Add a notification to a user's inbox
+  async createNotification({ userId, type, title, message, data = {} }) {
+    return this.create({
+      userId,
+      type,
+      title,
+      message,
+      data,
+      status: 'unread',
+      readAt: null
+    });
+  }
+
+  // Get one page of a user's notifications, newest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getNotificationsForUser(userId, status = null, options = {}) {
+    const conditions = [
+      { field: 'userId', operator: '==', value: userId }
+    ];
+
+    if (status) {
+      conditions.push({ field: 'status', operator: '==', value: status });
+    }
+
+    return this.queryPage(conditions, options);
+  }
+
+  // Count a user's unread notifications
+  async countUnread(userId) {
+    const snapshot = await this.buildQuery([
+      { field: 'userId', operator: '==', value: userId },
+      { field: 'status', operator: '==', value: 'unread' }
+    ]).count().get();
+
+    return snapshot.data().count;
+  }
+
+  // Mark one notification as read
+  async markRead(notification) {
+    if (notification.status === 'read') return notification;
+
+    return this.update(notification.id, {
+      status: 'read',
+      readAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Mark all of a user's notifications as read
+  // Returns how many were updated
+  async markAllRead(userId) {
+    let readCount = 0;
+    let snapshot;
+
+    do {
+      snapshot = await this.buildQuery([
+        { field: 'userId', operator: '==', value: userId },
+        { field: 'status', operator: '==', value: 'unread' }
+      ]).limit(READ_BATCH_SIZE).get();
+
+      if (snapshot.empty) break;
+
+      const batch = this.collection.firestore.batch();
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, {
+          status: 'read',
+          readAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+      readCount += snapshot.size;
+    } while (snapshot.size === READ_BATCH_SIZE);
+
+    return readCount;
+  }
+}
+
+module.exports = new NotificationModel();
@@ -0,0 +1,53 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+
+// Expo push tokens of the devices users are signed in on, stored as
+// pushTokens/{token}. A device has one token, so signing in as someone
+// else on the same device moves the token to the new user.
+class PushTokenModel extends BaseModel {
+  constructor() {
+    super('pushTokens');
+  }
+
+  // Register a device's token for a user
+  async registerToken(userId, token, platform) {
+    await this.collection.doc(token).set({
+      userId,
+      token,
+      platform: platform || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return this.findById(token);
+  }
+
+  // Remove a token, e.g. when the user signs out on that device
+  // Returns false if the token isn't registered to this user
+  async removeToken(userId, token) {
+    const existing = await this.findById(token);
+    if (!existing || existing.userId !== userId) return false;
+
+    await this.delete(token);
+    return true;
+  }
+
+  // Every token registered to a user
+  async getTokensForUser(userId) {
+    const tokens = await this.query(
+      [{ field: 'userId', operator: '==', value: userId }],
+      100
+    );
+    return tokens.map(item => item.token);
+  }
+
+  // Remove tokens the push service says are no longer valid
+  async removeTokens(tokens) {
+    if (tokens.length === 0) return;
+
+    const batch = this.collection.firestore.batch();
+    tokens.forEach(token => batch.delete(this.collection.doc(token)));
+    await batch.commit();
+  }
+}
+
+module.exports = new PushTokenModel();
@@ -0,0 +1,126 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const JobModel = require('./job.model');
+const UserModel = require('./user.model');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const {
+  REPORT_TARGET_TYPES,
+  REPORT_STATUSES,
+  REPORT_HIDE_THRESHOLD
+} = require('../config/reports');
+
+// The model that holds each kind of reported thing
+const TARGET_MODELS = {
+  [REPORT_TARGET_TYPES.JOB]: { model: JobModel, name: 'Job' },
+  [REPORT_TARGET_TYPES.USER]: { model: UserModel, name: 'User' }
+};
+
+// Abuse reports on jobs and accounts (see config/reports.js).
+// Documents are reports/{targetType}_{targetId}_{reporterId}, so each reporter
+// has at most one report per job or account.
+// Reported jobs and users count their open reports in `moderation.reportCount`.
+class ReportModel extends BaseModel {
+  constructor() {
+    super('reports');
+  }
+
+  // Build a deterministic document ID so a reporter can't pile up reports
+  getReportId(targetType, targetId, reporterId) {
+    return `${targetType}_${targetId}_${reporterId}`;
+  }
+
+  // File a report, flag what was reported and hide it once it has
+  // REPORT_HIDE_THRESHOLD open reports
+  // - report: { reason, evidence }
+  // Returns { report, hidden } where hidden is true if this report hid it
+  async createReport(targetType, targetId, reporterId, { reason, evidence = null }) {
+    const { model, name } = TARGET_MODELS[targetType];
+    const targetRef = model.collection.doc(targetId);
+    const reportRef = this.collection.doc(this.getReportId(targetType, targetId, reporterId));
+
+    return this.collection.firestore.runTransaction(async (transaction) => {
+      const [targetDoc, reportDoc] = await Promise.all([
+        transaction.get(targetRef),
+        transaction.get(reportRef)
+      ]);
+
+      if (!targetDoc.exists) {
+        throw new APIError(404, `${name} not found`);
+      }
+
+      // A closed report can be replaced by a new one, an open one can't
+      if (reportDoc.exists && reportDoc.data().status === REPORT_STATUSES.OPEN) {
+        throw new APIError(409, `You have already reported this ${targetType === REPORT_TARGET_TYPES.JOB ? 'job' : 'account'}`, null, ERROR_CODES.ALREADY_REPORTED);
+      }
+
+      const target = { id: targetDoc.id, ...targetDoc.data() };
+      const moderation = target.moderation || {};
+      const reportCount = (moderation.reportCount || 0) + 1;
+      // Hide it when this report reaches the threshold (the count restarts after a review)
+      const hideFields = reportCount === REPORT_HIDE_THRESHOLD
+        ? model.getHideFields(target, `Hidden automatically after ${reportCount} reports`)
+        : {};
+      const hidden = Object.keys(hideFields).length > 0;
+
+      const report = {
+        targetType,
+        targetId,
+        reporterId,
+        reason,
+        evidence,
+        status: REPORT_STATUSES.OPEN,
+        resolvedBy: null,
+        resolvedAt: null,
+        createdAt: admin.firestore.Timestamp.now()
+      };
+      transaction.set(reportRef, report);
+
+      transaction.update(targetRef, {
+        ...model.getFlagFields(moderation, `Reported: ${reason}`),
+        'moderation.reportCount': reportCount,
+        ...hideFields
+      });
+
+      return { report: { id: reportRef.id, ...report }, hidden };
+    });
+  }
+
+  // Get one page of reports, newest first
+  // - filters: { status, targetType, targetId }, all optional
+  // - options: { limit, pageToken } - see BaseModel.queryPage
+  async getReports(filters = {}, options = {}) {
+    const conditions = ['status', 'targetType', 'targetId']
+      .filter(field => filters[field])
+      .map(field => ({ field, operator: '==', value: filters[field] }));
+
+    return this.queryPage(conditions, options);
+  }
+
+  // Close every open report on a job or account after an admin reviewed it
+  // - status: 'dismissed' or 'actioned'
+  // Returns how many reports were closed
+  async resolveReports(targetType, targetId, status, adminId) {
+    const snapshot = await this.buildQuery([
+      { field: 'targetType', operator: '==', value: targetType },
+      { field: 'targetId', operator: '==', value: targetId },
+      { field: 'status', operator: '==', value: REPORT_STATUSES.OPEN }
+    ]).get();
+
+    if (snapshot.empty) return 0;
+
+    const batch = this.collection.firestore.batch();
+    snapshot.docs.forEach(doc => {
+      batch.update(doc.ref, {
+        status,
+        resolvedBy: adminId,
+        resolvedAt: admin.firestore.Timestamp.now()
+      });
+    });
+    await batch.commit();
+
+    return snapshot.size;
+  }
+}
+
+module.exports = new ReportModel();
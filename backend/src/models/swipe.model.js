@@ -0,0 +1,132 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+// What each side is told when they swipe on a pair twice
+const ALREADY_SWIPED_MESSAGES = {
+  jobSeeker: 'You have already swiped on this job',
+  employer: 'You have already swiped on this candidate for this job'
+};
+
+class SwipeModel extends BaseModel {
+  constructor() {
+    super('swipes');
+  }
+
+  // Build a deterministic document ID so each side can only swipe once per job/candidate pair
+  getSwipeId(swiperType, jobId, jobSeekerId) {
+    return `${swiperType}_${jobId}_${jobSeekerId}`;
+  }
+
+  // Record a swipe decision
+  // Returns { swipe, created }. The document is created rather than set, so of two
+  // requests racing (e.g. a double tap or a retry) only one of them creates it:
+  // - addWrites(batch) adds writes that belong to the swipe (like counters). They
+  //   are committed in the same batch, so they happen exactly once with it
+  // - repeating the same decision returns the stored swipe with `created: false`,
+  //   so callers can finish any follow-up steps an earlier attempt didn't
+  // - changing the decision throws 409
+  async recordSwipe(swipeData, addWrites = () => {}) {
+    const swipe = {
+      swiperType: swipeData.swiperType,
+      swiperId: swipeData.swiperId,
+      jobId: swipeData.jobId,
+      jobSeekerId: swipeData.jobSeekerId,
+      employerId: swipeData.employerId,
+      direction: swipeData.direction,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const id = this.getSwipeId(swipe.swiperType, swipe.jobId, swipe.jobSeekerId);
+    const batch = this.collection.firestore.batch();
+    batch.create(this.collection.doc(id), swipe);
+    addWrites(batch);
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+
+      const existing = await this.findById(id);
+      if (!existing || existing.direction !== swipe.direction) {
+        throw new APIError(409, ALREADY_SWIPED_MESSAGES[swipe.swiperType], null, ERROR_CODES.ALREADY_SWIPED);
+      }
+      return { swipe: existing, created: false };
+    }
+
+    return { swipe: { id, ...swipe }, created: true };
+  }
+
+  // Get a single side's swipe for a job/candidate pair
+  async findSwipe(swiperType, jobId, jobSeekerId) {
+    return this.findById(this.getSwipeId(swiperType, jobId, jobSeekerId));
+  }
+
+  // Check whether a side has liked (swiped right on) a job/candidate pair
+  async hasLiked(swiperType, jobId, jobSeekerId) {
+    const swipe = await this.findSwipe(swiperType, jobId, jobSeekerId);
+    return !!swipe && swipe.direction === 'right';
+  }
+
+  // Find which of these jobs a job seeker has swiped on
+  // Reads the swipe documents by ID, so it works however many swipes they have
+  async getSwipedJobIds(jobSeekerId, jobIds) {
+    if (jobIds.length === 0) return new Set();
+
+    const refs = jobIds.map(jobId => this.collection.doc(this.getSwipeId('jobSeeker', jobId, jobSeekerId)));
+    const docs = await this.collection.firestore.getAll(...refs);
+
+    return new Set(docs.filter(doc => doc.exists).map(doc => doc.data().jobId));
+  }
+
+  // Get swipes made by a job seeker
+  async getSwipesByJobSeeker(jobSeekerId, direction = null, limit = 100) {
+    const conditions = [
+      { field: 'swiperType', operator: '==', value: 'jobSeeker' },
+      { field: 'jobSeekerId', operator: '==', value: jobSeekerId }
+    ];
+
+    if (direction) {
+      conditions.push({ field: 'direction', operator: '==', value: direction });
+    }
+
+    return this.query(conditions, limit);
+  }
+
+  // Count the candidates an employer has shortlisted (swiped right on) across all their jobs
+  async countShortlisted(employerId) {
+    const snapshot = await this.buildQuery([
+      { field: 'swiperType', operator: '==', value: 'employer' },
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'direction', operator: '==', value: 'right' }
+    ]).count().get();
+
+    return snapshot.data().count;
+  }
+
+  // Get the latest likes (right swipes) job seekers gave an employer's jobs, newest first
+  async getRecentLikesForEmployer(employerId, limit = 10) {
+    return this.query([
+      { field: 'swiperType', operator: '==', value: 'jobSeeker' },
+      { field: 'employerId', operator: '==', value: employerId },
+      { field: 'direction', operator: '==', value: 'right' }
+    ], limit, { orderBy: [{ field: 'createdAt', direction: 'desc' }] });
+  }
+
+  // Get swipes an employer made on candidates for one of their jobs
+  async getEmployerSwipesByJob(jobId, direction = null, limit = 100) {
+    const conditions = [
+      { field: 'swiperType', operator: '==', value: 'employer' },
+      { field: 'jobId', operator: '==', value: jobId }
+    ];
+
+    if (direction) {
+      conditions.push({ field: 'direction', operator: '==', value: direction });
+    }
+
+    return this.query(conditions, limit);
+  }
+}
+
+module.exports = new SwipeModel();
@@ -1,5 +1,27 @@
 const BaseModel = require('./base.model');
 const { admin } = require('../config/firebase');
+const { buildGeohashes } = require('../utils/geo');
+const { getPreferences } = require('../config/notificationEvents');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const {
+  VERIFICATION_STATUSES,
+  getGracePeriodEnd,
+  getVerificationState
+} = require('../config/verification');
+
+// Where each user type keeps the location used for radius searches
+const LOCATION_FIELDS = {
+  jobSeeker: { point: 'jobSeeker.currentLocation', geohashes: 'jobSeeker.geohashes' },
+  employer: { point: 'employer.profile.headquarters', geohashes: 'employer.profile.geohashes' }
+};
+
+// Profile settings kept on the user type's object itself rather than in its
+// profile map, because other code reads them from there (e.g. match scoring)
+const SETTINGS_FIELDS = {
+  jobSeeker: ['searchRadius'],
+  employer: []
+};
 
 class UserModel extends BaseModel {
   constructor() {
@@ -10,6 +32,7 @@ class UserModel extends BaseModel {
   async createUser(userData, userType) {
     const baseData = {
       userType,
+      role: userData.role,
       email: userData.email,
       emailVerified: false,
       status: 'active',
@@ -19,11 +42,13 @@ class UserModel extends BaseModel {
 
     // Add type-specific data
     if (userType === 'jobSeeker') {
+      const currentLocation = new admin.firestore.GeoPoint(
+        userData.latitude || 0,
+        userData.longitude || 0
+      );
       baseData.jobSeeker = {
-        currentLocation: new admin.firestore.GeoPoint(
-          userData.latitude || 0,
-          userData.longitude || 0
-        ),
+        currentLocation,
+        geohashes: buildGeohashes([currentLocation]),
         searchRadius: userData.searchRadius || 50,
         profile: {
           name: userData.name,
@@ -43,6 +68,10 @@ class UserModel extends BaseModel {
         }
       };
     } else if (userType === 'employer') {
+      const headquarters = new admin.firestore.GeoPoint(
+        userData.latitude || 0,
+        userData.longitude || 0
+      );
       baseData.employer = {
         employerType: userData.employerType || 'direct',
         profile: {
@@ -52,10 +81,8 @@ class UserModel extends BaseModel {
           website: '',
           industry: [],
           employerSize: '',
-          headquarters: new admin.firestore.GeoPoint(
-            userData.latitude || 0,
-            userData.longitude || 0
-          ),
+          headquarters,
+          geohashes: buildGeohashes([headquarters]),
           officeLocations: [],
           socialMedia: {
             linkedin: '',
@@ -65,6 +92,13 @@ class UserModel extends BaseModel {
         }
       };
 
+      // The verification grace period starts at sign-up
+      baseData.verification = {
+        status: VERIFICATION_STATUSES.UNVERIFIED,
+        method: null,
+        gracePeriodEndsAt: admin.firestore.Timestamp.fromDate(getGracePeriodEnd())
+      };
+
       if (userData.employerType === 'agency') {
         baseData.employer.profile.agencyDetails = {
           establishedYear: new Date().getFullYear(),
@@ -82,12 +116,76 @@ class UserModel extends BaseModel {
     return { id: userData.uid, ...baseData };
   }
 
-  // Update user profile
+  // Set a user's role as a custom claim (so it's in their ID token) and on their document
+  async setRole(userId, role) {
+    await admin.auth().setCustomUserClaims(userId, { role });
+    await this.collection.doc(userId).set({
+      role,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  // Fields that hide an account once it has enough reports (see config/reports.js)
+  getHideFields(user) {
+    return this.isHidden(user) ? {} : {
+      'moderation.hidden': true,
+      'moderation.hiddenAt': admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  // Check whether an account is hidden after being reported
+  isHidden(user) {
+    return Boolean(user?.moderation?.hidden);
+  }
+
+  // Reviewing an account also un-hides it
+  async clearFlag(id, reviewerId, fields = {}) {
+    return super.clearFlag(id, reviewerId, {
+      'moderation.hidden': false,
+      'moderation.hiddenAt': null,
+      ...fields
+    });
+  }
+
+  // Suspend an account (admins only). The Firebase account is disabled and its
+  // sessions are revoked, so the user is signed out everywhere straight away.
+  async suspendUser(user, reason, adminId) {
+    if (user.status === 'suspended') {
+      throw new APIError(409, 'This account is already suspended', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    await admin.auth().updateUser(user.id, { disabled: true });
+    await admin.auth().revokeRefreshTokens(user.id);
+
+    return this.clearFlag(user.id, adminId, {
+      status: 'suspended',
+      'moderation.suspensionReason': reason,
+      'moderation.suspendedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Let a suspended user sign in again
+  async restoreUser(user, adminId) {
+    if (user.status !== 'suspended') {
+      throw new APIError(409, 'Only suspended accounts can be restored', null, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    }
+
+    await admin.auth().updateUser(user.id, { disabled: false });
+
+    return this.clearFlag(user.id, adminId, {
+      status: 'active',
+      'moderation.suspensionReason': null,
+      'moderation.suspendedAt': null
+    });
+  }
+
+  // Update user profile (fields in SETTINGS_FIELDS go next to the profile instead)
   async updateProfile(userId, profileData, userType) {
-    const updatePath = userType === 'jobSeeker' ? 'jobSeeker.profile' : 'employer.profile';
+    const typeKey = userType === 'jobSeeker' ? 'jobSeeker' : 'employer';
     const updates = {};
     
     Object.keys(profileData).forEach(key => {
+      const updatePath = SETTINGS_FIELDS[typeKey].includes(key) ? typeKey : `${typeKey}.profile`;
       updates[`${updatePath}.${key}`] = profileData[key];
     });
     
@@ -97,25 +195,75 @@ class UserModel extends BaseModel {
     return this.findById(userId);
   }
 
+  // Get a user's notification preferences, with defaults for anything not set
+  async getNotificationPreferences(userId) {
+    const user = await this.findById(userId);
+    return getPreferences(user?.notificationPreferences);
+  }
+
+  // Update some of a user's notification preferences
+  // changes: { [event]: { inApp, push } } - only the given channels change
+  async updateNotificationPreferences(userId, changes) {
+    const updates = {};
+
+    Object.keys(changes).forEach(event => {
+      Object.keys(changes[event]).forEach(channel => {
+        updates[`notificationPreferences.${event}.${channel}`] = changes[event][channel];
+      });
+    });
+
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    await this.collection.doc(userId).update(updates);
+    return this.getNotificationPreferences(userId);
+  }
+
+  // Get an employer's verification state (see config/verification.js)
+  // Accounts from before grace periods were tracked get one, counted from sign-up
+  async getVerification(userId) {
+    const user = await this.findById(userId);
+    if (!user) return null;
+
+    let verification = user.verification || {};
+    if (!verification.gracePeriodEndsAt) {
+      const createdAt = user.createdAt?.toDate ? user.createdAt.toDate() : new Date(user.createdAt || Date.now());
+      const start = Number.isNaN(createdAt.getTime()) ? new Date() : createdAt;
+      const gracePeriodEndsAt = admin.firestore.Timestamp.fromDate(getGracePeriodEnd(start));
+
+      await this.collection.doc(userId).update({ 'verification.gracePeriodEndsAt': gracePeriodEndsAt });
+      verification = { ...verification, gracePeriodEndsAt };
+    }
+
+    return getVerificationState(verification);
+  }
+
   // Update user location
   async updateLocation(userId, latitude, longitude, userType) {
     const location = new admin.firestore.GeoPoint(latitude, longitude);
-    const updatePath = userType === 'jobSeeker' ? 'jobSeeker.currentLocation' : 'employer.profile.headquarters';
+    const fields = LOCATION_FIELDS[userType === 'jobSeeker' ? 'jobSeeker' : 'employer'];
     
     await this.collection.doc(userId).update({
-      [updatePath]: location,
+      [fields.point]: location,
+      [fields.geohashes]: buildGeohashes([location]),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
     return this.findById(userId);
   }
 
-  // Get nearby users
+  // Get nearby users, each with `distance` in km
+  // Returns { items, truncated } (see BaseModel.geoQuery)
   async getNearbyUsers(latitude, longitude, radius, userType, limit = 10) {
     const location = { latitude, longitude };
-    const users = await this.geoQuery(location, radius, limit);
-    
-    return users.filter(user => user.userType === userType);
+    const fields = LOCATION_FIELDS[userType];
+    const pointPath = fields.point.split('.');
+
+    return this.geoQuery(location, radius, {
+      geohashField: fields.geohashes,
+      getPoints: (user) => [pointPath.reduce((value, key) => value && value[key], user)],
+      conditions: [{ field: 'userType', operator: '==', value: userType }],
+      limit
+    });
   }
 
   // Update user profile image
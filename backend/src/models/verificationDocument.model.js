@@ -0,0 +1,138 @@
+const BaseModel = require('./base.model');
+const { admin } = require('../config/firebase');
+const UserModel = require('./user.model');
+const { APIError } = require('../middleware/error');
+const {
+  VERIFICATION_STATUSES,
+  VERIFICATION_METHODS,
+  DOCUMENT_STATUSES
+} = require('../config/verification');
+
+// Most documents listed for one employer
+const MAX_DOCUMENTS_PER_EMPLOYER = 50;
+
+// Business documents employers upload to get verified
+// (business registration, tax documents, licences...). Files live in
+// Storage (see utils/documentStorage.js); these documents hold the details
+// and the review outcome.
+// - status: 'pending' until a reviewer approves or rejects it
+class VerificationDocumentModel extends BaseModel {
+  constructor() {
+    super('verificationDocuments');
+  }
+
+  // Save uploaded documents and mark the employer as waiting for review
+  // files: [{ fileName, contentType, size, storagePath }]
+  async createDocuments(employerId, files, documentType) {
+    const user = await UserModel.findById(employerId);
+    const batch = this.collection.firestore.batch();
+
+    const documents = files.map(file => {
+      const ref = this.collection.doc();
+      const document = {
+        employerId,
+        documentType,
+        fileName: file.fileName,
+        contentType: file.contentType,
+        size: file.size,
+        storagePath: file.storagePath,
+        status: DOCUMENT_STATUSES.PENDING,
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+        createdAt: admin.firestore.Timestamp.now()
+      };
+      batch.create(ref, document);
+      return { id: ref.id, ...document };
+    });
+
+    // Verified employers can add documents without going back to pending
+    if (user?.verification?.status !== VERIFICATION_STATUSES.VERIFIED) {
+      batch.update(UserModel.collection.doc(employerId), {
+        'verification.status': VERIFICATION_STATUSES.PENDING,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    await batch.commit();
+    return documents;
+  }
+
+  // Get an employer's documents, newest first
+  async getDocumentsForEmployer(employerId) {
+    return this.query(
+      [{ field: 'employerId', operator: '==', value: employerId }],
+      MAX_DOCUMENTS_PER_EMPLOYER,
+      { orderBy: [{ field: 'createdAt', direction: 'desc' }] }
+    );
+  }
+
+  // Get one page of documents waiting for review, oldest first
+  // options: { limit, pageToken } - see BaseModel.queryPage
+  async getPendingDocuments(options = {}) {
+    return this.queryPage(
+      [{ field: 'status', operator: '==', value: DOCUMENT_STATUSES.PENDING }],
+      { ...options, orderBy: [{ field: 'createdAt', direction: 'asc' }] }
+    );
+  }
+
+  // Approve or reject a pending document and update the employer's verification
+  // - approved: the employer is verified
+  // - rejected: the employer stays pending while other documents wait for
+  //   review, and is otherwise rejected (unless already verified)
+  // Runs in a transaction so two reviews can't race each other.
+  async reviewDocument(documentId, decision, reviewerId, rejectionReason = null) {
+    const ref = this.collection.doc(documentId);
+
+    await this.collection.firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        throw new APIError(404, 'Document not found');
+      }
+
+      const document = doc.data();
+      if (document.status !== DOCUMENT_STATUSES.PENDING) {
+        throw new APIError(409, `This document has already been ${document.status}`);
+      }
+
+      const userRef = UserModel.collection.doc(document.employerId);
+      const [userDoc, pendingSnapshot] = await Promise.all([
+        transaction.get(userRef),
+        transaction.get(this.buildQuery([
+          { field: 'employerId', operator: '==', value: document.employerId },
+          { field: 'status', operator: '==', value: DOCUMENT_STATUSES.PENDING }
+        ]))
+      ]);
+
+      const now = admin.firestore.Timestamp.now();
+      transaction.update(ref, {
+        status: decision,
+        reviewedBy: reviewerId,
+        reviewedAt: now,
+        rejectionReason: decision === DOCUMENT_STATUSES.REJECTED ? rejectionReason : null
+      });
+
+      const currentStatus = userDoc.exists ? userDoc.data().verification?.status : null;
+      if (!userDoc.exists || currentStatus === VERIFICATION_STATUSES.VERIFIED) return;
+
+      if (decision === DOCUMENT_STATUSES.APPROVED) {
+        transaction.update(userRef, {
+          'verification.status': VERIFICATION_STATUSES.VERIFIED,
+          'verification.method': VERIFICATION_METHODS.DOCUMENTS,
+          'verification.verifiedAt': now,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } else {
+        const othersPending = pendingSnapshot.docs.some(pending => pending.id !== documentId);
+        transaction.update(userRef, {
+          'verification.status': othersPending ? VERIFICATION_STATUSES.PENDING : VERIFICATION_STATUSES.REJECTED,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    });
+
+    return this.findById(documentId);
+  }
+}
+
+module.exports = new VerificationDocumentModel();
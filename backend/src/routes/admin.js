@@ -0,0 +1,477 @@
+/**
+ * Admin API Routes
+ *
+ * Moderation tools for admins (accounts granted the role with
+ * scripts/setAdminRole.js):
+ * - Verifications: approve or reject the documents employers upload
+ * - Jobs: review flagged job posts, suspend scam posts and restore them
+ * - Users: review flagged accounts, suspend abusive ones and restore them
+ *
+ * Jobs and users are flagged for review automatically when they are reported
+ * (see routes/reports.js) or when a message they send is flagged by the
+ * moderation hooks. Approving a flagged job or user clears its flags and
+ * dismisses its open reports; suspending it marks them actioned. Suspending an employer also suspends their live jobs;
+ * restoring the account brings those jobs back.
+ *
+ * Every action is recorded in the audit log (GET /api/admin/audit-log). The
+ * entry is written before the action runs and closed with its outcome after.
+ *
+ * Important: All routes need authentication and the admin role
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const { DOCUMENT_STATUSES } = require('../config/verification');
+const { ADMIN_ACTIONS, AUDIT_TARGET_TYPES } = require('../config/adminActions');
+const { REPORT_TARGET_TYPES, REPORT_STATUSES } = require('../config/reports');
+const JobModel = require('../models/job.model');
+const UserModel = require('../models/user.model');
+const VerificationDocumentModel = require('../models/verificationDocument.model');
+const AuditLogModel = require('../models/auditLog.model');
+const ReportModel = require('../models/report.model');
+const DocumentStorage = require('../utils/documentStorage');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const adminSchemas = require('../schemas/admin');
+const logger = require('../utils/logger').child({ component: 'AdminRoutes' });
+
+// Every route here is admin-only
+router.use(authenticateUser, requireRole(ROLES.ADMIN));
+
+// Helper function to leave the search index out of job responses
+const toJobResponse = ({ searchIndex, ...job }) => job;
+
+// Helper function to hide where a document is stored
+const toDocumentResponse = ({ storagePath, ...document }) => document;
+
+// Helper function to load a job or user an admin is acting on
+const getTarget = async (Model, id, name) => {
+  const target = await Model.findById(id);
+  if (!target) {
+    throw new APIError(404, `${name} not found`);
+  }
+  return target;
+};
+
+// Helper function to run an action of the current admin with an audit log entry
+// The entry is written first, so an action can't happen without a trace, then
+// closed with the details run() returns ({ result, details }) or the error it threw
+const withAudit = async (req, { action, targetType, targetId, details = {} }, run) => {
+  const entry = await AuditLogModel.start({
+    adminId: req.user.uid,
+    action,
+    targetType,
+    targetId,
+    reason: req.body.reason || null,
+    details
+  });
+
+  let outcome;
+  try {
+    outcome = await run();
+  } catch (error) {
+    // The entry stays pending if this fails too, which still shows the attempt
+    await AuditLogModel.fail(entry.id, error).catch(failError => {
+      logger.error('Could not close audit log entry', { entryId: entry.id, error: failError });
+    });
+    throw error;
+  }
+
+  await AuditLogModel.complete(entry.id, { ...details, ...outcome.details });
+  return outcome.result;
+};
+
+/**
+ * List verification documents waiting for review
+ * GET /api/admin/verifications
+ * Oldest first, each with a download link valid for 15 minutes
+ *
+ * Query parameters:
+ * - limit: documents per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/verifications', validateRequest({ query: adminSchemas.pagination }), async (req, res, next) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await VerificationDocumentModel.getPendingDocuments({ limit, pageToken });
+
+    const documents = await Promise.all(items.map(async document => ({
+      ...toDocumentResponse(document),
+      downloadUrl: await DocumentStorage.getDownloadUrl(document.storagePath)
+    })));
+
+    res.json({
+      status: 'success',
+      data: documents,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Approve a verification document
+ * POST /api/admin/verifications/:id/approve
+ * The employer becomes verified
+ *
+ * Body:
+ * - reason: optional note for the audit log
+ */
+router.post('/verifications/:id/approve', validateRequest({ body: adminSchemas.reasonOptional }), async (req, res, next) => {
+  try {
+    const document = await withAudit(req, {
+      action: ADMIN_ACTIONS.APPROVE_VERIFICATION,
+      targetType: AUDIT_TARGET_TYPES.VERIFICATION_DOCUMENT,
+      targetId: req.params.id
+    }, async () => {
+      const reviewed = await VerificationDocumentModel.reviewDocument(req.params.id, DOCUMENT_STATUSES.APPROVED, req.user.uid);
+      return { result: reviewed, details: { employerId: reviewed.employerId } };
+    });
+
+    res.json({
+      status: 'success',
+      data: toDocumentResponse(document)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Reject a verification document
+ * POST /api/admin/verifications/:id/reject
+ * The employer is rejected unless other documents are still waiting for review
+ *
+ * Body:
+ * - reason: why it was rejected, shown to the employer
+ */
+router.post('/verifications/:id/reject', validateRequest({ body: adminSchemas.reasonRequired }), async (req, res, next) => {
+  try {
+    const document = await withAudit(req, {
+      action: ADMIN_ACTIONS.REJECT_VERIFICATION,
+      targetType: AUDIT_TARGET_TYPES.VERIFICATION_DOCUMENT,
+      targetId: req.params.id
+    }, async () => {
+      const reviewed = await VerificationDocumentModel.reviewDocument(
+        req.params.id,
+        DOCUMENT_STATUSES.REJECTED,
+        req.user.uid,
+        req.body.reason
+      );
+      return { result: reviewed, details: { employerId: reviewed.employerId } };
+    });
+
+    res.json({
+      status: 'success',
+      data: toDocumentResponse(document)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List abuse reports
+ * GET /api/admin/reports
+ * Newest first. Reports also flag what they are about, so reported jobs and
+ * users show up in the flagged queues below.
+ *
+ * Query parameters:
+ * - status: open (default), dismissed or actioned
+ * - targetType, targetId: reports on one kind of thing, or one thing
+ * - limit: reports per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/reports', validateRequest({ query: adminSchemas.reports }), async (req, res, next) => {
+  try {
+    const { limit, pageToken, ...filters } = req.query;
+    const { items, nextPageToken } = await ReportModel.getReports(filters, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List flagged jobs
+ * GET /api/admin/jobs/flagged
+ * Flagged longest ago first, each with its flagReasons under `moderation`
+ *
+ * Query parameters:
+ * - limit: jobs per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/jobs/flagged', validateRequest({ query: adminSchemas.pagination }), async (req, res, next) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await JobModel.getFlagged({ limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items.map(toJobResponse),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Clear a job's flags and leave it up
+ * POST /api/admin/jobs/:id/approve
+ *
+ * Body:
+ * - reason: optional note for the audit log
+ */
+router.post('/jobs/:id/approve', validateRequest({ body: adminSchemas.reasonOptional }), async (req, res, next) => {
+  try {
+    const job = await getTarget(JobModel, req.params.id, 'Job');
+    if (!job.moderation?.flagged) {
+      throw new APIError(409, 'This job has no flags to review');
+    }
+
+    const updatedJob = await withAudit(req, {
+      action: ADMIN_ACTIONS.APPROVE_JOB,
+      targetType: AUDIT_TARGET_TYPES.JOB,
+      targetId: job.id,
+      details: { flagReasons: job.moderation.flagReasons || [] }
+    }, async () => {
+      const approved = await JobModel.clearFlag(job.id, req.user.uid);
+      const reportsDismissed = await ReportModel.resolveReports(REPORT_TARGET_TYPES.JOB, job.id, REPORT_STATUSES.DISMISSED, req.user.uid);
+      return { result: approved, details: { reportsDismissed } };
+    });
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Suspend a job
+ * POST /api/admin/jobs/:id/suspend
+ * The job is hidden from search, feeds and its public page until restored
+ *
+ * Body:
+ * - reason: why it was taken down
+ */
+router.post('/jobs/:id/suspend', validateRequest({ body: adminSchemas.reasonRequired }), async (req, res, next) => {
+  try {
+    const job = await getTarget(JobModel, req.params.id, 'Job');
+    const updatedJob = await withAudit(req, {
+      action: ADMIN_ACTIONS.SUSPEND_JOB,
+      targetType: AUDIT_TARGET_TYPES.JOB,
+      targetId: job.id,
+      details: { employerId: job.employerId, previousStatus: job.status }
+    }, async () => {
+      const suspended = await JobModel.suspendJob(job, req.body.reason, req.user.uid);
+      const reportsActioned = await ReportModel.resolveReports(REPORT_TARGET_TYPES.JOB, job.id, REPORT_STATUSES.ACTIONED, req.user.uid);
+      return { result: suspended, details: { reportsActioned } };
+    });
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore a suspended job
+ * POST /api/admin/jobs/:id/restore
+ * The job goes back to the status it had (expired if it ran out meanwhile)
+ *
+ * Body:
+ * - reason: optional note for the audit log
+ */
+router.post('/jobs/:id/restore', validateRequest({ body: adminSchemas.reasonOptional }), async (req, res, next) => {
+  try {
+    const job = await getTarget(JobModel, req.params.id, 'Job');
+    const updatedJob = await withAudit(req, {
+      action: ADMIN_ACTIONS.RESTORE_JOB,
+      targetType: AUDIT_TARGET_TYPES.JOB,
+      targetId: job.id,
+      details: { employerId: job.employerId }
+    }, async () => {
+      const restored = await JobModel.restoreJob(job, req.user.uid);
+      const reportsDismissed = await ReportModel.resolveReports(REPORT_TARGET_TYPES.JOB, job.id, REPORT_STATUSES.DISMISSED, req.user.uid);
+      return { result: restored, details: { status: restored.status, reportsDismissed } };
+    });
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List flagged users
+ * GET /api/admin/users/flagged
+ * Flagged longest ago first, each with its flagReasons under `moderation`
+ *
+ * Query parameters:
+ * - limit: users per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/users/flagged', validateRequest({ query: adminSchemas.pagination }), async (req, res, next) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await UserModel.getFlagged({ limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Clear a user's flags
+ * POST /api/admin/users/:id/approve
+ *
+ * Body:
+ * - reason: optional note for the audit log
+ */
+router.post('/users/:id/approve', validateRequest({ body: adminSchemas.reasonOptional }), async (req, res, next) => {
+  try {
+    const user = await getTarget(UserModel, req.params.id, 'User');
+    if (!user.moderation?.flagged) {
+      throw new APIError(409, 'This account has no flags to review');
+    }
+
+    const updatedUser = await withAudit(req, {
+      action: ADMIN_ACTIONS.APPROVE_USER,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: user.id,
+      details: { flagReasons: user.moderation.flagReasons || [] }
+    }, async () => {
+      const approved = await UserModel.clearFlag(user.id, req.user.uid);
+      const reportsDismissed = await ReportModel.resolveReports(REPORT_TARGET_TYPES.USER, user.id, REPORT_STATUSES.DISMISSED, req.user.uid);
+      return { result: approved, details: { reportsDismissed } };
+    });
+
+    res.json({
+      status: 'success',
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Suspend a user
+ * POST /api/admin/users/:id/suspend
+ * They are signed out and can't sign in until restored. An employer's
+ * draft, active and paused jobs are suspended too.
+ *
+ * Body:
+ * - reason: why the account was suspended
+ */
+router.post('/users/:id/suspend', validateRequest({ body: adminSchemas.reasonRequired }), async (req, res, next) => {
+  try {
+    const user = await getTarget(UserModel, req.params.id, 'User');
+    if (user.role === ROLES.ADMIN) {
+      throw new APIError(403, 'Admin accounts cannot be suspended');
+    }
+
+    const updatedUser = await withAudit(req, {
+      action: ADMIN_ACTIONS.SUSPEND_USER,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: user.id
+    }, async () => {
+      const suspended = await UserModel.suspendUser(user, req.body.reason, req.user.uid);
+      const jobs = EMPLOYER_ROLES.includes(user.role) || user.userType === 'employer'
+        ? await JobModel.suspendJobsForEmployer(user.id, req.body.reason, req.user.uid)
+        : [];
+      const reportsActioned = await ReportModel.resolveReports(REPORT_TARGET_TYPES.USER, user.id, REPORT_STATUSES.ACTIONED, req.user.uid);
+      return { result: suspended, details: { suspendedJobIds: jobs.map(job => job.id), reportsActioned } };
+    });
+
+    res.json({
+      status: 'success',
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore a suspended user
+ * POST /api/admin/users/:id/restore
+ * They can sign in again, and jobs suspended with the account come back
+ *
+ * Body:
+ * - reason: optional note for the audit log
+ */
+router.post('/users/:id/restore', validateRequest({ body: adminSchemas.reasonOptional }), async (req, res, next) => {
+  try {
+    const user = await getTarget(UserModel, req.params.id, 'User');
+    const updatedUser = await withAudit(req, {
+      action: ADMIN_ACTIONS.RESTORE_USER,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: user.id
+    }, async () => {
+      const restored = await UserModel.restoreUser(user, req.user.uid);
+      const jobs = await JobModel.restoreJobsForEmployer(user.id, req.user.uid);
+      const reportsDismissed = await ReportModel.resolveReports(REPORT_TARGET_TYPES.USER, user.id, REPORT_STATUSES.DISMISSED, req.user.uid);
+      return { result: restored, details: { restoredJobIds: jobs.map(job => job.id), reportsDismissed } };
+    });
+
+    res.json({
+      status: 'success',
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read the audit log
+ * GET /api/admin/audit-log
+ * Newest first
+ *
+ * Query parameters:
+ * - adminId: actions by one admin
+ * - action: e.g. 'job.suspend' (see config/adminActions.js)
+ * - targetType, targetId: actions on one kind of thing, or one thing
+ * - limit: entries per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/audit-log', validateRequest({ query: adminSchemas.auditLog }), async (req, res, next) => {
+  try {
+    const { limit, pageToken, ...filters } = req.query;
+    const { items, nextPageToken } = await AuditLogModel.getEntries(filters, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
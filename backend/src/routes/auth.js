@@ -0,0 +1,155 @@
+/**
+ * Auth API Routes
+ *
+ * Business email verification for employers:
+ * 1. POST /send-verification emails a link to an address at the company's domain
+ * 2. POST /verify-email is called with the token from that link and marks the
+ *    employer as verified
+ *
+ * Links are signed tokens (utils/signedToken.js) that expire after
+ * EMAIL_VERIFICATION_TTL_HOURS and work once. Only the latest link sent works.
+ * Emails go through utils/mailer.js (a local outbox folder by default).
+ *
+ * The link opens EMAIL_VERIFICATION_URL (default: http://localhost:8081/verify-email)
+ * with ?token=..., and that page calls POST /verify-email.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { EMPLOYER_ROLES } = require('../config/roles');
+const {
+  VERIFICATION_STATUSES,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  EMAIL_RESEND_COOLDOWN_SECONDS
+} = require('../config/verification');
+const UserModel = require('../models/user.model');
+const EmailVerificationModel = require('../models/emailVerification.model');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { validateRequest } = require('../middleware/validate');
+const { createSignedToken, verifySignedToken } = require('../utils/signedToken');
+const { getWebsiteDomain, isFreeEmailProvider, emailMatchesWebsite } = require('../utils/emailDomain');
+const { sendMail } = require('../utils/mailer');
+const authSchemas = require('../schemas/auth');
+
+const TOKEN_PURPOSE = 'email_verification';
+const DEFAULT_VERIFICATION_URL = 'http://localhost:8081/verify-email';
+
+// Helper function to find the company website saved during onboarding or on the profile
+const getCompanyWebsite = (user) => user.companyInfo?.website || user.employer?.profile?.website || null;
+
+/**
+ * Send a business verification email
+ * POST /api/auth/send-verification
+ * Only employers and agency recruiters can verify
+ *
+ * Body:
+ * - email: business email at the company's domain
+ * - companyName: used in the email
+ * - website: company website, if it isn't saved on the profile yet
+ */
+router.post('/send-verification', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ body: authSchemas.sendVerification }), async (req, res, next) => {
+  try {
+    const { email, companyName } = req.body;
+
+    const user = await UserModel.findById(req.user.uid);
+    if (!user) {
+      throw new APIError(404, 'User profile not found');
+    }
+    if (user.verification?.status === VERIFICATION_STATUSES.VERIFIED) {
+      throw new APIError(409, 'Your company is already verified', null, ERROR_CODES.ALREADY_VERIFIED);
+    }
+
+    if (isFreeEmailProvider(email)) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'email', message: 'Please use your company email address, not a personal one' }
+      ]);
+    }
+
+    const website = getCompanyWebsite(user) || req.body.website;
+    if (!website) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'website', message: 'Add your company website before verifying by email' }
+      ]);
+    }
+    if (!emailMatchesWebsite(email, website)) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'email', message: `Email must be at your company's domain (${getWebsiteDomain(website)})` }
+      ]);
+    }
+
+    // Don't let the same employer send a stream of emails
+    const previous = await EmailVerificationModel.findById(req.user.uid);
+    if (previous && !previous.usedAt) {
+      const waitSeconds = Math.ceil(EMAIL_RESEND_COOLDOWN_SECONDS - (Date.now() - previous.sentAt.toMillis()) / 1000);
+      if (waitSeconds > 0) {
+        res.set('Retry-After', String(waitSeconds));
+        throw new APIError(429, `Please wait ${waitSeconds} seconds before requesting another email`);
+      }
+    }
+
+    const { token, jti, expiresAt } = createSignedToken(
+      TOKEN_PURPOSE,
+      { uid: req.user.uid },
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60
+    );
+
+    await EmailVerificationModel.startVerification(req.user.uid, {
+      email,
+      domain: getWebsiteDomain(website),
+      companyName,
+      tokenId: jti,
+      expiresAt
+    });
+
+    const link = `${process.env.EMAIL_VERIFICATION_URL || DEFAULT_VERIFICATION_URL}?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: email,
+      subject: 'Verify your business email on Mploy',
+      text: [
+        'Hi,',
+        '',
+        `Please confirm that ${email} belongs to ${companyName || 'your company'} by opening this link:`,
+        '',
+        link,
+        '',
+        `The link works once and expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+        "If you didn't ask for this, you can ignore this email."
+      ].join('\n')
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Verification email sent',
+      data: { email, expiresAt: expiresAt.toISOString() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Verify a business email
+ * POST /api/auth/verify-email
+ * Public route - the signed token identifies the employer
+ *
+ * Body:
+ * - token: token from the verification link
+ */
+router.post('/verify-email', validateRequest({ body: authSchemas.verifyEmail }), async (req, res, next) => {
+  try {
+    const token = verifySignedToken(TOKEN_PURPOSE, req.body.token);
+    const verification = await EmailVerificationModel.completeVerification(token);
+
+    res.json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: verification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+/**
+ * Conversations API Routes
+ *
+ * Messaging between a job seeker and an employer. Conversations unlock once
+ * both sides have swiped right and a match exists: there is exactly one
+ * conversation per match, so each belongs to one job/candidate pair.
+ *
+ * - Unread counts are kept per participant and reset when they read the conversation
+ * - Read receipts: messages you sent include `read: true` once the other
+ *   participant has read the conversation after they were sent
+ * - Attachments are references to files stored elsewhere (name, url, contentType, size)
+ * - Every message goes through the moderation hooks in utils/moderation.js first
+ *   (the sender of a flagged message is flagged for an admin to review)
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const MatchModel = require('../models/match.model');
+const ConversationModel = require('../models/conversation.model');
+const MessageModel = require('../models/message.model');
+const UserModel = require('../models/user.model');
+const { moderateMessage } = require('../utils/moderation');
+const { notifyMessage } = require('../utils/notifications');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { validateRequest } = require('../middleware/validate');
+const conversationSchemas = require('../schemas/conversations');
+
+// Everyone who can take part in a match
+const PARTICIPANT_ROLES = [ROLES.JOB_SEEKER, ...EMPLOYER_ROLES];
+
+// Helper function to load the conversation for a match the current user is part of
+const getConversation = async (req) => {
+  const match = await MatchModel.findById(req.params.matchId);
+
+  if (!match) {
+    throw new APIError(404, 'Match not found');
+  }
+
+  // Check if this user is part of the match
+  if (match.jobSeekerId !== req.user.uid && match.employerId !== req.user.uid) {
+    throw new APIError(403, 'You can only message your own matches');
+  }
+
+  const conversation = await ConversationModel.getOrCreateForMatch(match);
+  return { match, conversation };
+};
+
+// Helper function to shape a conversation for the current user
+const toConversationResponse = (conversation, userId) => {
+  const { unreadCounts, readBy, ...rest } = conversation;
+  const otherId = conversation.participants.find(id => id !== userId);
+  return {
+    ...rest,
+    unreadCount: unreadCounts?.[userId] || 0,
+    otherParticipantReadAt: readBy?.[otherId] || null
+  };
+};
+
+/**
+ * List the current user's conversations
+ * GET /api/conversations
+ * Most recent activity first, each with the user's unreadCount
+ *
+ * Query parameters:
+ * - limit: conversations per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ query: conversationSchemas.list }), async (req, res, next) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await ConversationModel.getConversationsForUser(req.user.uid, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items.map(conversation => toConversationResponse(conversation, req.user.uid)),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the current user's total unread messages
+ * GET /api/conversations/unread-count
+ */
+router.get('/unread-count', authenticateUser, requireRole(...PARTICIPANT_ROLES), async (req, res, next) => {
+  try {
+    const total = await ConversationModel.getUnreadTotal(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: { unreadCount: total }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the conversation for a match
+ * GET /api/conversations/:matchId
+ * Only the job seeker and employer of the match can see it
+ */
+router.get('/:matchId', authenticateUser, requireRole(...PARTICIPANT_ROLES), async (req, res, next) => {
+  try {
+    const { conversation } = await getConversation(req);
+
+    res.json({
+      status: 'success',
+      data: toConversationResponse(conversation, req.user.uid)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the messages in a conversation
+ * GET /api/conversations/:matchId/messages
+ * Newest first. Messages the current user sent include `read`.
+ *
+ * Query parameters:
+ * - limit: messages per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/:matchId/messages', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ query: conversationSchemas.list }), async (req, res, next) => {
+  try {
+    const { conversation } = await getConversation(req);
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await MessageModel.getMessages(conversation.id, { limit, pageToken });
+
+    const userId = req.user.uid;
+    const otherId = conversation.participants.find(id => id !== userId);
+    const otherReadAt = conversation.readBy?.[otherId];
+
+    const messages = items
+      // Hidden messages are only shown to the person who sent them
+      .filter(message => message.status !== 'hidden' || message.senderId === userId)
+      .map(({ moderationReasons, ...message }) => (
+        message.senderId === userId
+          ? { ...message, read: Boolean(otherReadAt) && otherReadAt.toMillis() >= message.createdAt.toMillis() }
+          : message
+      ));
+
+    res.json({
+      status: 'success',
+      data: messages,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a message
+ * POST /api/conversations/:matchId/messages
+ *
+ * Body:
+ * - text: message text (up to 2000 characters)
+ * - attachments: up to 5 file references { name, url, contentType, size }
+ * A message needs text, attachments or both.
+ * Accounts hidden after being reported can't send messages until an admin reviews them.
+ */
+router.post('/:matchId/messages', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ body: conversationSchemas.send }), async (req, res, next) => {
+  try {
+    const { text, attachments } = req.body;
+    if (!text && attachments.length === 0) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'text', message: 'A message needs text or an attachment' }
+      ]);
+    }
+
+    const { match, conversation } = await getConversation(req);
+    if (match.status === 'rejected') {
+      throw new APIError(403, 'This match has been closed', null, ERROR_CODES.MATCH_CLOSED);
+    }
+
+    const sender = await UserModel.findById(req.user.uid);
+    if (UserModel.isHidden(sender)) {
+      throw new APIError(403, 'Your account is under review and cannot send messages', null, ERROR_CODES.ACCOUNT_UNDER_REVIEW);
+    }
+
+    const moderation = await moderateMessage(
+      { text, attachments, senderId: req.user.uid },
+      { conversation }
+    );
+    if (moderation.action === 'block') {
+      throw new APIError(422, moderation.reasons[0] || 'This message was blocked', null, ERROR_CODES.MESSAGE_BLOCKED);
+    }
+
+    const message = await ConversationModel.addMessage(
+      conversation,
+      MessageModel.newMessageRef(),
+      MessageModel.buildMessage({
+        conversationId: conversation.id,
+        senderId: req.user.uid,
+        text,
+        attachments,
+        moderation
+      })
+    );
+    await notifyMessage(conversation, message);
+
+    // Flagged messages put the sender in the admin review queue
+    if (moderation.action === 'flag') {
+      await UserModel.flag(req.user.uid, `Message flagged: ${moderation.reasons.join(', ') || 'no reason given'}`);
+    }
+
+    const { moderationReasons, ...data } = message;
+    res.status(201).json({
+      status: 'success',
+      data: { ...data, read: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark a conversation as read
+ * POST /api/conversations/:matchId/read
+ * Resets the current user's unread count and updates their read receipt
+ */
+router.post('/:matchId/read', authenticateUser, requireRole(...PARTICIPANT_ROLES), async (req, res, next) => {
+  try {
+    const { conversation } = await getConversation(req);
+    const updated = await ConversationModel.markRead(conversation.id, req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toConversationResponse(updated, req.user.uid)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
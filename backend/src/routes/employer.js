@@ -0,0 +1,42 @@
+/**
+ * Employer API Routes
+ *
+ * Numbers for the employer dashboard (see utils/employerStats.js):
+ * jobs by status, views, likes, shortlisted candidates, matches by status,
+ * upcoming interviews and a recent activity feed.
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { EMPLOYER_ROLES } = require('../config/roles');
+const { getEmployerStats } = require('../utils/employerStats');
+
+/**
+ * Get the current employer's dashboard stats
+ * GET /api/employer/stats
+ *
+ * Returns:
+ * - jobs: { total, draft, active, paused, expired, closed, filled, suspended }
+ * - views, rightSwipes: totals over all of the employer's jobs
+ * - shortlisted: candidates the employer swiped right on
+ * - matches: { total, pending, accepted, rejected }
+ * - interviews: { upcoming, next } - confirmed interviews still to come and the soonest one
+ * - recentActivity: the latest likes, matches and interview changes, newest first
+ */
+router.get('/stats', authenticateUser, requireRole(...EMPLOYER_ROLES), async (req, res, next) => {
+  try {
+    const stats = await getEmployerStats(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
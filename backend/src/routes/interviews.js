@@ -0,0 +1,331 @@
+/**
+ * Interviews API Routes
+ *
+ * Interview scheduling between the employer and job seeker of a match:
+ * 1. The employer proposes one or more time slots
+ * 2. The job seeker accepts a slot, or asks for other times
+ * 3. The employer can offer new slots at any point (this also moves a confirmed interview)
+ * 4. Either side can cancel
+ *
+ * Time zones:
+ * - Slot times are sent as local times in `timeZone` ("2025-01-15T10:00"),
+ *   or as ISO times with an offset, and stored in UTC
+ * - Responses include UTC times plus local times (localStartAt, localEndAt) in
+ *   the interview's time zone, or in `?timeZone=` when given
+ *
+ * A slot can't overlap another confirmed interview of the same employer (409).
+ * Confirmed interviews can be downloaded as an .ics calendar invite.
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const { INTERVIEW_STATUSES } = require('../config/interviewStatus');
+const MatchModel = require('../models/match.model');
+const JobModel = require('../models/job.model');
+const InterviewModel = require('../models/interview.model');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { validateRequest } = require('../middleware/validate');
+const { isValidTimeZone, formatInTimeZone } = require('../utils/timezone');
+const { buildEvent } = require('../utils/calendar');
+const { notifyInterview } = require('../utils/notifications');
+const interviewSchemas = require('../schemas/interviews');
+
+// Everyone who can take part in an interview
+const PARTICIPANT_ROLES = [ROLES.JOB_SEEKER, ...EMPLOYER_ROLES];
+
+// Helper function to load an interview the current user is part of
+const getInterview = async (req) => {
+  const interview = await InterviewModel.findById(req.params.id);
+
+  if (!interview) {
+    throw new APIError(404, 'Interview not found');
+  }
+
+  // Check if this user is part of the interview
+  if (interview.jobSeekerId !== req.user.uid && interview.employerId !== req.user.uid) {
+    throw new APIError(403, 'You can only view your own interviews');
+  }
+
+  return interview;
+};
+
+// Helper function to check the `?timeZone=` a client wants times shown in
+const getDisplayTimeZone = (req) => {
+  const { timeZone } = req.query;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw new APIError(400, 'Validation failed', [
+      { field: 'timeZone', message: 'timeZone must be an IANA time zone such as "Europe/London"' }
+    ]);
+  }
+  return timeZone || null;
+};
+
+// Helper function to show stored times in UTC and in a time zone
+const toTimes = (startAt, endAt, timeZone) => ({
+  startAt: startAt ? startAt.toDate().toISOString() : null,
+  endAt: endAt ? endAt.toDate().toISOString() : null,
+  localStartAt: startAt ? formatInTimeZone(startAt.toDate(), timeZone) : null,
+  localEndAt: endAt ? formatInTimeZone(endAt.toDate(), timeZone) : null
+});
+
+// Helper function to shape an interview for a response
+const toInterviewResponse = (interview, displayTimeZone) => {
+  const timeZone = displayTimeZone || interview.timeZone;
+  return {
+    ...interview,
+    ...toTimes(interview.startAt, interview.endAt, timeZone),
+    slots: interview.slots.map(slot => ({
+      id: slot.id,
+      ...toTimes(slot.startAt, slot.endAt, timeZone)
+    })),
+    displayTimeZone: timeZone
+  };
+};
+
+/**
+ * Propose an interview
+ * POST /api/interviews
+ * Only the employer of the match can propose interviews
+ *
+ * Body:
+ * - matchId: the match to interview
+ * - timeZone: IANA time zone of the slot times, e.g. "Europe/London"
+ * - durationMinutes: length of the interview (15-480, default: 60)
+ * - slots: 1-10 times to choose from, [{ start: "2025-01-15T10:00" }]
+ * - location, meetingUrl, notes: optional details for the candidate
+ */
+router.post('/', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ body: interviewSchemas.create }), async (req, res, next) => {
+  try {
+    const match = await MatchModel.findById(req.body.matchId);
+
+    if (!match) {
+      throw new APIError(404, 'Match not found');
+    }
+
+    // Check if this user is the employer of the match
+    if (match.employerId !== req.user.uid) {
+      throw new APIError(403, 'You can only schedule interviews for your own matches');
+    }
+
+    if (match.status === 'rejected') {
+      throw new APIError(403, 'This match has been closed', null, ERROR_CODES.MATCH_CLOSED);
+    }
+
+    const interview = await InterviewModel.createInterview(match, req.body, req.user.uid);
+    await notifyInterview(interview, 'proposed', req.user.uid);
+
+    res.status(201).json({
+      status: 'success',
+      data: toInterviewResponse(interview)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the current user's interviews
+ * GET /api/interviews
+ * Newest first
+ *
+ * Query parameters:
+ * - status: proposed, confirmed, reschedule_requested or cancelled
+ * - timeZone: show local times in this time zone
+ * - limit: interviews per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ query: interviewSchemas.list }), async (req, res, next) => {
+  try {
+    const displayTimeZone = getDisplayTimeZone(req);
+    const { status, limit, pageToken } = req.query;
+    const field = req.user.role === ROLES.JOB_SEEKER ? 'jobSeekerId' : 'employerId';
+
+    const { items, nextPageToken } = await InterviewModel.getInterviewsForUser(field, req.user.uid, status, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items.map(interview => toInterviewResponse(interview, displayTimeZone)),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get an interview
+ * GET /api/interviews/:id
+ * Only the job seeker and employer can see it
+ *
+ * Query parameters:
+ * - timeZone: show local times in this time zone
+ */
+router.get('/:id', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ query: interviewSchemas.view }), async (req, res, next) => {
+  try {
+    const displayTimeZone = getDisplayTimeZone(req);
+    const interview = await getInterview(req);
+
+    res.json({
+      status: 'success',
+      data: toInterviewResponse(interview, displayTimeZone)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Download the calendar invite for a confirmed interview
+ * GET /api/interviews/:id/invite.ics
+ * Re-downloading after a change gives an event with a higher SEQUENCE, so
+ * calendar apps update the existing event instead of adding another
+ */
+router.get('/:id/invite.ics', authenticateUser, requireRole(...PARTICIPANT_ROLES), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req);
+
+    if (interview.status !== INTERVIEW_STATUSES.CONFIRMED) {
+      throw new APIError(409, 'Only confirmed interviews have a calendar invite');
+    }
+
+    const job = await JobModel.findById(interview.jobId);
+    const title = job ? `Interview: ${job.title}` : 'Interview';
+
+    const calendar = buildEvent({
+      uid: `interview-${interview.id}@mploy`,
+      start: interview.startAt.toDate(),
+      end: interview.endAt.toDate(),
+      summary: title,
+      description: [
+        interview.notes,
+        interview.meetingUrl && `Join: ${interview.meetingUrl}`
+      ].filter(Boolean).join('\n\n'),
+      location: interview.location || interview.meetingUrl,
+      url: interview.meetingUrl,
+      sequence: interview.sequence
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="interview-${interview.id}.ics"`
+    });
+    res.send(calendar);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Accept a proposed slot
+ * POST /api/interviews/:id/accept
+ * Only the job seeker can accept
+ *
+ * Body:
+ * - slotId: id of one of the interview's slots
+ */
+router.post('/:id/accept', authenticateUser, requireRole(ROLES.JOB_SEEKER), validateRequest({ body: interviewSchemas.accept }), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req);
+
+    if (interview.jobSeekerId !== req.user.uid) {
+      throw new APIError(403, 'Only the candidate can accept an interview slot');
+    }
+
+    const updated = await InterviewModel.acceptSlot(interview.id, req.body.slotId);
+    await notifyInterview(updated, 'confirmed', req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toInterviewResponse(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Ask for different times
+ * POST /api/interviews/:id/reschedule
+ * Only the job seeker can ask; works on proposed and confirmed interviews.
+ * The employer answers with POST /api/interviews/:id/slots.
+ *
+ * Body:
+ * - note: optional message, e.g. times that would work better
+ */
+router.post('/:id/reschedule', authenticateUser, requireRole(ROLES.JOB_SEEKER), validateRequest({ body: interviewSchemas.reschedule }), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req);
+
+    if (interview.jobSeekerId !== req.user.uid) {
+      throw new APIError(403, 'Only the candidate can ask to reschedule');
+    }
+
+    const updated = await InterviewModel.requestReschedule(interview, req.body.note);
+    await notifyInterview(updated, 'reschedule_requested', req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toInterviewResponse(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Propose new slots
+ * POST /api/interviews/:id/slots
+ * Only the employer can propose. Replaces the offered slots and moves the
+ * interview back to proposed (a confirmed time is released).
+ *
+ * Body: same as POST /api/interviews, without matchId
+ */
+router.post('/:id/slots', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ body: interviewSchemas.schedule }), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req);
+
+    if (interview.employerId !== req.user.uid) {
+      throw new APIError(403, 'Only the employer can propose interview slots');
+    }
+
+    const updated = await InterviewModel.proposeSlots(interview, req.body);
+    await notifyInterview(updated, 'rescheduled', req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toInterviewResponse(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel an interview
+ * POST /api/interviews/:id/cancel
+ * Either participant can cancel
+ *
+ * Body:
+ * - reason: optional explanation shown to the other participant
+ */
+router.post('/:id/cancel', authenticateUser, requireRole(...PARTICIPANT_ROLES), validateRequest({ body: interviewSchemas.cancel }), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req);
+    const updated = await InterviewModel.cancelInterview(interview, req.user.uid, req.body.reason);
+    await notifyInterview(updated, 'cancelled', req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toInterviewResponse(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
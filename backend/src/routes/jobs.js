@@ -13,31 +13,118 @@
  * all the job data in Firebase.
  * 
  * Important: All routes need authentication except for public job searches
+ *
+ * Employers whose verification grace period has ended without being verified
+ * can't create, publish, resume or renew jobs (see middleware/verification.js).
+ *
+ * Search, the feed and job pages are rate limited (see config/rateLimits.js).
  */
 
 const express = require('express');
 const router = express.Router();
-const  authenticateUser  = require('../middleware/auth');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const { JOB_STATUSES } = require('../config/jobStatus');
 const JobModel = require('../models/job.model');
+const MatchModel = require('../models/match.model');
+const SwipeModel = require('../models/swipe.model');
+const UserModel = require('../models/user.model');
+const JobRevisionModel = require('../models/jobRevision.model');
+const JobAnalyticsModel = require('../models/jobAnalytics.model');
 const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { encodePageToken, decodePageToken } = require('../utils/pagination');
+const { validateRequest } = require('../middleware/validate');
+const { requireVerifiedEmployer } = require('../middleware/verification');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotent } = require('../middleware/idempotency');
+const logger = require('../utils/logger').child({ component: 'JobsRoute' });
+const jobSchemas = require('../schemas/jobs');
 
-// Helper function to check if user is an employer
-const isEmployer = (req) => {
-  return req.user && req.user.userType === 'employer';
+// The feed is ranked in windows of the newest active jobs: a window holds at
+// least FEED_WINDOW_SIZE jobs the job seeker hasn't swiped on, unless
+// FEED_MAX_SCANNED jobs were read first. Jobs are read FEED_BATCH_SIZE at a time.
+const FEED_WINDOW_SIZE = 50;
+const FEED_BATCH_SIZE = 50;
+const FEED_MAX_SCANNED = 250;
+
+// Days of analytics returned when no range is given, and the most in one request
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 90;
+
+// Job changes a matched candidate can see
+const CANDIDATE_VISIBLE_FIELDS = ['salary', 'requirements'];
+
+// Helper function to leave the search index out of job responses
+const toJobResponse = ({ searchIndex, ...job }) => job;
+
+// Helper function to check a YYYY-MM-DD string is a real day (Date.parse accepts 2025-02-30)
+const isValidDay = (day) => !Number.isNaN(Date.parse(day)) && JobAnalyticsModel.toDateKey(new Date(Date.parse(day))) === day;
+
+// Helper function to read one feed window
+// Reads active jobs newest first in batches from `start` (a getActiveJobsPage
+// token, null for the newest), leaving out swiped, expired and reported ones.
+// Returns { jobs, next }; `next` is where the following window starts (null after the last)
+const getFeedWindow = async (jobSeekerId, start) => {
+  const jobs = [];
+  let pageToken = start;
+  let scanned = 0;
+
+  do {
+    const page = await JobModel.getActiveJobsPage({ limit: FEED_BATCH_SIZE, pageToken });
+    const swipedJobIds = await SwipeModel.getSwipedJobIds(jobSeekerId, page.items.map(job => job.id));
+
+    jobs.push(...page.items.filter(job =>
+      !swipedJobIds.has(job.id) && !JobModel.isExpired(job) && !JobModel.isUnderReview(job)
+    ));
+    scanned += page.items.length;
+    pageToken = page.nextPageToken;
+  } while (pageToken && jobs.length < FEED_WINDOW_SIZE && scanned < FEED_MAX_SCANNED);
+
+  return { jobs, next: pageToken };
+};
+
+// Helper functions for feed page tokens, which hold where the current window
+// starts and the IDs of its jobs that earlier pages returned
+const encodeFeedToken = (window, seen) => encodePageToken({ w: window, s: seen });
+
+const decodeFeedToken = (token) => {
+  const { w, s } = decodePageToken(token);
+
+  if ((w !== null && typeof w !== 'string') ||
+      !Array.isArray(s) ||
+      s.length > FEED_MAX_SCANNED ||
+      !s.every(id => typeof id === 'string')) {
+    throw new APIError(400, 'Invalid page token', null, ERROR_CODES.INVALID_PAGE_TOKEN);
+  }
+
+  return { window: w, seen: new Set(s) };
+};
+
+// Helper function to load a job and check the current user owns it
+const getOwnedJob = async (req) => {
+  const job = await JobModel.findById(req.params.id);
+
+  if (!job) {
+    throw new APIError(404, 'Job not found');
+  }
+
+  // Check if this user owns the job
+  if (job.employerId !== req.user.uid) {
+    throw new APIError(403, 'You can only manage your own job posts');
+  }
+
+  return job;
 };
 
 /**
  * Create a new job posting
  * POST /api/jobs
- * Only employers can create jobs
+ * Only employers and agency recruiters can create jobs
+ * Send an Idempotency-Key header so a retried save doesn't create the job twice
  */
-router.post('/', authenticateUser, async (req, res, next) => {
+router.post('/', authenticateUser, requireRole(...EMPLOYER_ROLES), requireVerifiedEmployer, validateRequest({ body: jobSchemas.create }), idempotent, async (req, res, next) => {
   try {
-    // Check if user is an employer
-    if (!isEmployer(req)) {
-      throw new APIError(403, 'Only employers can create job posts');
-    }
-
     // Add the employer's ID to the job data
     const jobData = {
       ...req.body,
@@ -49,7 +136,7 @@ router.post('/', authenticateUser, async (req, res, next) => {
     
     res.status(201).json({
       status: 'success',
-      data: job
+      data: toJobResponse(job)
     });
   } catch (error) {
     next(error);
@@ -65,56 +152,152 @@ router.post('/', authenticateUser, async (req, res, next) => {
  * - lat: latitude for location search
  * - lng: longitude for location search
  * - radius: search radius in km (default: 50)
+ * - q: keywords to search for in the title, description and skills
  * - type: job type (full-time, part-time, etc.)
  * - experience: experience level
+ * - minSalary, maxSalary: salary range
+ * - limit: jobs per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ *
+ * Jobs that were reported and are waiting for an admin's review are left out.
+ *
+ * Responds with a page of jobs and a nextPageToken (null on the last page).
+ * Keyword searches are sorted most relevant first (with a `relevance` score
+ * on each job), location searches closest first and other searches newest first.
+ * Location and keyword searches also return `truncated`: true when too many jobs
+ * matched to rank them all. Keyword searches then rank the newest matches, and
+ * location searches part of the area, so a smaller radius may find closer jobs.
  */
-router.get('/', async (req, res, next) => {
+router.get('/', rateLimit('search'), validateRequest({ query: jobSchemas.list }), async (req, res, next) => {
   try {
     const {
+      q,
       lat,
       lng,
-      radius = 50,
+      radius,
       type,
       experience,
       minSalary,
-      maxSalary
+      maxSalary,
+      limit,
+      pageToken
     } = req.query;
 
+    const filters = {
+      status: 'active',
+      employmentType: type,
+      experienceLevel: experience,
+      salary: minSalary || maxSalary ? {
+        min: minSalary,
+        max: maxSalary
+      } : null
+    };
+    const location = lat !== undefined && lng !== undefined
+      ? { latitude: lat, longitude: lng, radius }
+      : null;
+
+    // If keywords are provided, do a keyword search (within the area if a location is given too)
+    if (q) {
+      const { items, nextPageToken, truncated } = await JobModel.searchJobs(q, filters, location, { limit, pageToken });
+      await JobAnalyticsModel.record(items, 'impressions');
+
+      return res.json({
+        status: 'success',
+        data: items.map(toJobResponse),
+        nextPageToken,
+        truncated
+      });
+    }
+
     // If location is provided, do a location-based search
-    if (lat && lng) {
-      const filters = {
-        status: 'active',
-        employmentType: type,
-        experienceLevel: experience,
-        salary: minSalary || maxSalary ? {
-          min: minSalary,
-          max: maxSalary
-        } : null
-      };
-
-      const jobs = await JobModel.getNearbyJobs(
-        parseFloat(lat),
-        parseFloat(lng),
-        parseFloat(radius),
-        filters
-      );
+    if (location) {
+      const { items, nextPageToken, truncated } = await JobModel.getNearbyJobsPage(lat, lng, radius, filters, { limit, pageToken });
+      await JobAnalyticsModel.record(items, 'impressions');
 
       return res.json({
         status: 'success',
-        data: jobs
+        data: items.map(toJobResponse),
+        nextPageToken,
+        truncated
       });
     }
 
     // If no location, just get active jobs with filters
-    const jobs = await JobModel.query([
+    const { items, nextPageToken } = await JobModel.queryPage([
       { field: 'status', operator: '==', value: 'active' },
       ...(type ? [{ field: 'employmentType', operator: '==', value: type }] : []),
       ...(experience ? [{ field: 'experienceLevel', operator: '==', value: experience }] : [])
-    ]);
+    ], { limit, pageToken });
+
+    // Leave out jobs past their expiry that the sweeper hasn't expired yet, and reported jobs
+    const jobs = items.filter(job => !JobModel.isExpired(job) && !JobModel.isUnderReview(job));
+    await JobAnalyticsModel.record(jobs, 'impressions');
 
     res.json({
       status: 'success',
-      data: jobs
+      data: jobs.map(toJobResponse),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a ranked job feed for the swipe deck
+ * GET /api/jobs/feed
+ * Only job seekers can get a feed
+ *
+ * Jobs the user has already swiped on, expired jobs and reported jobs are left out.
+ * The newest remaining jobs are scored against the user's profile in windows of
+ * about 50 and each window is sorted best match first, so newer jobs come before
+ * older ones even if they match less well.
+ *
+ * Query parameters:
+ * - limit: jobs per page (default: 10, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ *
+ * Responds with a page of jobs and a nextPageToken (null on the last page).
+ * A page can have fewer jobs than `limit` (even none) before the last one,
+ * at the end of a window.
+ */
+router.get('/feed', authenticateUser, requireRole(ROLES.JOB_SEEKER), rateLimit('search'), validateRequest({ query: jobSchemas.feed }), async (req, res, next) => {
+  try {
+    const { limit, pageToken } = req.query;
+    const { window, seen } = pageToken
+      ? decodeFeedToken(pageToken)
+      : { window: null, seen: new Set() };
+
+    const jobSeeker = await UserModel.findById(req.user.uid);
+    if (!jobSeeker) {
+      throw new APIError(404, 'User profile not found');
+    }
+
+    const { jobs, next } = await getFeedWindow(jobSeeker.id, window);
+
+    const rankedJobs = jobs
+      .filter(job => !seen.has(job.id))
+      .map(job => ({
+        ...job,
+        match: MatchModel.calculateMatchScore(job, jobSeeker)
+      }))
+      .sort((a, b) => b.match.score - a.match.score);
+
+    const pageJobs = rankedJobs.slice(0, limit);
+    await JobAnalyticsModel.record(pageJobs, 'impressions');
+
+    // Stay in this window until its jobs run out, then move on to the next one
+    let nextPageToken = null;
+    if (rankedJobs.length > limit) {
+      nextPageToken = encodeFeedToken(window, [...seen, ...pageJobs.map(job => job.id)]);
+    } else if (next) {
+      nextPageToken = encodeFeedToken(next, []);
+    }
+
+    res.json({
+      status: 'success',
+      data: pageJobs.map(toJobResponse),
+      nextPageToken
     });
   } catch (error) {
     next(error);
@@ -124,22 +307,23 @@ router.get('/', async (req, res, next) => {
 /**
  * Get a specific job's details
  * GET /api/jobs/:id
- * Public route - anyone can view job details
+ * Public route - anyone can view job details, except jobs an admin suspended
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', rateLimit('search'), async (req, res, next) => {
   try {
     const job = await JobModel.findById(req.params.id);
     
-    if (!job) {
+    if (!job || job.status === JOB_STATUSES.SUSPENDED) {
       throw new APIError(404, 'Job not found');
     }
 
     // Increment view count
     await JobModel.incrementViews(req.params.id);
+    await JobAnalyticsModel.record(job, 'views');
 
     res.json({
       status: 'success',
-      data: job
+      data: toJobResponse(job)
     });
   } catch (error) {
     next(error);
@@ -149,9 +333,10 @@ router.get('/:id', async (req, res, next) => {
 /**
  * Update a job posting
  * PUT /api/jobs/:id
- * Only the employer who created the job can update it
+ * Only the employer who created the job can update it.
+ * Every change is kept as a revision (see GET /api/jobs/:id/revisions).
  */
-router.put('/:id', authenticateUser, async (req, res, next) => {
+router.put('/:id', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ body: jobSchemas.update }), async (req, res, next) => {
   try {
     // First get the job to check ownership
     const job = await JobModel.findById(req.params.id);
@@ -166,11 +351,311 @@ router.put('/:id', authenticateUser, async (req, res, next) => {
     }
 
     // Update the job
-    const updatedJob = await JobModel.update(req.params.id, req.body);
+    const updatedJob = await JobModel.updateJob(req.params.id, req.body, req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a job's performance over time
+ * GET /api/jobs/:id/analytics?from=2025-01-01&to=2025-01-31
+ * Only the employer who created the job can see its analytics
+ *
+ * Query parameters:
+ * - from, to: UTC days (YYYY-MM-DD), both included. Default: the last 30 days.
+ *   At most 90 days at once.
+ *
+ * Returns:
+ * - totals: impressions, views, likes, passes and matches over the range
+ * - funnel: viewRate (views per impression), likeRate (likes per swipe),
+ *   matchRate (matches per like) and overallRate (matches per impression);
+ *   null when there was nothing to convert
+ * - series: the same counts for every day in the range, oldest first
+ *
+ * Counts are kept from the day analytics were added; `views` and
+ * `rightSwipeCount` on the job are all-time totals.
+ */
+router.get('/:id/analytics', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: jobSchemas.analytics }), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+
+    // Check the days sent before working out defaults from them
+    const invalid = ['from', 'to'].filter(field => req.query[field] && !isValidDay(req.query[field]));
+    if (invalid.length > 0) {
+      throw new APIError(400, 'Validation failed', invalid.map(field => (
+        { field, message: `${field} is not a valid date` }
+      )));
+    }
+
+    const to = req.query.to || JobAnalyticsModel.toDateKey();
+    const from = req.query.from ||
+      JobAnalyticsModel.toDateKey(new Date(Date.parse(to) - (ANALYTICS_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+    const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1 || days > ANALYTICS_MAX_DAYS) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'from', message: `from must be on or before to, at most ${ANALYTICS_MAX_DAYS} days earlier` }
+      ]);
+    }
+
+    const series = await JobAnalyticsModel.getDailySeries(job.id, from, to);
+
+    res.json({
+      status: 'success',
+      data: {
+        jobId: job.id,
+        from,
+        to,
+        ...JobAnalyticsModel.summarize(series),
+        series
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a job's revisions
+ * GET /api/jobs/:id/revisions
+ * Only the employer who created the job can see its history
+ *
+ * Each revision has its version, who made it (changedBy), when (changedAt)
+ * and what changed ({ field: { from, to } }), newest first.
+ *
+ * Query parameters:
+ * - limit: revisions per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/:id/revisions', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: jobSchemas.revisionList }), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const { limit, pageToken } = req.query;
+    const { items, nextPageToken } = await JobRevisionModel.listRevisions(job.id, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      // Full snapshots are only returned for single revisions
+      data: items.map(({ snapshot, ...revision }) => revision),
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare two versions of a job
+ * GET /api/jobs/:id/revisions/diff?from=1&to=3
+ * Only the employer who created the job can compare versions
+ */
+router.get('/:id/revisions/diff', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: jobSchemas.revisionDiff }), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const { from, to } = req.query;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      JobRevisionModel.getRevision(job.id, from),
+      JobRevisionModel.getRevision(job.id, to)
+    ]);
+    if (!fromRevision || !toRevision) {
+      throw new APIError(404, 'Revision not found');
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        from,
+        to,
+        changes: JobRevisionModel.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get one revision of a job, with the full job as it was at that version
+ * GET /api/jobs/:id/revisions/:version
+ */
+router.get('/:id/revisions/:version', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ params: jobSchemas.revisionParams }), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const revision = await JobRevisionModel.getRevision(job.id, req.params.version);
+    if (!revision) {
+      throw new APIError(404, 'Revision not found');
+    }
+
+    res.json({
+      status: 'success',
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Restore a job to an earlier revision
+ * POST /api/jobs/:id/revisions/:version/restore
+ * The restore is saved as a new revision, so it can be undone too.
+ * Only the job's content is restored, not its status.
+ */
+router.post('/:id/revisions/:version/restore', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ params: jobSchemas.revisionParams }), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.restoreRevision(job.id, req.params.version, req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * See what changed in a job since the current user liked it
+ * GET /api/jobs/:id/changes
+ * Only job seekers who matched with the job can see this
+ *
+ * Responds with whether the salary or requirements changed after the
+ * user swiped right, and how.
+ */
+router.get('/:id/changes', authenticateUser, requireRole(ROLES.JOB_SEEKER), async (req, res, next) => {
+  try {
+    const jobId = req.params.id;
+    const [swipe, match] = await Promise.all([
+      SwipeModel.findSwipe(ROLES.JOB_SEEKER, jobId, req.user.uid),
+      MatchModel.checkMatchExists(jobId, req.user.uid)
+    ]);
+
+    if (!swipe || swipe.direction !== 'right' || !match) {
+      throw new APIError(403, 'You can only see changes to jobs you have matched with');
+    }
+
+    const [likedRevision, latestRevision] = await Promise.all([
+      JobRevisionModel.getRevisionAt(jobId, swipe.createdAt),
+      JobRevisionModel.getLatestRevision(jobId)
+    ]);
+
+    // Jobs that haven't been edited since revisions were introduced have no history yet
+    const changes = likedRevision && latestRevision
+      ? JobRevisionModel.diffSnapshots(likedRevision.snapshot, latestRevision.snapshot, CANDIDATE_VISIBLE_FIELDS)
+      : {};
 
     res.json({
       status: 'success',
-      data: updatedJob
+      data: {
+        likedAt: swipe.createdAt,
+        salaryChanged: Boolean(changes.salary),
+        requirementsChanged: Boolean(changes.requirements),
+        changes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Publish a draft job
+ * POST /api/jobs/:id/publish
+ * Only the employer who created the job can publish it.
+ * The job expires 30 days after it is published.
+ */
+router.post('/:id/publish', authenticateUser, requireRole(...EMPLOYER_ROLES), requireVerifiedEmployer, async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.publishJob(job);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pause an active job
+ * POST /api/jobs/:id/pause
+ * Paused jobs are hidden from search and feeds until resumed
+ */
+router.post('/:id/pause', authenticateUser, requireRole(...EMPLOYER_ROLES), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.pauseJob(job);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resume a paused job
+ * POST /api/jobs/:id/resume
+ * The job keeps its original expiry date
+ */
+router.post('/:id/resume', authenticateUser, requireRole(...EMPLOYER_ROLES), requireVerifiedEmployer, async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.resumeJob(job);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Renew an active or expired job
+ * POST /api/jobs/:id/renew
+ * The job is active again for 30 days from today
+ */
+router.post('/:id/renew', authenticateUser, requireRole(...EMPLOYER_ROLES), requireVerifiedEmployer, async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.renewJob(job);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark a job as filled
+ * POST /api/jobs/:id/fill
+ * Filled jobs can't be reopened
+ */
+router.post('/:id/fill', authenticateUser, requireRole(...EMPLOYER_ROLES), async (req, res, next) => {
+  try {
+    const job = await getOwnedJob(req);
+    const updatedJob = await JobModel.fillJob(job);
+
+    res.json({
+      status: 'success',
+      data: toJobResponse(updatedJob)
     });
   } catch (error) {
     next(error);
@@ -182,7 +667,7 @@ router.put('/:id', authenticateUser, async (req, res, next) => {
  * DELETE /api/jobs/:id
  * Only the employer who created the job can delete it
  */
-router.delete('/:id', authenticateUser, async (req, res, next) => {
+router.delete('/:id', authenticateUser, requireRole(...EMPLOYER_ROLES), async (req, res, next) => {
   try {
     // First get the job to check ownership
     const job = await JobModel.findById(req.params.id);
@@ -197,7 +682,7 @@ router.delete('/:id', authenticateUser, async (req, res, next) => {
     }
 
     // Instead of actually deleting, we'll mark it as closed
-    await JobModel.updateStatus(req.params.id, 'closed');
+    await JobModel.closeJob(job);
 
     res.json({
       status: 'success',
@@ -214,39 +699,31 @@ router.delete('/:id', authenticateUser, async (req, res, next) => {
  * @route GET /api/jobs/employer/:employerId
  * @param {string} employerId.path.required - ID of the employer
  * @param {string} [status] - Optional status filter (active, closed, etc.)
- * @returns {Object} { status: 'success', data: Array of job objects }
+ * @param {number} [limit=20] - Jobs per page (max 50)
+ * @param {string} [pageToken] - nextPageToken from the previous page
+ * @returns {Object} { status: 'success', data: Array of job objects (newest first), nextPageToken }
  * @throws {APIError} 403 - If user tries to access another employer's jobs
  * @throws {APIError} 500 - If there's a server error
  */
-router.get('/employer/:employerId', authenticateUser, async (req, res, next) => {
-  console.log('[JobsRoute] Request received:', { 
-    employerId: req.params.employerId, 
-    userId: req.user.uid,
-    status: req.query.status 
-  });
+router.get('/employer/:employerId', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: jobSchemas.employerList }), async (req, res, next) => {
   try {
     // Check if user is requesting their own jobs
     if (req.user.uid !== req.params.employerId) {
-      console.warn('[JobsRoute] Auth failed - mismatched IDs:', {
+      logger.warn('Employer jobs requested for another employer', {
         requestedId: req.params.employerId,
         userId: req.user.uid
       });
       throw new APIError(403, 'You can only view your own job posts');
     }
 
-    const { status } = req.query;
-    const jobs = await JobModel.getJobsByEmployer(req.params.employerId, status);
-    console.log('[JobsRoute] Jobs fetched successfully:', { count: jobs.length });
-    
+    const { status, limit, pageToken } = req.query;
+    const { items, nextPageToken } = await JobModel.getJobsByEmployer(req.params.employerId, status, { limit, pageToken });
     res.json({
       status: 'success',
-      data: jobs
+      data: items.map(toJobResponse),
+      nextPageToken
     });
   } catch (error) {
-    console.error('[JobsRoute] Error occurred:', {
-      message: error.message,
-      stack: error.stack
-    });
     next(error);
   }
 });
@@ -0,0 +1,85 @@
+/**
+ * Matches API Routes
+ *
+ * Lists the matches created when a job seeker and an employer both
+ * swipe right (see routes/swipes.js).
+ * - Job seekers see their matches across all jobs
+ * - Employers see matches across all their jobs, or for one job
+ *
+ * Listings are paginated: each response has a nextPageToken to send back
+ * as pageToken for the next page (null on the last page).
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const MatchModel = require('../models/match.model');
+const JobModel = require('../models/job.model');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const matchSchemas = require('../schemas/matches');
+
+/**
+ * List the current user's matches
+ * GET /api/matches
+ * Job seekers get their own matches, employers get matches for all their jobs
+ *
+ * Query parameters:
+ * - status: 'pending', 'accepted' or 'rejected'
+ * - limit: matches per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/', authenticateUser, requireRole(ROLES.JOB_SEEKER, ...EMPLOYER_ROLES), validateRequest({ query: matchSchemas.list }), async (req, res, next) => {
+  try {
+    const { status, limit, pageToken } = req.query;
+
+    const { items, nextPageToken } = req.user.role === ROLES.JOB_SEEKER
+      ? await MatchModel.getMatchesByJobSeeker(req.user.uid, status, { limit, pageToken })
+      : await MatchModel.getMatchesByEmployer(req.user.uid, status, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the matches for one of the employer's jobs
+ * GET /api/matches/jobs/:jobId
+ * Only the employer who owns the job can see them
+ *
+ * Query parameters: same as GET /api/matches
+ */
+router.get('/jobs/:jobId', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: matchSchemas.list }), async (req, res, next) => {
+  try {
+    const job = await JobModel.findById(req.params.jobId);
+    if (!job) {
+      throw new APIError(404, 'Job not found');
+    }
+
+    // Check if this user owns the job
+    if (job.employerId !== req.user.uid) {
+      throw new APIError(403, 'You can only view matches for your own job posts');
+    }
+
+    const { status, limit, pageToken } = req.query;
+    const { items, nextPageToken } = await MatchModel.getMatchesByJob(job.id, status, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
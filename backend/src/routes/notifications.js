@@ -0,0 +1,193 @@
+/**
+ * Notifications API Routes
+ *
+ * The in-app notification inbox, notification preferences and push tokens.
+ * Notifications are created by utils/notifications.js when something happens
+ * (a match, a like, a message, an interview change, a job about to expire).
+ *
+ * - Preferences turn the inApp and push channels on or off per event
+ * - Push tokens are Expo push tokens of the user's devices; register one after
+ *   sign-in and remove it on sign-out
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const NotificationModel = require('../models/notification.model');
+const PushTokenModel = require('../models/pushToken.model');
+const UserModel = require('../models/user.model');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const notificationSchemas = require('../schemas/notifications');
+
+// Everyone who receives notifications
+const RECIPIENT_ROLES = [ROLES.JOB_SEEKER, ...EMPLOYER_ROLES];
+
+/**
+ * List the current user's notifications
+ * GET /api/notifications
+ * Newest first
+ *
+ * Query parameters:
+ * - status: 'unread' or 'read'
+ * - limit: notifications per page (default: 20, max: 50)
+ * - pageToken: nextPageToken from the previous page
+ */
+router.get('/', authenticateUser, requireRole(...RECIPIENT_ROLES), validateRequest({ query: notificationSchemas.list }), async (req, res, next) => {
+  try {
+    const { status, limit, pageToken } = req.query;
+    const { items, nextPageToken } = await NotificationModel.getNotificationsForUser(req.user.uid, status, { limit, pageToken });
+
+    res.json({
+      status: 'success',
+      data: items,
+      nextPageToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the current user's unread notification count
+ * GET /api/notifications/unread-count
+ */
+router.get('/unread-count', authenticateUser, requireRole(...RECIPIENT_ROLES), async (req, res, next) => {
+  try {
+    const unreadCount = await NotificationModel.countUnread(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: { unreadCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark all of the current user's notifications as read
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', authenticateUser, requireRole(...RECIPIENT_ROLES), async (req, res, next) => {
+  try {
+    const readCount = await NotificationModel.markAllRead(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: { readCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the current user's notification preferences
+ * GET /api/notifications/preferences
+ * Returns { [event]: { inApp, push } } for every event
+ */
+router.get('/preferences', authenticateUser, requireRole(...RECIPIENT_ROLES), async (req, res, next) => {
+  try {
+    const preferences = await UserModel.getNotificationPreferences(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Update the current user's notification preferences
+ * PUT /api/notifications/preferences
+ * Only the events and channels sent are changed
+ *
+ * Body: { [event]: { inApp?: boolean, push?: boolean } }
+ * e.g. { "message": { "push": false } }
+ */
+router.put('/preferences', authenticateUser, requireRole(...RECIPIENT_ROLES), validateRequest({ body: notificationSchemas.preferences }), async (req, res, next) => {
+  try {
+    const preferences = await UserModel.updateNotificationPreferences(req.user.uid, req.body);
+
+    res.json({
+      status: 'success',
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Register a device for push notifications
+ * POST /api/notifications/push-tokens
+ *
+ * Body:
+ * - token: the device's Expo push token
+ * - platform: 'ios', 'android' or 'web'
+ */
+router.post('/push-tokens', authenticateUser, requireRole(...RECIPIENT_ROLES), validateRequest({ body: notificationSchemas.pushToken }), async (req, res, next) => {
+  try {
+    const { token, platform } = req.body;
+    const pushToken = await PushTokenModel.registerToken(req.user.uid, token, platform);
+
+    res.status(201).json({
+      status: 'success',
+      data: pushToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop sending pushes to a device
+ * DELETE /api/notifications/push-tokens/:token
+ */
+router.delete('/push-tokens/:token', authenticateUser, requireRole(...RECIPIENT_ROLES), async (req, res, next) => {
+  try {
+    const removed = await PushTokenModel.removeToken(req.user.uid, req.params.token);
+
+    if (!removed) {
+      throw new APIError(404, 'Push token not found');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Push token removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark a notification as read
+ * POST /api/notifications/:id/read
+ */
+router.post('/:id/read', authenticateUser, requireRole(...RECIPIENT_ROLES), async (req, res, next) => {
+  try {
+    const notification = await NotificationModel.findById(req.params.id);
+
+    if (!notification || notification.userId !== req.user.uid) {
+      throw new APIError(404, 'Notification not found');
+    }
+
+    const updated = await NotificationModel.markRead(notification);
+
+    res.json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -12,12 +12,21 @@
 
 const express = require('express');
 const router = express.Router();
-const authenticateUser = require('../middleware/auth');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
 const { handleUpload } = require('../middleware/upload');
 const UserModel = require('../models/user.model');
 const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { validateRequest } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotent } = require('../middleware/idempotency');
+const profileSchemas = require('../schemas/profiles');
 const ImageProcessor = require('../utils/image');
 
+// Roles that have a profile (admins don't)
+const PROFILE_ROLES = [ROLES.JOB_SEEKER, ROLES.EMPLOYER, ROLES.AGENCY_RECRUITER];
+
 // Helper function to calculate profile completion percentage
 const calculateProfileCompletion = (profile, userType) => {
   const fields = userType === 'jobSeeker' 
@@ -34,11 +43,50 @@ const calculateProfileCompletion = (profile, userType) => {
   return Math.round((completedFields.length / fields.length) * 100);
 };
 
+/**
+ * Create the current user's profile
+ * POST /api/profile
+ *
+ * Also sets the user's role claim, so the app should refresh its
+ * ID token (getIdToken(true)) after this call.
+ *
+ * Body:
+ * - userType: 'jobSeeker' or 'employer'
+ * - employerType: 'direct' or 'agency' (employers only)
+ * - Type-specific fields (name, phone, companyName, latitude, longitude...)
+ */
+router.post('/', authenticateUser, validateRequest({ body: profileSchemas.create }), async (req, res, next) => {
+  try {
+    const { uid, email } = req.user;
+    const { userType, employerType } = req.body;
+
+    const existingUser = await UserModel.findById(uid);
+    if (existingUser) {
+      throw new APIError(409, 'User profile already exists', null, ERROR_CODES.PROFILE_EXISTS);
+    }
+
+    let role = ROLES.JOB_SEEKER;
+    if (userType === 'employer') {
+      role = employerType === 'agency' ? ROLES.AGENCY_RECRUITER : ROLES.EMPLOYER;
+    }
+
+    const user = await UserModel.createUser({ ...req.body, uid, email, role }, userType);
+    await UserModel.setRole(uid, role);
+
+    res.status(201).json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Get current user's profile
  * GET /api/profile
  */
-router.get('/', authenticateUser, async (req, res, next) => {
+router.get('/', authenticateUser, requireRole(...PROFILE_ROLES), async (req, res, next) => {
   try {
     const user = await UserModel.findById(req.user.uid);
     if (!user) {
@@ -65,22 +113,9 @@ router.get('/', authenticateUser, async (req, res, next) => {
  * Update user profile
  * PUT /api/profile
  */
-router.put('/', authenticateUser, async (req, res, next) => {
+router.put('/', authenticateUser, requireRole(...PROFILE_ROLES), validateRequest({ body: profileSchemas.update }), async (req, res, next) => {
   try {
     const { userType } = req.user;
-    
-    // Validate required fields based on user type
-    if (userType === 'jobSeeker') {
-      const { name, phone } = req.body;
-      if (!name || !phone) {
-        throw new APIError(400, 'Name and phone are required for job seekers');
-      }
-    } else if (userType === 'employer') {
-      const { companyName } = req.body;
-      if (!companyName) {
-        throw new APIError(400, 'Company name is required for employers');
-      }
-    }
 
     const updatedUser = await UserModel.updateProfile(
       req.user.uid,
@@ -108,7 +143,7 @@ router.put('/', authenticateUser, async (req, res, next) => {
  * Get user preferences
  * GET /api/profile/preferences
  */
-router.get('/preferences', authenticateUser, async (req, res, next) => {
+router.get('/preferences', authenticateUser, requireRole(...PROFILE_ROLES), async (req, res, next) => {
   try {
     const user = await UserModel.findById(req.user.uid);
     if (!user) {
@@ -140,18 +175,9 @@ router.get('/preferences', authenticateUser, async (req, res, next) => {
  * Update user preferences
  * PUT /api/profile/preferences
  */
-router.put('/preferences', authenticateUser, async (req, res, next) => {
+router.put('/preferences', authenticateUser, requireRole(...PROFILE_ROLES), validateRequest({ body: profileSchemas.preferences }), async (req, res, next) => {
   try {
     const { userType } = req.user;
-    const updatePath = userType === 'jobSeeker' ? 'jobSeeker.profile' : 'employer.profile';
-    
-    // Validate preference data based on user type
-    if (userType === 'jobSeeker') {
-      const { searchRadius, preferredLocations, willingToRelocate, preferredSalary } = req.body;
-      if (searchRadius && (searchRadius < 1 || searchRadius > 500)) {
-        throw new APIError(400, 'Search radius must be between 1 and 500 km');
-      }
-    }
 
     const updatedUser = await UserModel.updateProfile(
       req.user.uid,
@@ -172,16 +198,9 @@ router.put('/preferences', authenticateUser, async (req, res, next) => {
  * Update user location
  * PUT /api/profile/location
  */
-router.put('/location', authenticateUser, async (req, res, next) => {
+router.put('/location', authenticateUser, requireRole(...PROFILE_ROLES), validateRequest({ body: profileSchemas.location }), async (req, res, next) => {
   try {
     const { latitude, longitude } = req.body;
-    
-    // Validate coordinates
-    if (!latitude || !longitude || 
-        latitude < -90 || latitude > 90 || 
-        longitude < -180 || longitude > 180) {
-      throw new APIError(400, 'Invalid coordinates');
-    }
 
     const updatedUser = await UserModel.updateLocation(
       req.user.uid,
@@ -202,8 +221,9 @@ router.put('/location', authenticateUser, async (req, res, next) => {
 /**
  * Upload profile image
  * POST /api/profile/image
+ * Supports an Idempotency-Key header (see middleware/idempotency.js)
  */
-router.post('/image', authenticateUser, handleUpload, async (req, res, next) => {
+router.post('/image', authenticateUser, requireRole(...PROFILE_ROLES), rateLimit('uploads'), handleUpload, idempotent, async (req, res, next) => {
   try {
     // Process and upload image
     const { buffer } = req.file;
@@ -0,0 +1,77 @@
+/**
+ * Reports API Routes
+ *
+ * Lets users report abuse:
+ * - job seekers (and employers) report fake, scam or exploitative jobs
+ * - anyone reports another account, e.g. an employer reporting a candidate
+ *
+ * Each report has a reason from config/reports.js and optional evidence text.
+ * A reporter can only have one open report per job or account.
+ *
+ * A reported job is left out of GET /api/jobs until an admin reviews it, and
+ * jobs and accounts with enough reports are hidden automatically. Admins work
+ * through reports at /api/admin (see routes/admin.js).
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES } = require('../config/roles');
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require('../config/reports');
+const JobModel = require('../models/job.model');
+const ReportModel = require('../models/report.model');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const reportSchemas = require('../schemas/reports');
+
+// Everyone who can report
+const REPORTER_ROLES = [ROLES.JOB_SEEKER, ...EMPLOYER_ROLES];
+
+/**
+ * Report a job or an account
+ * POST /api/reports
+ *
+ * Body:
+ * - targetType: 'job' or 'user'
+ * - targetId: ID of the job or user
+ * - reason: for jobs fake_job, scam, exploitative, discriminatory, inappropriate or other;
+ *   for users fake_profile, harassment, scam, spam, inappropriate or other
+ * - evidence: optional details for the reviewer (up to 2000 characters)
+ *
+ * Returns the report and `hidden: true` if this report got the job or account hidden
+ */
+router.post('/', authenticateUser, requireRole(...REPORTER_ROLES), validateRequest({ body: reportSchemas.create }), async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, evidence } = req.body;
+
+    if (!REPORT_REASONS[targetType].includes(reason)) {
+      throw new APIError(400, 'Validation failed', [
+        { field: 'reason', message: `reason must be one of: ${REPORT_REASONS[targetType].join(', ')}` }
+      ]);
+    }
+
+    if (targetType === REPORT_TARGET_TYPES.USER && targetId === req.user.uid) {
+      throw new APIError(403, 'You cannot report yourself');
+    }
+
+    if (targetType === REPORT_TARGET_TYPES.JOB) {
+      const job = await JobModel.findById(targetId);
+      if (job && job.employerId === req.user.uid) {
+        throw new APIError(403, 'You cannot report your own job post');
+      }
+    }
+
+    const { report, hidden } = await ReportModel.createReport(targetType, targetId, req.user.uid, { reason, evidence });
+
+    res.status(201).json({
+      status: 'success',
+      data: { ...report, hidden }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
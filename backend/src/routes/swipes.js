@@ -0,0 +1,212 @@
+/**
+ * Swipes API Routes
+ *
+ * This file handles the swipe decisions that drive matching in our app.
+ * Every time a job seeker swipes on a job card we:
+ * - Store their left (pass) or right (like) decision
+ * - Count likes on the job post
+ * - Create a match when the employer has already liked the candidate
+ *
+ * Employers swipe on candidates for one of their own jobs, and a match
+ * is created when the candidate has already liked that job.
+ *
+ * Swipes are stored once per job/candidate pair, together with the like
+ * counts in one batch, so a decision can't be replayed to inflate them.
+ * Sending the same decision again (e.g. a retry after a timeout) is safe:
+ * it creates any match the first attempt didn't get to and responds 200.
+ * A different decision gets a 409. Swiping is also rate limited (see
+ * config/rateLimits.js).
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { ROLES, EMPLOYER_ROLES, getRoleForUser } = require('../config/roles');
+const SwipeModel = require('../models/swipe.model');
+const JobModel = require('../models/job.model');
+const MatchModel = require('../models/match.model');
+const JobAnalyticsModel = require('../models/jobAnalytics.model');
+const UserModel = require('../models/user.model');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { notifyJobLiked } = require('../utils/notifications');
+const swipeSchemas = require('../schemas/swipes');
+
+// Helper function to load a job and check the current user owns it
+const getOwnedJob = async (req) => {
+  const job = await JobModel.findById(req.params.jobId);
+
+  if (!job) {
+    throw new APIError(404, 'Job not found');
+  }
+
+  // Check if this user owns the job
+  if (job.employerId !== req.user.uid) {
+    throw new APIError(403, 'You can only review candidates for your own job posts');
+  }
+
+  return job;
+};
+
+/**
+ * Swipe on a job
+ * POST /api/swipes/jobs/:jobId
+ * Only job seekers can swipe on jobs
+ *
+ * Body:
+ * - direction: 'right' to like the job, 'left' to pass
+ */
+router.post('/jobs/:jobId', authenticateUser, requireRole(ROLES.JOB_SEEKER), rateLimit('swipes'), validateRequest({ body: swipeSchemas.swipe }), async (req, res, next) => {
+  try {
+    const { direction } = req.body;
+
+    const jobSeeker = await UserModel.findById(req.user.uid);
+    if (!jobSeeker) {
+      throw new APIError(404, 'User profile not found');
+    }
+
+    const job = await JobModel.findById(req.params.jobId);
+    if (!job || job.status !== 'active') {
+      throw new APIError(404, 'Job not found');
+    }
+
+    // Each job can only be swiped once; its counts are written with the swipe
+    const { swipe, created } = await SwipeModel.recordSwipe({
+      swiperType: 'jobSeeker',
+      swiperId: jobSeeker.id,
+      jobId: job.id,
+      jobSeekerId: jobSeeker.id,
+      employerId: job.employerId,
+      direction
+    }, (batch) => {
+      JobAnalyticsModel.recordInBatch(batch, job, direction === 'right' ? 'likes' : 'passes');
+      if (direction === 'right') {
+        JobModel.incrementRightSwipes(batch, job.id);
+      }
+    });
+
+    let match = null;
+    if (direction === 'right') {
+      // It's a match if the employer has already shortlisted this candidate
+      // (creating it again on a repeat just returns the existing match)
+      const employerLiked = await SwipeModel.hasLiked('employer', job.id, jobSeeker.id);
+      if (employerLiked) {
+        match = await MatchModel.createMutualMatch(job, jobSeeker);
+      } else if (created) {
+        // Let the employer know someone is waiting for their review
+        await notifyJobLiked(job, jobSeeker.id);
+      }
+    }
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: {
+        swipe,
+        match
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Swipe on a candidate for a job
+ * POST /api/swipes/jobs/:jobId/candidates/:jobSeekerId
+ * Only the employer who created the job can swipe on its candidates
+ *
+ * Body:
+ * - direction: 'right' to shortlist the candidate, 'left' to pass
+ */
+router.post('/jobs/:jobId/candidates/:jobSeekerId', authenticateUser, requireRole(...EMPLOYER_ROLES), rateLimit('swipes'), validateRequest({ body: swipeSchemas.swipe }), async (req, res, next) => {
+  try {
+    const { direction } = req.body;
+    const job = await getOwnedJob(req);
+
+    const jobSeeker = await UserModel.findById(req.params.jobSeekerId);
+    // Accounts hidden after being reported can't be swiped on
+    if (!jobSeeker || getRoleForUser(jobSeeker) !== ROLES.JOB_SEEKER || UserModel.isHidden(jobSeeker)) {
+      throw new APIError(404, 'Candidate not found');
+    }
+
+    // Each candidate can only be swiped once per job
+    const { swipe, created } = await SwipeModel.recordSwipe({
+      swiperType: 'employer',
+      swiperId: req.user.uid,
+      jobId: job.id,
+      jobSeekerId: jobSeeker.id,
+      employerId: job.employerId,
+      direction
+    });
+
+    // It's a match if the candidate has already liked this job
+    let match = null;
+    if (direction === 'right') {
+      const jobSeekerLiked = await SwipeModel.hasLiked('jobSeeker', job.id, jobSeeker.id);
+      if (jobSeekerLiked) {
+        match = await MatchModel.createMutualMatch(job, jobSeeker);
+      }
+    }
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: {
+        swipe,
+        match
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the employer's candidate swipes for a job
+ * GET /api/swipes/jobs/:jobId/candidates
+ * Only the employer who created the job can view them
+ *
+ * Query parameters:
+ * - direction: optional 'left' or 'right' filter
+ */
+router.get('/jobs/:jobId/candidates', authenticateUser, requireRole(...EMPLOYER_ROLES), validateRequest({ query: swipeSchemas.list }), async (req, res, next) => {
+  try {
+    const { direction } = req.query;
+
+    const job = await getOwnedJob(req);
+    const swipes = await SwipeModel.getEmployerSwipesByJob(job.id, direction);
+
+    res.json({
+      status: 'success',
+      data: swipes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the current job seeker's swipe history
+ * GET /api/swipes
+ *
+ * Query parameters:
+ * - direction: optional 'left' or 'right' filter
+ */
+router.get('/', authenticateUser, requireRole(ROLES.JOB_SEEKER), validateRequest({ query: swipeSchemas.list }), async (req, res, next) => {
+  try {
+    const { direction } = req.query;
+
+    const swipes = await SwipeModel.getSwipesByJobSeeker(req.user.uid, direction);
+
+    res.json({
+      status: 'success',
+      data: swipes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
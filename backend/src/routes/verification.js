@@ -0,0 +1,108 @@
+/**
+ * Verification API Routes
+ *
+ * Business document verification for employers:
+ * 1. The employer uploads documents (registration, tax documents, licences)
+ *    and their verification status becomes 'pending'
+ * 2. An admin approves or rejects each document (see routes/admin.js)
+ * 3. One approved document verifies the employer. If every document is
+ *    rejected, the status becomes 'rejected' and they can upload more
+ *
+ * Employers can also verify by business email (see routes/auth.js).
+ * Either way they have GRACE_PERIOD_DAYS from sign-up before posting jobs
+ * needs verification (see middleware/verification.js).
+ *
+ * Documents must be PDF, JPEG or PNG files up to 10MB, checked by MIME type
+ * and by their contents. They are stored privately.
+ *
+ * Important: All routes need authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { EMPLOYER_ROLES } = require('../config/roles');
+const { GRACE_PERIOD_DAYS } = require('../config/verification');
+const { handleDocumentUpload } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const UserModel = require('../models/user.model');
+const VerificationDocumentModel = require('../models/verificationDocument.model');
+const DocumentStorage = require('../utils/documentStorage');
+const { APIError } = require('../middleware/error');
+const { validateRequest } = require('../middleware/validate');
+const verificationSchemas = require('../schemas/verification');
+
+// Helper function to hide where a document is stored
+const toDocumentResponse = ({ storagePath, ...document }) => document;
+
+/**
+ * Get the current employer's verification status
+ * GET /api/verification/status
+ *
+ * Returns:
+ * - status: unverified, pending, verified or rejected
+ * - method: how they were verified, if they are
+ * - gracePeriodDays, gracePeriodEndsAt, daysRemaining
+ * - isRestricted: true when the grace period is over and posting jobs is blocked
+ * - documents: uploaded documents and their review outcome
+ */
+router.get('/status', authenticateUser, requireRole(...EMPLOYER_ROLES), async (req, res, next) => {
+  try {
+    const verification = await UserModel.getVerification(req.user.uid);
+    if (!verification) {
+      throw new APIError(404, 'User profile not found');
+    }
+
+    const documents = await VerificationDocumentModel.getDocumentsForEmployer(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: {
+        ...verification,
+        gracePeriodDays: GRACE_PERIOD_DAYS,
+        documents: documents.map(toDocumentResponse)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Upload verification documents
+ * POST /api/verification/documents
+ * Multipart form:
+ * - documents: 1-5 PDF, JPEG or PNG files, up to 10MB each
+ * - documentType: business_registration, tax_document, professional_license or other
+ */
+router.post('/documents', authenticateUser, requireRole(...EMPLOYER_ROLES), rateLimit('uploads'), handleDocumentUpload, validateRequest({ body: verificationSchemas.upload }), async (req, res, next) => {
+  const storagePaths = [];
+
+  try {
+    for (const file of req.files) {
+      storagePaths.push(await DocumentStorage.saveDocument(file.buffer, req.user.uid, file.mimetype));
+    }
+
+    const documents = await VerificationDocumentModel.createDocuments(
+      req.user.uid,
+      req.files.map((file, index) => ({
+        fileName: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        storagePath: storagePaths[index]
+      })),
+      req.body.documentType
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: documents.map(toDocumentResponse)
+    });
+  } catch (error) {
+    // Don't leave files behind that nothing points to
+    await DocumentStorage.deleteDocuments(storagePaths);
+    next(error);
+  }
+});
+
+module.exports = router;
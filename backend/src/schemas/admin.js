@@ -0,0 +1,44 @@
+/**
+ * Admin Request Schemas
+ *
+ * Validation rules for the admin routes (see utils/validator.js for the format).
+ */
+
+const { pagination } = require('./jobs');
+const { ADMIN_ACTIONS, AUDIT_TARGET_TYPES } = require('../config/adminActions');
+const { REPORT_TARGET_TYPES, REPORT_STATUSES } = require('../config/reports');
+
+// Rejecting or suspending needs a reason; it is shown to the user and kept in the audit log
+const reasonRequired = {
+  reason: { type: 'string', required: true, maxLength: 1000 }
+};
+
+// Approving or restoring can have a note for the audit log
+const reasonOptional = {
+  reason: { type: 'string', maxLength: 1000 }
+};
+
+// GET /api/admin/reports
+const reports = {
+  status: { type: 'string', enum: Object.values(REPORT_STATUSES), default: REPORT_STATUSES.OPEN },
+  targetType: { type: 'string', enum: Object.values(REPORT_TARGET_TYPES) },
+  targetId: { type: 'string', maxLength: 128 },
+  ...pagination
+};
+
+// GET /api/admin/audit-log
+const auditLog = {
+  adminId: { type: 'string', maxLength: 128 },
+  action: { type: 'string', enum: Object.values(ADMIN_ACTIONS) },
+  targetType: { type: 'string', enum: Object.values(AUDIT_TARGET_TYPES) },
+  targetId: { type: 'string', maxLength: 128 },
+  ...pagination
+};
+
+module.exports = {
+  pagination,
+  reasonRequired,
+  reasonOptional,
+  reports,
+  auditLog
+};
@@ -0,0 +1,38 @@
+/**
+ * Auth Request Schemas
+ *
+ * Validation rules for the auth routes (see utils/validator.js for the format).
+ */
+
+// Loose check; the real test is whether the email arrives
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// POST /api/auth/send-verification
+const sendVerification = {
+  email: {
+    type: 'string',
+    required: true,
+    maxLength: 254,
+    pattern: EMAIL_PATTERN,
+    messages: { required: 'Business email is required', pattern: 'Please enter a valid email address' }
+  },
+  companyName: { type: 'string', maxLength: 100 },
+  // Used when the company website hasn't been saved to the profile yet (during onboarding)
+  website: { type: 'string', maxLength: 200 },
+  type: { type: 'string', enum: ['business_verification'], default: 'business_verification' }
+};
+
+// POST /api/auth/verify-email
+const verifyEmail = {
+  token: {
+    type: 'string',
+    required: true,
+    maxLength: 2000,
+    messages: { required: 'Verification token is required' }
+  }
+};
+
+module.exports = {
+  sendVerification,
+  verifyEmail
+};
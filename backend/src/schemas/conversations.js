@@ -0,0 +1,46 @@
+/**
+ * Conversation Request Schemas
+ *
+ * Validation rules for the conversations routes (see utils/validator.js for the format).
+ */
+
+const { pagination } = require('./jobs');
+
+/** @const {number} Largest attachment a message can reference (25 MB) */
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+// GET /api/conversations and GET /api/conversations/:matchId/messages
+const list = {
+  ...pagination
+};
+
+// POST /api/conversations/:matchId/messages
+// A message needs text, attachments or both (checked in the route)
+const send = {
+  text: { type: 'string', maxLength: 2000 },
+  attachments: {
+    type: 'array',
+    default: [],
+    maxItems: 5,
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        url: {
+          type: 'string',
+          required: true,
+          maxLength: 2000,
+          pattern: /^https:\/\//,
+          messages: { pattern: 'Attachment URL must start with https://' }
+        },
+        contentType: { type: 'string', required: true, maxLength: 100 },
+        size: { type: 'integer', min: 0, max: MAX_ATTACHMENT_SIZE }
+      }
+    }
+  }
+};
+
+module.exports = {
+  list,
+  send
+};
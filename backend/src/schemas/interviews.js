@@ -0,0 +1,85 @@
+/**
+ * Interview Request Schemas
+ *
+ * Validation rules for the interviews routes (see utils/validator.js for the format).
+ * Time zones and slot times are checked by InterviewModel.buildSlots.
+ */
+
+const { pagination } = require('./jobs');
+const { INTERVIEW_STATUSES } = require('../config/interviewStatus');
+
+// Slots and details the employer offers (POST /api/interviews and POST /:id/slots)
+const schedule = {
+  timeZone: {
+    type: 'string',
+    required: true,
+    maxLength: 100,
+    messages: { required: 'timeZone is required, e.g. "Europe/London"' }
+  },
+  durationMinutes: { type: 'integer', default: 60, min: 15, max: 480 },
+  slots: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        // "2025-01-15T10:00" in timeZone, or an ISO time with an offset
+        start: { type: 'string', required: true, maxLength: 40 }
+      }
+    }
+  },
+  location: { type: 'string', maxLength: 300 },
+  meetingUrl: {
+    type: 'string',
+    maxLength: 2000,
+    // The whole value: no spaces or control characters anywhere in the link
+    pattern: /^https:\/\/[^\s\u0000-\u001f\u007f]+$/,
+    messages: { pattern: 'Meeting URL must be a single https:// link' }
+  },
+  notes: { type: 'string', maxLength: 2000 }
+};
+
+// POST /api/interviews
+const create = {
+  matchId: { type: 'string', required: true },
+  ...schedule
+};
+
+// GET /api/interviews
+const list = {
+  status: { type: 'string', enum: Object.values(INTERVIEW_STATUSES) },
+  timeZone: { type: 'string', maxLength: 100 },
+  ...pagination
+};
+
+// GET /api/interviews/:id
+const view = {
+  timeZone: { type: 'string', maxLength: 100 }
+};
+
+// POST /api/interviews/:id/accept
+const accept = {
+  slotId: { type: 'string', required: true }
+};
+
+// POST /api/interviews/:id/reschedule
+const reschedule = {
+  note: { type: 'string', maxLength: 1000 }
+};
+
+// POST /api/interviews/:id/cancel
+const cancel = {
+  reason: { type: 'string', maxLength: 1000 }
+};
+
+module.exports = {
+  schedule,
+  create,
+  list,
+  view,
+  accept,
+  reschedule,
+  cancel
+};
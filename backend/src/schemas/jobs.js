@@ -0,0 +1,166 @@
+/**
+ * Job Request Schemas
+ *
+ * Validation rules for the jobs routes (see utils/validator.js for the format).
+ * Limits, allowed values and messages come from the job rules file the app's
+ * job posting form uses (frontend/src/data/validation/jobRules.json), so a job
+ * that passes the form also passes the API.
+ */
+
+const { partial } = require('../utils/validator');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/pagination');
+const { JOB_STATUSES: STATUS } = require('../config/jobStatus');
+const jobRules = require('../../../frontend/src/data/validation/jobRules.json');
+
+const { fields } = jobRules;
+
+/** @const {string[]} Every status a job can be in */
+const JOB_STATUSES = Object.values(STATUS);
+
+// Query parameters shared by paginated listings
+const pagination = {
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+  pageToken: { type: 'string', maxLength: 1000 }
+};
+
+const jobLocation = {
+  type: 'object',
+  properties: {
+    address: { type: 'string', required: true, maxLength: 200 },
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 }
+  }
+};
+
+const textList = (maxLength) => ({
+  type: 'array',
+  maxItems: 30,
+  items: { type: 'string', maxLength }
+});
+
+// POST /api/jobs
+const create = {
+  title: { type: 'string', required: true, maxLength: fields.title.maxLength, messages: fields.title.messages },
+  description: {
+    type: 'string',
+    required: true,
+    maxLength: fields.description.maxLength,
+    messages: fields.description.messages
+  },
+  requirements: textList(500),
+  responsibilities: textList(500),
+  locationType: { type: 'string', enum: jobRules.locationTypes, default: 'onsite' },
+  occasionalOnsite: { type: 'boolean', default: false },
+  locations: {
+    type: 'array',
+    required: true,
+    minItems: fields.locations.minItems,
+    maxItems: fields.locations.maxItems,
+    items: jobLocation,
+    messages: fields.locations.messages
+  },
+  employmentType: { type: 'string', required: true, enum: jobRules.employmentTypes },
+  experienceLevel: { type: 'string', required: true, enum: jobRules.experienceLevels },
+  salary: {
+    type: 'object',
+    required: true,
+    messages: { required: fields.salary.messages.required },
+    properties: {
+      amount: { type: 'number', required: true, min: fields.salary.min, messages: fields.salary.messages },
+      type: { type: 'string', enum: jobRules.salaryTypes, default: 'monthly' },
+      currency: { type: 'string', pattern: /^[A-Z]{3}$/, default: 'INR' },
+      isNegotiable: { type: 'boolean', default: false }
+    }
+  },
+  skills: {
+    type: 'array',
+    required: true,
+    minItems: fields.skills.minItems,
+    maxItems: fields.skills.maxItems,
+    items: { type: 'string', maxLength: 50 },
+    messages: fields.skills.messages
+  },
+  education: {
+    type: 'object',
+    properties: {
+      degree: { type: 'string', maxLength: 100 },
+      field: { type: 'string', maxLength: 100 }
+    }
+  },
+  benefits: textList(200),
+  // Jobs are published straight away unless saved as a draft
+  status: { type: 'string', enum: [STATUS.DRAFT, STATUS.ACTIVE], default: STATUS.ACTIVE }
+};
+
+// PUT /api/jobs/:id - any subset of the create fields
+// Status changes have their own endpoints (publish, pause, resume, ...)
+const { status: createStatus, ...editableFields } = create;
+const update = partial(editableFields);
+
+// GET /api/jobs
+const list = {
+  q: { type: 'string', maxLength: 200 },
+  lat: { type: 'number', min: -90, max: 90 },
+  lng: { type: 'number', min: -180, max: 180 },
+  radius: { type: 'number', min: 1, max: 500, default: 50 },
+  type: { type: 'string', enum: jobRules.employmentTypes },
+  experience: { type: 'string', enum: jobRules.experienceLevels },
+  minSalary: { type: 'number', min: 0 },
+  maxSalary: { type: 'number', min: 0 },
+  ...pagination
+};
+
+// GET /api/jobs/feed
+const feed = {
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 10 },
+  // Feed tokens also list the jobs already returned from the current window
+  pageToken: { type: 'string', maxLength: 4000 }
+};
+
+// GET /api/jobs/employer/:employerId
+const employerList = {
+  status: { type: 'string', enum: JOB_STATUSES },
+  ...pagination
+};
+
+// GET /api/jobs/:id/revisions
+const revisionList = {
+  ...pagination
+};
+
+// GET /api/jobs/:id/revisions/diff
+const revisionDiff = {
+  from: { type: 'integer', required: true, min: 1 },
+  to: { type: 'integer', required: true, min: 1 }
+};
+
+// GET /api/jobs/:id/analytics - UTC days, both included
+const analyticsDate = (field) => ({
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  messages: { pattern: `${field} must be a date like 2025-01-31` }
+});
+const analytics = {
+  from: analyticsDate('from'),
+  to: analyticsDate('to')
+};
+
+// Route parameters of /api/jobs/:id/revisions/:version
+const revisionParams = {
+  id: { type: 'string', required: true },
+  version: { type: 'integer', required: true, min: 1 }
+};
+
+module.exports = {
+  JOB_STATUSES,
+  pagination,
+  create,
+  update,
+  list,
+  feed,
+  employerList,
+  revisionList,
+  revisionDiff,
+  revisionParams,
+  analytics
+};
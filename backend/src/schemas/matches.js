@@ -0,0 +1,21 @@
+/**
+ * Match Request Schemas
+ *
+ * Validation rules for the matches routes (see utils/validator.js for the format).
+ */
+
+const { pagination } = require('./jobs');
+
+/** @const {string[]} Every status a match can be in */
+const MATCH_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// GET /api/matches and GET /api/matches/jobs/:jobId
+const list = {
+  status: { type: 'string', enum: MATCH_STATUSES },
+  ...pagination
+};
+
+module.exports = {
+  MATCH_STATUSES,
+  list
+};
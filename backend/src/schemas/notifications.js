@@ -0,0 +1,49 @@
+/**
+ * Notification Request Schemas
+ *
+ * Validation rules for the notifications routes (see utils/validator.js for the format).
+ */
+
+const { pagination } = require('./jobs');
+const { NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+
+/** @const {string[]} Platforms a push token can come from */
+const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+
+// GET /api/notifications
+const list = {
+  status: { type: 'string', enum: ['unread', 'read'] },
+  ...pagination
+};
+
+// PUT /api/notifications/preferences
+// { match: { push: false }, message: { inApp: true, push: true }, ... }
+const preferences = Object.values(NOTIFICATION_EVENTS).reduce((schema, event) => ({
+  ...schema,
+  [event]: {
+    type: 'object',
+    properties: {
+      inApp: { type: 'boolean' },
+      push: { type: 'boolean' }
+    }
+  }
+}), {});
+
+// POST /api/notifications/push-tokens
+const pushToken = {
+  token: {
+    type: 'string',
+    required: true,
+    maxLength: 200,
+    pattern: /^Expo(nent)?PushToken\[[^\]]+\]$/,
+    messages: { pattern: 'token must be an Expo push token, e.g. ExponentPushToken[xxxx]' }
+  },
+  platform: { type: 'string', enum: PUSH_PLATFORMS }
+};
+
+module.exports = {
+  PUSH_PLATFORMS,
+  list,
+  preferences,
+  pushToken
+};
@@ -0,0 +1,155 @@
+/**
+ * Profile Request Schemas
+ *
+ * Validation rules for the profile routes (see utils/validator.js for the format).
+ * Job seekers and employers keep different profile fields, so most routes
+ * pick a schema based on the user type.
+ */
+
+const { partial } = require('../utils/validator');
+
+const SALARY_TYPES = ['monthly', 'annual', 'yearly'];
+
+const coordinates = {
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 }
+};
+
+const salary = {
+  type: 'object',
+  properties: {
+    amount: { type: 'number', required: true, min: 0 },
+    type: { type: 'string', enum: SALARY_TYPES, default: 'monthly' },
+    currency: { type: 'string', pattern: /^[A-Z]{3}$/, default: 'INR' },
+    isNegotiable: { type: 'boolean', default: false }
+  }
+};
+
+const searchRadius = {
+  type: 'number',
+  min: 1,
+  max: 500,
+  messages: {
+    min: 'Search radius must be between 1 and 500 km',
+    max: 'Search radius must be between 1 and 500 km'
+  }
+};
+
+// POST /api/profile
+const createJobSeeker = {
+  userType: { type: 'string', required: true, enum: ['jobSeeker', 'employer'] },
+  name: { type: 'string', required: true, maxLength: 100 },
+  phone: { type: 'string', required: true, maxLength: 20 },
+  searchRadius,
+  ...coordinates
+};
+
+const createEmployer = {
+  userType: { type: 'string', required: true, enum: ['jobSeeker', 'employer'] },
+  employerType: { type: 'string', enum: ['direct', 'agency'], default: 'direct' },
+  companyName: { type: 'string', required: true, maxLength: 100 },
+  ...coordinates
+};
+
+// PUT /api/profile
+// Only the fields sent are changed, so none are required
+const updateJobSeeker = partial({
+  name: createJobSeeker.name,
+  phone: createJobSeeker.phone,
+  skills: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 50 } },
+  experience: { type: 'number', min: 0, max: 60 },
+  education: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        degree: { type: 'string', required: true, maxLength: 100 },
+        specialization: { type: 'string', maxLength: 100 },
+        institution: { type: 'string', maxLength: 200 },
+        year: { type: 'integer', min: 1950, max: 2100 }
+      }
+    }
+  },
+  workHistory: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      properties: {
+        company: { type: 'string', required: true, maxLength: 100 },
+        position: { type: 'string', required: true, maxLength: 100 },
+        startDate: { type: 'string', maxLength: 30 },
+        endDate: { type: 'string', maxLength: 30 },
+        description: { type: 'string', maxLength: 2000 }
+      }
+    }
+  }
+});
+
+const updateEmployer = partial({
+  companyName: createEmployer.companyName,
+  companyDescription: { type: 'string', maxLength: 2000 },
+  website: { type: 'string', maxLength: 200, pattern: /^(https?:\/\/)?[\w-]+(\.[\w-]+)+\S*$/i },
+  industry: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 100 } },
+  employerSize: { type: 'string', maxLength: 50 },
+  socialMedia: {
+    type: 'object',
+    properties: {
+      linkedin: { type: 'string', maxLength: 200 },
+      twitter: { type: 'string', maxLength: 200 },
+      facebook: { type: 'string', maxLength: 200 }
+    }
+  }
+});
+
+// PUT /api/profile/preferences
+const jobSeekerPreferences = {
+  searchRadius,
+  preferredLocations: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', maxLength: 200 },
+        ...coordinates
+      }
+    }
+  },
+  willingToRelocate: { type: 'boolean' },
+  preferredSalary: salary
+};
+
+const employerPreferences = {
+  officeLocations: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', required: true, maxLength: 200 },
+        ...coordinates,
+        isPrimary: { type: 'boolean', default: false }
+      }
+    }
+  },
+  industry: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 100 } }
+};
+
+// PUT /api/profile/location
+const location = {
+  latitude: { ...coordinates.latitude, required: true },
+  longitude: { ...coordinates.longitude, required: true }
+};
+
+// Pick the job seeker or employer version of a schema for the current request
+const byUserType = (jobSeekerSchema, employerSchema) => (req) =>
+  (req.user.userType === 'jobSeeker' ? jobSeekerSchema : employerSchema);
+
+module.exports = {
+  create: (req) => (req.body && req.body.userType === 'employer' ? createEmployer : createJobSeeker),
+  update: byUserType(updateJobSeeker, updateEmployer),
+  preferences: byUserType(jobSeekerPreferences, employerPreferences),
+  location
+};
@@ -0,0 +1,23 @@
+/**
+ * Report Request Schemas
+ *
+ * Validation rules for the reports routes (see utils/validator.js for the format).
+ */
+
+const { REPORT_TARGET_TYPES, REPORT_REASONS } = require('../config/reports');
+
+// Every reason of every kind of report; the route checks it fits the targetType
+const ALL_REASONS = [...new Set(Object.values(REPORT_REASONS).flat())];
+
+// POST /api/reports
+const create = {
+  targetType: { type: 'string', required: true, enum: Object.values(REPORT_TARGET_TYPES) },
+  targetId: { type: 'string', required: true, maxLength: 128 },
+  reason: { type: 'string', required: true, enum: ALL_REASONS },
+  // What happened, links, message excerpts... anything that helps the review
+  evidence: { type: 'string', maxLength: 2000 }
+};
+
+module.exports = {
+  create
+};
@@ -0,0 +1,23 @@
+/**
+ * Swipe Request Schemas
+ *
+ * Validation rules for the swipes routes (see utils/validator.js for the format).
+ */
+
+const SWIPE_DIRECTIONS = ['left', 'right'];
+
+// POST /api/swipes/jobs/:jobId and POST /api/swipes/jobs/:jobId/candidates/:jobSeekerId
+const swipe = {
+  direction: { type: 'string', required: true, enum: SWIPE_DIRECTIONS }
+};
+
+// GET /api/swipes and GET /api/swipes/jobs/:jobId/candidates
+const list = {
+  direction: { type: 'string', enum: SWIPE_DIRECTIONS }
+};
+
+module.exports = {
+  SWIPE_DIRECTIONS,
+  swipe,
+  list
+};
@@ -0,0 +1,18 @@
+/**
+ * Verification Request Schemas
+ *
+ * Validation rules for the verification routes (see utils/validator.js for the format).
+ */
+
+/** @const {string[]} Kinds of verification document */
+const DOCUMENT_TYPES = ['business_registration', 'tax_document', 'professional_license', 'other'];
+
+// POST /api/verification/documents (multipart form fields)
+const upload = {
+  documentType: { type: 'string', enum: DOCUMENT_TYPES, default: 'other' }
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  upload
+};
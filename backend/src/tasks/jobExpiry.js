@@ -0,0 +1,84 @@
+/**
+ * Job Expiry Sweeper
+ *
+ * Jobs are active for 30 days (see config/jobStatus.js). This task runs on a
+ * timer while the server is up and moves active and paused jobs past their
+ * expiresAt to 'expired', which takes them out of search and feeds.
+ * Employers can bring an expired job back with POST /api/jobs/:id/renew.
+ *
+ * Each run also reminds employers about active jobs that expire within
+ * JOB_EXPIRY_REMINDER_DAYS, once per expiry date.
+ *
+ * The interval can be changed with JOB_EXPIRY_SWEEP_INTERVAL_MINUTES (default: 60).
+ */
+
+const JobModel = require('../models/job.model');
+const { notifyJobExpiring } = require('../utils/notifications');
+const logger = require('../utils/logger').child({ component: 'JobExpiry' });
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Expire every job past its expiry date
+ * @returns {Promise<number>} Number of jobs expired
+ */
+const sweepExpiredJobs = async () => {
+  try {
+    const expiredCount = await JobModel.expireStaleJobs();
+    if (expiredCount > 0) {
+      logger.info('Expired job posts', { count: expiredCount });
+    }
+    return expiredCount;
+  } catch (error) {
+    // A failed sweep is retried on the next run
+    logger.error('Sweep failed', { error });
+    return 0;
+  }
+};
+
+/**
+ * Remind employers about jobs that expire soon
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const remindExpiringJobs = async () => {
+  try {
+    const jobs = await JobModel.getJobsNeedingExpiryReminder();
+    for (const job of jobs) {
+      await notifyJobExpiring(job);
+      await JobModel.markExpiryReminderSent(job);
+    }
+    return jobs.length;
+  } catch (error) {
+    // Reminders that weren't sent are retried on the next run
+    logger.error('Reminders failed', { error });
+    return 0;
+  }
+};
+
+// One run of the sweeper
+const runSweep = async () => {
+  await sweepExpiredJobs();
+  await remindExpiringJobs();
+};
+
+/**
+ * Run the sweeper now and then on a fixed interval
+ * @param {number} [intervalMinutes] - Minutes between sweeps
+ * @returns {Object} The interval timer (pass to clearInterval to stop it)
+ */
+const startJobExpirySweeper = (
+  intervalMinutes = parseInt(process.env.JOB_EXPIRY_SWEEP_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES
+) => {
+  runSweep();
+
+  const timer = setInterval(runSweep, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepExpiredJobs,
+  remindExpiringJobs,
+  startJobExpirySweeper
+};
@@ -0,0 +1,96 @@
+/**
+ * iCalendar Utilities
+ *
+ * Builds .ics files (RFC 5545) that calendar apps can import. Times are
+ * written in UTC, so every app shows them in the user's own time zone.
+ */
+
+// Lines longer than 75 octets have to be folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// Control characters (CR and LF included) would end a content line early
+// and let a value add properties of its own
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+const CONTROL_CHARACTERS_GLOBAL = new RegExp(CONTROL_CHARACTERS.source, 'g');
+
+// Escape text for use in a property value
+const escapeText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n')
+  .replace(CONTROL_CHARACTERS_GLOBAL, '');
+
+// URIs aren't escaped, so only well-formed https links without control characters are written
+const isSafeUrl = (url) => {
+  if (CONTROL_CHARACTERS.test(url) || /\s/.test(url)) return false;
+  try {
+    return new URL(url).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// 20250115T043000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold a content line, without splitting multi-byte characters
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const character of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + character) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * @function buildEvent
+ * @description Build a calendar file with a single event
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID, so re-imports update the same event
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.location] - Address or meeting link
+ * @param {string} [event.url] - Meeting link; left out unless it's a safe https URL
+ * @param {number} [event.sequence=0] - Revision number; increase it when the event changes
+ * @returns {string} .ics file contents
+ */
+const buildEvent = ({ uid, start, end, summary, description, location, url, sequence = 0 }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Mploy//Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url && isSafeUrl(url) ? [`URL:${url}`] : []),
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildEvent
+};
@@ -0,0 +1,69 @@
+/**
+ * Verification Document Storage
+ *
+ * Verification documents hold private business details, so unlike profile
+ * images they are never public. They are stored under
+ * verification-documents/{employerId}/ and reviewers open them through
+ * short-lived signed URLs.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { admin } = require('../config/firebase');
+const { getExtension } = require('./fileType');
+const logger = require('./logger').child({ component: 'DocumentStorage' });
+
+/** @const {number} Minutes a document download link works for */
+const DOWNLOAD_URL_MINUTES = 15;
+
+class DocumentStorage {
+  constructor() {
+    this.bucket = admin.storage().bucket();
+  }
+
+  /**
+   * Save a document
+   * @param {Buffer} buffer - File contents
+   * @param {string} employerId - Owner of the document
+   * @param {string} mimeType - Detected file type
+   * @returns {Promise<string>} Storage path
+   */
+  async saveDocument(buffer, employerId, mimeType) {
+    const path = `verification-documents/${employerId}/${uuidv4()}.${getExtension(mimeType)}`;
+
+    await this.bucket.file(path).save(buffer, {
+      resumable: false,
+      metadata: {
+        contentType: mimeType,
+        cacheControl: 'private, no-store'
+      }
+    });
+
+    return path;
+  }
+
+  /**
+   * Get a short-lived link to a document
+   * @param {string} path - Storage path
+   * @returns {Promise<string>} Signed URL
+   */
+  async getDownloadUrl(path) {
+    const [url] = await this.bucket.file(path).getSignedUrl({
+      action: 'read',
+      expires: Date.now() + DOWNLOAD_URL_MINUTES * 60 * 1000
+    });
+    return url;
+  }
+
+  /**
+   * Delete documents, e.g. when saving their details failed
+   * @param {string[]} paths - Storage paths
+   */
+  async deleteDocuments(paths) {
+    await Promise.all(paths.map(path => this.bucket.file(path).delete().catch(() => {
+      // Ignore errors if file doesn't exist
+      logger.warn('Failed to delete file', { path });
+    })));
+  }
+}
+
+module.exports = new DocumentStorage();
@@ -0,0 +1,79 @@
+/**
+ * Email Domain Helpers
+ *
+ * Business email verification proves an employer controls a mailbox at their
+ * company's domain, so the email's domain has to match the company website
+ * (the same rule as verifyEmailDomain in the app's EmployerOnboardingContext).
+ * Mail subdomains count: jane@mail.acme.com matches https://www.acme.com.
+ */
+
+// Free email providers, which can't prove anyone works for a company
+const FREE_EMAIL_PROVIDERS = [
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'icloud.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'rediffmail.com'
+];
+
+/**
+ * @function getEmailDomain
+ * @param {string} email - e.g. "Jane@Acme.com"
+ * @returns {string|null} Lower-case domain, e.g. "acme.com"
+ */
+const getEmailDomain = (email) => {
+  const parts = String(email || '').trim().toLowerCase().split('@');
+  return parts.length === 2 && parts[1] ? parts[1] : null;
+};
+
+/**
+ * @function getWebsiteDomain
+ * @param {string} website - e.g. "https://www.acme.com/careers"
+ * @returns {string|null} Lower-case host without "www." or a port, e.g. "acme.com"
+ */
+const getWebsiteDomain = (website) => {
+  const host = String(website || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#]/)[0]
+    .split(':')[0]
+    .replace(/^www\./, '');
+  return host || null;
+};
+
+/**
+ * @function isFreeEmailProvider
+ * @param {string} email
+ * @returns {boolean} True for addresses at free providers like gmail.com
+ */
+const isFreeEmailProvider = (email) => FREE_EMAIL_PROVIDERS.includes(getEmailDomain(email));
+
+/**
+ * @function emailMatchesWebsite
+ * @description Check an email address belongs to a website's domain
+ * @param {string} email - Business email
+ * @param {string} website - Company website
+ * @returns {boolean}
+ */
+const emailMatchesWebsite = (email, website) => {
+  const emailDomain = getEmailDomain(email);
+  const websiteDomain = getWebsiteDomain(website);
+  if (!emailDomain || !websiteDomain) return false;
+
+  return emailDomain === websiteDomain || emailDomain.endsWith(`.${websiteDomain}`);
+};
+
+module.exports = {
+  FREE_EMAIL_PROVIDERS,
+  getEmailDomain,
+  getWebsiteDomain,
+  isFreeEmailProvider,
+  emailMatchesWebsite
+};
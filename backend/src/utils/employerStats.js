@@ -0,0 +1,123 @@
+/**
+ * Employer Dashboard Stats
+ *
+ * Adds up an employer's hiring numbers from their jobs, swipes, matches and
+ * interviews for the dashboard, plus a short feed of what happened lately:
+ * - like:      a job seeker liked one of their jobs
+ * - match:     a job seeker and the employer liked each other
+ * - interview: an interview was proposed, confirmed, moved or cancelled
+ *
+ * Counts use Firestore count() queries; job views and likes are summed over
+ * the employer's jobs (up to STATS_JOB_LIMIT of them).
+ */
+
+const JobModel = require('../models/job.model');
+const MatchModel = require('../models/match.model');
+const SwipeModel = require('../models/swipe.model');
+const InterviewModel = require('../models/interview.model');
+const { JOB_STATUSES } = require('../config/jobStatus');
+const { MATCH_STATUSES } = require('../schemas/matches');
+
+/** @const {number} Most jobs added up per employer */
+const STATS_JOB_LIMIT = 500;
+
+/** @const {number} Items in the recent activity feed */
+const ACTIVITY_LIMIT = 10;
+
+// Helper function to turn a Firestore timestamp into an ISO string
+const toISO = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toISOString() : null);
+
+// Count jobs per status, with every status present
+const countJobsByStatus = (jobs) => jobs.reduce(
+  (counts, job) => ({ ...counts, [job.status]: (counts[job.status] || 0) + 1 }),
+  Object.values(JOB_STATUSES).reduce((counts, status) => ({ ...counts, [status]: 0 }), {})
+);
+
+// Count an employer's matches in total and per status
+const countMatches = async (employerId) => {
+  const counts = await Promise.all([
+    MatchModel.countByEmployer(employerId),
+    ...MATCH_STATUSES.map(status => MatchModel.countByEmployer(employerId, status))
+  ]);
+
+  return MATCH_STATUSES.reduce(
+    (matches, status, index) => ({ ...matches, [status]: counts[index + 1] }),
+    { total: counts[0] }
+  );
+};
+
+/**
+ * @function getRecentActivity
+ * @description Build the employer's recent activity feed, newest first
+ * @param {string} employerId
+ * @param {Map<string, Object>} jobsById - The employer's jobs, to add job titles
+ * @returns {Promise<Array>} [{ type, id, jobId, jobTitle, jobSeekerId, status, at }]
+ */
+const getRecentActivity = async (employerId, jobsById) => {
+  const [likes, matches, interviews] = await Promise.all([
+    SwipeModel.getRecentLikesForEmployer(employerId, ACTIVITY_LIMIT),
+    MatchModel.getMatchesByEmployer(employerId, null, { limit: ACTIVITY_LIMIT }),
+    InterviewModel.getRecentlyUpdatedForEmployer(employerId, ACTIVITY_LIMIT)
+  ]);
+
+  const items = [
+    ...likes.map(swipe => ({ type: 'like', id: swipe.id, jobId: swipe.jobId, jobSeekerId: swipe.jobSeekerId, status: null, at: swipe.createdAt })),
+    ...matches.items.map(match => ({ type: 'match', id: match.id, jobId: match.jobId, jobSeekerId: match.jobSeekerId, status: match.status, at: match.createdAt })),
+    ...interviews.map(interview => ({ type: 'interview', id: interview.id, jobId: interview.jobId, jobSeekerId: interview.jobSeekerId, status: interview.status, at: interview.updatedAt }))
+  ];
+
+  return items
+    .filter(item => item.at)
+    .sort((a, b) => b.at.toMillis() - a.at.toMillis())
+    .slice(0, ACTIVITY_LIMIT)
+    .map(item => ({
+      ...item,
+      jobTitle: jobsById.get(item.jobId)?.title || null,
+      at: toISO(item.at)
+    }));
+};
+
+/**
+ * @function getEmployerStats
+ * @description Add up an employer's dashboard numbers
+ * @param {string} employerId
+ * @returns {Promise<Object>} { jobs, views, rightSwipes, shortlisted, matches,
+ * interviews: { upcoming, next }, recentActivity, generatedAt }
+ */
+const getEmployerStats = async (employerId) => {
+  const [jobs, shortlisted, matches, upcoming] = await Promise.all([
+    JobModel.getAllJobsByEmployer(employerId, STATS_JOB_LIMIT),
+    SwipeModel.countShortlisted(employerId),
+    countMatches(employerId),
+    InterviewModel.getUpcomingForEmployer(employerId)
+  ]);
+
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  const recentActivity = await getRecentActivity(employerId, jobsById);
+  const next = upcoming.next;
+
+  return {
+    jobs: { total: jobs.length, ...countJobsByStatus(jobs) },
+    views: jobs.reduce((total, job) => total + (job.views || 0), 0),
+    rightSwipes: jobs.reduce((total, job) => total + (job.rightSwipeCount || 0), 0),
+    shortlisted,
+    matches,
+    interviews: {
+      upcoming: upcoming.count,
+      next: next ? {
+        id: next.id,
+        jobId: next.jobId,
+        jobTitle: jobsById.get(next.jobId)?.title || null,
+        startAt: toISO(next.startAt),
+        timeZone: next.timeZone
+      } : null
+    },
+    recentActivity,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  getEmployerStats,
+  getRecentActivity
+};
@@ -0,0 +1,46 @@
+/**
+ * File Type Detection
+ *
+ * Checks what a file really is from its first bytes ("magic bytes"), since
+ * the MIME type and file name in an upload come from the client and can be
+ * anything.
+ */
+
+// Leading bytes of each supported type
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+];
+
+// File extension stored for each type
+const EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+/**
+ * @function detectFileType
+ * @description Find a file's type from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if it isn't a supported type
+ */
+const detectFileType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  );
+  return match ? match.mimeType : null;
+};
+
+/**
+ * @function getExtension
+ * @param {string} mimeType - e.g. 'application/pdf'
+ * @returns {string|null} e.g. 'pdf'
+ */
+const getExtension = (mimeType) => EXTENSIONS[mimeType] || null;
+
+module.exports = {
+  detectFileType,
+  getExtension
+};
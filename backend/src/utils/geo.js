@@ -0,0 +1,180 @@
+/**
+ * Geo Utilities
+ *
+ * Firestore can't run a true "within X km" query, and range filters on a
+ * GeoPoint only compare latitude. Instead we use geohashes:
+ * - Every stored coordinate gets all of its geohash prefixes written to a
+ *   `geohashes` array (a point in cell "tdr1w" is also in "tdr1", "tdr", ...)
+ * - A radius search picks a cell size at least as big as the radius and asks
+ *   for documents in the centre cell or any of its 8 neighbours with a single
+ *   `array-contains-any` query
+ * - Results are then filtered by exact (haversine) distance
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/** @const {number} Longest geohash we store (~5m cells) */
+const MAX_PRECISION = 9;
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+const toRad = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * @function calculateDistanceKm
+ * @description Great-circle (haversine) distance between two coordinates
+ * @param {Object} from - Point with latitude and longitude
+ * @param {Object} to - Point with latitude and longitude
+ * @returns {number} Distance in kilometres
+ */
+const calculateDistanceKm = (from, to) => {
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * @function encodeGeohash
+ * @description Encode a coordinate as a geohash string
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [precision=9] - Number of characters
+ * @returns {string} Geohash, e.g. "tdr1wxyp1"
+ */
+const encodeGeohash = (latitude, longitude, precision = MAX_PRECISION) => {
+  let latRange = [-90, 90];
+  let lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lonRange : latRange;
+    const value = isLongitude ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitude = !isLongitude;
+    bitCount += 1;
+    if (bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Size of a geohash cell in degrees for a given precision
+const getCellSize = (precision) => {
+  const totalBits = precision * 5;
+  return {
+    lonDegrees: 360 / Math.pow(2, Math.ceil(totalBits / 2)),
+    latDegrees: 180 / Math.pow(2, Math.floor(totalBits / 2))
+  };
+};
+
+/**
+ * @function getGeohashPrefixes
+ * @description All prefixes of a coordinate's geohash, shortest first
+ * @param {Object} point - { latitude, longitude }
+ * @returns {string[]} e.g. ["t", "td", "tdr", ...]
+ */
+const getGeohashPrefixes = (point) => {
+  const hash = encodeGeohash(point.latitude, point.longitude, MAX_PRECISION);
+  return Array.from({ length: MAX_PRECISION }, (_, index) => hash.slice(0, index + 1));
+};
+
+/**
+ * @function buildGeohashes
+ * @description Combined geohash prefixes for a list of coordinates, to be stored
+ * in a `geohashes` field so any of the points can be found by a radius search
+ * @param {Object[]} points - Points with latitude and longitude
+ * @returns {string[]} Unique geohash prefixes
+ */
+const buildGeohashes = (points) => [
+  ...new Set(points.filter(Boolean).flatMap(getGeohashPrefixes))
+];
+
+/**
+ * @function getPrecisionForRadius
+ * @description Longest geohash whose cells are at least as wide and tall as the radius,
+ * so the centre cell and its neighbours cover the whole search circle
+ * @param {number} radiusKm - Search radius
+ * @param {number} latitude - Latitude of the centre (cells narrow towards the poles)
+ * @returns {number} Precision between 1 and MAX_PRECISION
+ */
+const getPrecisionForRadius = (radiusKm, latitude) => {
+  for (let precision = MAX_PRECISION; precision > 1; precision -= 1) {
+    const { lonDegrees, latDegrees } = getCellSize(precision);
+    const heightKm = latDegrees * KM_PER_DEGREE;
+    const widthKm = lonDegrees * KM_PER_DEGREE * Math.cos(toRad(latitude));
+    if (Math.min(heightKm, widthKm) >= radiusKm) {
+      return precision;
+    }
+  }
+  return 1;
+};
+
+/**
+ * @function getSearchCells
+ * @description Geohash cells to query for a radius search: the centre cell and its neighbours
+ * @param {Object} center - { latitude, longitude }
+ * @param {number} radiusKm - Search radius
+ * @returns {string[]} Up to 9 unique geohashes of the same length
+ */
+const getSearchCells = (center, radiusKm) => {
+  const precision = getPrecisionForRadius(radiusKm, center.latitude);
+  const { lonDegrees, latDegrees } = getCellSize(precision);
+  const cells = new Set();
+
+  [-1, 0, 1].forEach(dLat => {
+    [-1, 0, 1].forEach(dLon => {
+      const latitude = Math.max(-90, Math.min(90, center.latitude + dLat * latDegrees));
+      // Wrap longitude around the antimeridian
+      const longitude = ((center.longitude + dLon * lonDegrees + 540) % 360) - 180;
+      cells.add(encodeGeohash(latitude, longitude, precision));
+    });
+  });
+
+  return [...cells];
+};
+
+/**
+ * @function findClosestDistance
+ * @description Distance from a point to the closest of several coordinates
+ * @param {Object} center - { latitude, longitude }
+ * @param {Object[]} points - Points with latitude and longitude
+ * @returns {number|null} Distance in km, or null if there are no points
+ */
+const findClosestDistance = (center, points) => {
+  const distances = points
+    .filter(Boolean)
+    .map(point => calculateDistanceKm(center, point));
+  return distances.length > 0 ? Math.min(...distances) : null;
+};
+
+module.exports = {
+  MAX_PRECISION,
+  calculateDistanceKm,
+  encodeGeohash,
+  getGeohashPrefixes,
+  buildGeohashes,
+  getPrecisionForRadius,
+  getSearchCells,
+  findClosestDistance
+};
@@ -12,6 +12,7 @@ const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
 const { admin } = require('../config/firebase');
 const path = require('path');
+const logger = require('./logger').child({ component: 'ImageProcessor' });
 
 const PROFILE_IMAGE_SIZE = 400;
 const THUMBNAIL_SIZE = 100;
@@ -115,13 +116,13 @@ class ImageProcessor {
         const file = this.bucket.file(path);
         return file.delete().catch(() => {
           // Ignore errors if file doesn't exist
-          console.log(`Failed to delete file: ${path}`);
+          logger.warn('Failed to delete file', { path });
         });
       });
 
       await Promise.all(deletePromises);
     } catch (error) {
-      console.error('Error deleting old images:', error);
+      logger.error('Error deleting old images', { error });
     }
   }
 }
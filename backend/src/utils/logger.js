@@ -0,0 +1,131 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line, so logs can be searched and filtered:
+ *
+ *   {"time":"...","level":"info","msg":"Jobs fetched","requestId":"...","component":"JobsRoute","count":3}
+ *
+ * - Levels: debug, info, warn, error. LOG_LEVEL sets the lowest level written
+ *   (default: debug in development, info otherwise)
+ * - Every line written while a request is handled carries its requestId
+ *   (see middleware/requestLogger.js), including lines from models and utils,
+ *   without passing it around
+ * - Sensitive fields (tokens, passwords, emails...) are redacted, and user
+ *   ids are replaced with a stable pseudonym so one user's lines can still
+ *   be followed
+ *
+ * Usage:
+ *   const logger = require('../utils/logger').child({ component: 'JobModel' });
+ *   logger.info('Jobs expired', { count });
+ *   logger.error('Sweep failed', { error });
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields whose values are never written
+const REDACTED_FIELDS = /authorization|cookie|password|secret|token|email|phone/i;
+
+// Fields holding user ids, written as pseudonyms
+const USER_ID_FIELDS = new Set(['uid', 'userId', 'employerId', 'jobSeekerId', 'adminId', 'reporterId', 'requestedId']);
+
+// How deep nested fields are written
+const MAX_DEPTH = 5;
+
+const requestContext = new AsyncLocalStorage();
+
+const getMinLevel = () => LEVELS[process.env.LOG_LEVEL]
+  || (process.env.NODE_ENV === 'development' ? LEVELS.debug : LEVELS.info);
+
+/**
+ * @function pseudonymize
+ * @description Stable stand-in for a user id, the same for every line
+ * @param {string} id
+ * @returns {string}
+ */
+const pseudonymize = (id) => `user_${crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 12)}`;
+
+// Helper function to make fields safe to write
+const sanitize = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (REDACTED_FIELDS.test(key)) return '[REDACTED]';
+  if (USER_ID_FIELDS.has(key) && typeof value === 'string') return pseudonymize(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+      stack: value.stack
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString(); // Firestore Timestamps
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) return value.map(item => sanitize(item, key, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [field, sanitize(fieldValue, field, depth + 1)])
+  );
+};
+
+// Helper function to write one line
+const write = (level, msg, bindings, fields) => {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...requestContext.getStore(),
+    ...sanitize(bindings),
+    ...sanitize(fields)
+  });
+
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+/**
+ * @function createLogger
+ * @description Logger that adds `bindings` to every line
+ * @param {Object} [bindings] - e.g. { component: 'JobModel' }
+ * @returns {Object} Logger with debug, info, warn, error(msg, fields) and child(bindings)
+ */
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, bindings, fields),
+  info: (msg, fields) => write('info', msg, bindings, fields),
+  warn: (msg, fields) => write('warn', msg, bindings, fields),
+  error: (msg, fields) => write('error', msg, bindings, fields),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+});
+
+/**
+ * @function runWithRequestContext
+ * @description Run `fn` so every line it logs (even after awaits) carries `context`
+ * @param {Object} context - e.g. { requestId }
+ * @param {Function} fn
+ */
+const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * @function getRequestContext
+ * @description Context of the request being handled, if any
+ * @returns {Object|undefined} e.g. { requestId }
+ */
+const getRequestContext = () => requestContext.getStore();
+
+module.exports = {
+  ...createLogger(),
+  createLogger,
+  pseudonymize,
+  runWithRequestContext,
+  getRequestContext
+};
@@ -0,0 +1,79 @@
+/**
+ * Mail Transports
+ *
+ * Email is handed to a transport, so the mail provider can be swapped without
+ * touching the code that sends it. A transport is an object with:
+ *
+ *   send({ from, to, subject, text, html }) -> Promise
+ *
+ * The default transport writes each email as an .eml file to a local outbox
+ * folder (MAIL_OUTBOX_DIR, default: backend/outbox) instead of sending it, so
+ * verification links can be opened from there in development. Install a
+ * real provider with setMailTransport.
+ *
+ * Emails are sent from MAIL_FROM (default: "Mploy <no-reply@mploy.app>").
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('./logger').child({ component: 'Mail' });
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../outbox');
+const DEFAULT_FROM = 'Mploy <no-reply@mploy.app>';
+
+/**
+ * @function createOutboxTransport
+ * @description Transport that saves emails as .eml files instead of sending them
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Folder to write to
+ * @returns {Object} Transport
+ */
+const createOutboxTransport = ({ dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR } = {}) => ({
+  async send({ from, to, subject, text }) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const filename = `${Date.now()}-${to.replace(/[^a-z0-9@.-]/gi, '_')}.eml`;
+    const contents = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    await fs.writeFile(path.join(dir, filename), contents);
+    logger.info('Wrote email to outbox', { subject, file: path.join(dir, filename) });
+  }
+});
+
+let transport = createOutboxTransport();
+
+/**
+ * @function setMailTransport
+ * @description Replace the transport email is sent through
+ * @param {Object} newTransport - Object with a send(message) method
+ */
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * @function sendMail
+ * @description Send an email through the current transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+};
+
+module.exports = {
+  createOutboxTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,363 @@
+/**
+ * Match Scoring Engine
+ *
+ * Calculates how well a job seeker fits a job posting, following
+ * docs/MATCH_SCORING_ALGORITHM.md. Five factors are scored separately
+ * and each one is capped at its weight:
+ * - Skills (30 points)
+ * - Experience (25 points)
+ * - Salary (20 points)
+ * - Location (15 points)
+ * - Education (10 points)
+ *
+ * The total is out of 100. Every function here is pure, so scores can be
+ * calculated anywhere (feeds, matches, background jobs) without touching
+ * the database.
+ */
+
+const SkillTaxonomy = require('./skills');
+const { calculateDistanceKm, findClosestDistance } = require('./geo');
+
+/** @const {Object} Maximum points for each factor */
+const WEIGHTS = {
+  skills: 30,
+  experience: 25,
+  salary: 20,
+  location: 15,
+  education: 10
+};
+
+/** @const {Object} Points used inside each factor */
+const POINTS = {
+  exactSkill: 3,
+  relatedSkill: 1,
+  allSkillsBonus: 5,
+  levelDifference: [25, 15, 5],
+  yearsMet: 5,
+  yearsClose: 3,
+  salaryBands: [
+    { maxDifference: 0.1, points: 20 },
+    { maxDifference: 0.2, points: 15 },
+    { maxDifference: 0.3, points: 10 }
+  ],
+  negotiableBonus: 5,
+  withinRadius: 15,
+  preferredLocation: 5,
+  willingToRelocate: 3,
+  degreeMet: 10,
+  relevantField: 5
+};
+
+/** @const {Object[]} Experience levels in order, with the years each one starts at */
+const EXPERIENCE_LEVELS = [
+  { level: 'entry', minYears: 0 },
+  { level: 'mid', minYears: 3 },
+  { level: 'senior', minYears: 6 },
+  { level: 'executive', minYears: 10 }
+];
+
+/**
+ * @const {Array<Object>} Degree ranks, highest first. A degree string is ranked
+ * by the first pattern it matches, so "Master of Technology (M.Tech)" is a master's.
+ */
+const DEGREE_RANKS = [
+  { rank: 6, pattern: /ph\.?d|doctor/i },
+  { rank: 5, pattern: /master|post ?graduate|\bm\.?(tech|sc|com|a|e|s|ba|ca)\b|\bmba\b/i },
+  { rank: 4, pattern: /bachelor|graduate|\bb\.?(tech|sc|com|a|e|s|ba|ca)\b/i },
+  { rank: 3, pattern: /diploma|\biti\b/i },
+  { rank: 2, pattern: /12th|higher secondary/i },
+  { rank: 1, pattern: /10th|secondary/i }
+];
+
+/** @const {string[][]} Fields of study that count as relevant to each other */
+const RELATED_FIELDS = [
+  ['computer science', 'software engineering', 'information technology', 'computer applications', 'data science'],
+  ['electronics & communication', 'electrical engineering', 'electronics'],
+  ['business administration', 'commerce', 'finance', 'accounting', 'economics']
+];
+
+/** @const {number} How close (km) a job has to be to a preferred location to count */
+const PREFERRED_LOCATION_RADIUS_KM = 25;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const cap = (points, max) => Math.min(Math.max(points, 0), max);
+
+/**
+ * @function scoreSkills
+ * @description 3 points per exact skill, 1 per related skill, +5 when every skill is covered.
+ * Aliases count as exact matches ("ReactJS" is "React.js") and related skills
+ * come from the skill taxonomy.
+ * @param {string[]} requiredSkills - Skills listed on the job
+ * @param {string[]} seekerSkills - Skills the job seeker has
+ * @param {Function} [isRelated] - (requiredSkill, seekerSkill) => boolean
+ * @returns {Object} { points, max, exact: string[], related: string[], missing: string[] }
+ */
+const scoreSkills = (requiredSkills = [], seekerSkills = [], isRelated = SkillTaxonomy.areSkillsRelated) => {
+  // A job without listed skills doesn't rule anyone out
+  if (requiredSkills.length === 0) {
+    return { points: WEIGHTS.skills, max: WEIGHTS.skills, exact: [], related: [], missing: [] };
+  }
+
+  const exact = [];
+  const related = [];
+  const missing = [];
+
+  requiredSkills.forEach(skill => {
+    if (seekerSkills.some(seekerSkill => SkillTaxonomy.isSameSkill(skill, seekerSkill))) {
+      exact.push(skill);
+    } else if (seekerSkills.some(seekerSkill => isRelated(skill, seekerSkill))) {
+      related.push(skill);
+    } else {
+      missing.push(skill);
+    }
+  });
+
+  const rawPoints = exact.length * POINTS.exactSkill + related.length * POINTS.relatedSkill;
+  const maxRawPoints = requiredSkills.length * POINTS.exactSkill;
+  let points = Math.round((rawPoints / maxRawPoints) * WEIGHTS.skills);
+  if (exact.length === requiredSkills.length) {
+    points += POINTS.allSkillsBonus;
+  }
+
+  return { points: cap(points, WEIGHTS.skills), max: WEIGHTS.skills, exact, related, missing };
+};
+
+/**
+ * @function getExperienceLevel
+ * @description Work out which experience level a number of years falls into
+ * @param {number} years - Years of experience
+ * @returns {string} One of entry, mid, senior, executive
+ */
+const getExperienceLevel = (years) => {
+  const match = [...EXPERIENCE_LEVELS].reverse().find(({ minYears }) => years >= minYears);
+  return (match || EXPERIENCE_LEVELS[0]).level;
+};
+
+/**
+ * @function scoreExperience
+ * @description 25/15/5 points for 0/1/2 levels apart, plus a bonus for years of experience
+ * @param {string} requiredLevel - Job's experience level
+ * @param {number} years - Job seeker's years of experience
+ * @param {string} [seekerLevel] - Job seeker's level, derived from years if missing
+ * @returns {Object} { points, max, requiredLevel, seekerLevel, levelDifference }
+ */
+const scoreExperience = (requiredLevel, years = 0, seekerLevel = null) => {
+  const requiredIndex = EXPERIENCE_LEVELS.findIndex(({ level }) => level === normalize(requiredLevel));
+
+  // Jobs that don't ask for a level accept everyone
+  if (requiredIndex === -1) {
+    return { points: WEIGHTS.experience, max: WEIGHTS.experience, requiredLevel: null, seekerLevel, levelDifference: 0 };
+  }
+
+  const resolvedLevel = normalize(seekerLevel) || getExperienceLevel(years);
+  const seekerIndex = Math.max(EXPERIENCE_LEVELS.findIndex(({ level }) => level === resolvedLevel), 0);
+  const levelDifference = Math.abs(requiredIndex - seekerIndex);
+
+  let points = POINTS.levelDifference[levelDifference] || 0;
+  const { minYears } = EXPERIENCE_LEVELS[requiredIndex];
+  if (years >= minYears) {
+    points += POINTS.yearsMet;
+  } else if (minYears - years <= 1) {
+    points += POINTS.yearsClose;
+  }
+
+  return {
+    points: cap(points, WEIGHTS.experience),
+    max: WEIGHTS.experience,
+    requiredLevel: EXPERIENCE_LEVELS[requiredIndex].level,
+    seekerLevel: EXPERIENCE_LEVELS[seekerIndex].level,
+    levelDifference
+  };
+};
+
+// Convert a salary to a yearly amount so monthly and annual figures compare
+const toAnnual = (salary) => (salary.type === 'monthly' ? salary.amount * 12 : salary.amount);
+
+/**
+ * @function scoreSalary
+ * @description 20/15/10 points within 10/20/30% of the offer, +5 if either side negotiates
+ * @param {Object} jobSalary - Job's salary { amount, type, isNegotiable }
+ * @param {Object} [seekerSalary] - Job seeker's expected salary
+ * @returns {Object} { points, max, difference } where difference is a fraction of the offer
+ */
+const scoreSalary = (jobSalary, seekerSalary) => {
+  if (!jobSalary || !jobSalary.amount || !seekerSalary || !seekerSalary.amount) {
+    return { points: WEIGHTS.salary, max: WEIGHTS.salary, difference: 0 };
+  }
+
+  const offered = toAnnual(jobSalary);
+  const expected = toAnnual(seekerSalary);
+
+  // Offers at or above the expectation are a full match
+  const difference = expected > offered ? (expected - offered) / offered : 0;
+  const band = POINTS.salaryBands.find(({ maxDifference }) => difference <= maxDifference);
+
+  let points = band ? band.points : 0;
+  if (jobSalary.isNegotiable || seekerSalary.isNegotiable) {
+    points += POINTS.negotiableBonus;
+  }
+
+  return { points: cap(points, WEIGHTS.salary), max: WEIGHTS.salary, difference };
+};
+
+// Check whether a job location matches one of the seeker's preferred locations
+const isPreferredLocation = (jobLocation, preferredLocations) => preferredLocations.some(preferred => {
+  if (typeof preferred === 'string') {
+    return normalize(jobLocation.address).includes(normalize(preferred));
+  }
+  if (preferred && jobLocation.coordinates) {
+    return calculateDistanceKm(preferred, jobLocation.coordinates) <= PREFERRED_LOCATION_RADIUS_KM;
+  }
+  return false;
+});
+
+// Apply the onsite location rules to a job's locations
+const scoreOnsite = (jobLocations, seeker) => {
+  const preferredLocations = seeker.preferredLocations || [];
+  const distance = seeker.currentLocation
+    ? findClosestDistance(seeker.currentLocation, jobLocations.map(location => location.coordinates))
+    : null;
+
+  let points = 0;
+  if (distance !== null && distance <= (seeker.searchRadius || 0)) {
+    points += POINTS.withinRadius;
+  }
+  if (jobLocations.some(location => isPreferredLocation(location, preferredLocations))) {
+    points += POINTS.preferredLocation;
+  }
+  if (seeker.willingToRelocate) {
+    points += POINTS.willingToRelocate;
+  }
+
+  return { points, distance };
+};
+
+/**
+ * @function scoreLocation
+ * @description Onsite/hybrid jobs score on radius, preferred locations and relocation.
+ * Remote jobs get full points, or half points plus half the onsite rules when
+ * they have occasional onsite requirements.
+ * @param {Object} jobLocation - Job's location { type, locations, occasionalOnsite }
+ * @param {Object} seeker - { currentLocation, searchRadius, preferredLocations, willingToRelocate }
+ * @returns {Object} { points, max, type, distance }
+ */
+const scoreLocation = (jobLocation = {}, seeker = {}) => {
+  const type = jobLocation.type || 'onsite';
+  const locations = jobLocation.locations || [];
+
+  if (type === 'remote') {
+    if (!jobLocation.occasionalOnsite || locations.length === 0) {
+      return { points: WEIGHTS.location, max: WEIGHTS.location, type, distance: null };
+    }
+
+    const onsite = scoreOnsite(locations, seeker);
+    const points = WEIGHTS.location / 2 + onsite.points / 2;
+    return { points: cap(points, WEIGHTS.location), max: WEIGHTS.location, type, distance: onsite.distance };
+  }
+
+  // Without a workplace to compare against there's nothing to rule anyone out
+  if (locations.length === 0) {
+    return { points: WEIGHTS.location, max: WEIGHTS.location, type, distance: null };
+  }
+
+  const onsite = scoreOnsite(locations, seeker);
+  return { points: cap(onsite.points, WEIGHTS.location), max: WEIGHTS.location, type, distance: onsite.distance };
+};
+
+/**
+ * @function getDegreeRank
+ * @description Rank a degree or education level string (higher is more advanced)
+ * @param {string} degree - e.g. "Bachelor of Technology (B.Tech)" or "Post Graduate"
+ * @returns {number} Rank from 1 (10th) to 6 (doctorate), or 0 if unknown
+ */
+const getDegreeRank = (degree) => {
+  const match = DEGREE_RANKS.find(({ pattern }) => pattern.test(degree || ''));
+  return match ? match.rank : 0;
+};
+
+// Check whether two fields of study are the same or in a related group
+const areFieldsRelated = (a, b) => {
+  const fieldA = normalize(a);
+  const fieldB = normalize(b);
+  if (!fieldA || !fieldB) return false;
+  if (fieldA === fieldB) return true;
+  return RELATED_FIELDS.some(group => group.includes(fieldA) && group.includes(fieldB));
+};
+
+/**
+ * @function scoreEducation
+ * @description 10 points when the degree meets the requirement, +5 for a relevant field
+ * @param {Object|string} requirement - Job's { degree, field } or a degree string
+ * @param {Object[]} education - Job seeker's entries { degree, specialization | field }
+ * @returns {Object} { points, max, degreeMet, relevantField }
+ */
+const scoreEducation = (requirement, education = []) => {
+  const required = typeof requirement === 'string' ? { degree: requirement } : requirement;
+
+  // Jobs without an education requirement accept everyone
+  if (!required || (!required.degree && !required.field)) {
+    return { points: WEIGHTS.education, max: WEIGHTS.education, degreeMet: true, relevantField: false };
+  }
+
+  const requiredRank = getDegreeRank(required.degree);
+  const degreeMet = education.some(entry => getDegreeRank(entry.degree) >= requiredRank);
+  const relevantField = education.some(entry =>
+    areFieldsRelated(required.field, entry.field || entry.specialization)
+  );
+
+  let points = degreeMet ? POINTS.degreeMet : 0;
+  if (relevantField) {
+    points += POINTS.relevantField;
+  }
+
+  return { points: cap(points, WEIGHTS.education), max: WEIGHTS.education, degreeMet, relevantField };
+};
+
+/**
+ * @function calculateMatchScore
+ * @description Score a job seeker against a job using all five factors
+ * @param {Object} job - Job document
+ * @param {Object} seeker - The user's jobSeeker object ({ currentLocation, searchRadius, profile })
+ * @param {Object} [options]
+ * @param {Function} [options.areSkillsRelated] - Override how related skills are detected
+ * @returns {Object} { score, breakdown } where breakdown has one entry per factor
+ *
+ * @example
+ * const { score, breakdown } = calculateMatchScore(job, user.jobSeeker);
+ * // score: 86, breakdown.skills.points: 23
+ */
+const calculateMatchScore = (job, seeker = {}, options = {}) => {
+  const profile = seeker.profile || {};
+
+  const breakdown = {
+    skills: scoreSkills(job.skills, profile.skills, options.areSkillsRelated),
+    experience: scoreExperience(job.experienceLevel, profile.experience, profile.experienceLevel),
+    salary: scoreSalary(job.salary, profile.preferredSalary),
+    location: scoreLocation(job.location, {
+      currentLocation: seeker.currentLocation,
+      searchRadius: seeker.searchRadius,
+      preferredLocations: profile.preferredLocations,
+      willingToRelocate: profile.willingToRelocate
+    }),
+    education: scoreEducation(job.education, profile.education)
+  };
+
+  const score = Math.round(
+    Object.values(breakdown).reduce((total, factor) => total + factor.points, 0)
+  );
+
+  return { score, breakdown };
+};
+
+module.exports = {
+  WEIGHTS,
+  calculateMatchScore,
+  scoreSkills,
+  scoreExperience,
+  scoreSalary,
+  scoreLocation,
+  scoreEducation,
+  getExperienceLevel,
+  getDegreeRank
+};
@@ -0,0 +1,72 @@
+/**
+ * Message Moderation Hooks
+ *
+ * Every message is run through the registered hooks before it is saved.
+ * A hook is a function (message, context) that returns (or resolves to)
+ * null to let the message through, or a verdict:
+ *
+ *   { action: 'flag', reason: 'Possible spam' }   // saved and delivered, marked for review
+ *   { action: 'block', reason: 'Contains a banned word' }  // rejected, never saved
+ *
+ * The strictest verdict wins. Hooks can be added with registerModerationHook,
+ * e.g. to call an external moderation service.
+ *
+ * Built in: messages containing any of the comma-separated terms in
+ * MODERATION_BLOCKED_TERMS are blocked.
+ */
+
+const ACTIONS = ['allow', 'flag', 'block'];
+
+const hooks = [];
+
+// Block messages containing a configured term
+const blockedTermsHook = (message) => {
+  const terms = (process.env.MODERATION_BLOCKED_TERMS || '')
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+
+  const text = (message.text || '').toLowerCase();
+  const found = terms.find(term => text.includes(term));
+  return found ? { action: 'block', reason: 'Message contains a blocked term' } : null;
+};
+
+/**
+ * @function registerModerationHook
+ * @description Add a hook that is run on every new message
+ * @param {Function} hook - (message, context) => verdict or null
+ */
+const registerModerationHook = (hook) => {
+  hooks.push(hook);
+};
+
+/**
+ * @function moderateMessage
+ * @description Run a message through every hook
+ * @param {Object} message - { text, attachments, senderId }
+ * @param {Object} context - { conversation } the message is sent in
+ * @returns {Promise<Object>} { action: 'allow' | 'flag' | 'block', reasons: string[] }
+ */
+const moderateMessage = async (message, context = {}) => {
+  let action = 'allow';
+  const reasons = [];
+
+  for (const hook of hooks) {
+    const verdict = await hook(message, context);
+    if (!verdict || verdict.action === 'allow') continue;
+
+    if (ACTIONS.indexOf(verdict.action) > ACTIONS.indexOf(action)) {
+      action = verdict.action;
+    }
+    if (verdict.reason) reasons.push(verdict.reason);
+  }
+
+  return { action, reasons };
+};
+
+registerModerationHook(blockedTermsHook);
+
+module.exports = {
+  registerModerationHook,
+  moderateMessage
+};
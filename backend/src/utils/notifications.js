@@ -0,0 +1,167 @@
+/**
+ * Notification Dispatcher
+ *
+ * Turns things that happen in the app into notifications. For each user it:
+ * 1. Reads their preferences for the event (config/notificationEvents.js)
+ * 2. Adds an item to their in-app inbox, if they want in-app notifications
+ * 3. Pushes to each of their registered devices, if they want pushes
+ *    (see utils/push.js), removing tokens the push service rejects
+ *
+ * Notifications never fail the action that caused them: problems are logged
+ * and the notify functions always resolve.
+ */
+
+const NotificationModel = require('../models/notification.model');
+const PushTokenModel = require('../models/pushToken.model');
+const UserModel = require('../models/user.model');
+const { NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+const { sendPushNotifications } = require('./push');
+const logger = require('./logger').child({ component: 'Notifications' });
+
+// Longest message preview shown in a notification
+const PREVIEW_LENGTH = 100;
+
+// Push to every device a user registered and drop tokens that no longer work
+const pushToUser = async (userId, { title, message, data }) => {
+  const tokens = await PushTokenModel.getTokensForUser(userId);
+  if (tokens.length === 0) return;
+
+  const tickets = await sendPushNotifications(tokens.map(token => ({
+    to: token,
+    title,
+    body: message,
+    data
+  })));
+
+  const staleTokens = tokens.filter((token, index) => tickets[index]?.error === 'DeviceNotRegistered');
+  await PushTokenModel.removeTokens(staleTokens);
+};
+
+/**
+ * @function notifyUser
+ * @description Notify one user about an event, following their preferences
+ * @param {string} userId - Who to notify
+ * @param {string} type - One of NOTIFICATION_EVENTS
+ * @param {Object} content - { title, message, data }
+ * @returns {Promise<void>}
+ */
+const notifyUser = async (userId, type, { title, message, data = {} }) => {
+  try {
+    const preferences = await UserModel.getNotificationPreferences(userId);
+    const channels = preferences[type];
+
+    if (channels.inApp) {
+      await NotificationModel.createNotification({ userId, type, title, message, data });
+    }
+    if (channels.push) {
+      await pushToUser(userId, { title, message, data: { ...data, type } });
+    }
+  } catch (error) {
+    logger.error('Failed to send notification', { type, userId, error });
+  }
+};
+
+/**
+ * @function notifyMatch
+ * @description Tell both sides of a new match
+ * @param {Object} match - The new match
+ * @param {Object} job - The matched job
+ */
+const notifyMatch = async (match, job) => {
+  const data = { matchId: match.id, jobId: job.id, conversationId: match.id };
+
+  await Promise.all([
+    notifyUser(match.jobSeekerId, NOTIFICATION_EVENTS.MATCH, {
+      title: "It's a match!",
+      message: `An employer is interested in you for ${job.title}`,
+      data
+    }),
+    notifyUser(match.employerId, NOTIFICATION_EVENTS.MATCH, {
+      title: "It's a match!",
+      message: `You have a new match for ${job.title}`,
+      data
+    })
+  ]);
+};
+
+/**
+ * @function notifyJobLiked
+ * @description Tell an employer a candidate liked their job
+ * @param {Object} job - The liked job
+ * @param {string} jobSeekerId - Who liked it
+ */
+const notifyJobLiked = async (job, jobSeekerId) => {
+  await notifyUser(job.employerId, NOTIFICATION_EVENTS.JOB_LIKED, {
+    title: 'A candidate likes your job',
+    message: `Someone is interested in ${job.title}. Review them to see if it's a match.`,
+    data: { jobId: job.id, jobSeekerId }
+  });
+};
+
+/**
+ * @function notifyMessage
+ * @description Tell the other participant about a new message
+ * @param {Object} conversation - The conversation it was sent in
+ * @param {Object} message - The saved message
+ */
+const notifyMessage = async (conversation, message) => {
+  const recipientId = conversation.participants.find(id => id !== message.senderId);
+  const preview = message.text
+    ? message.text.slice(0, PREVIEW_LENGTH)
+    : 'Sent an attachment';
+
+  await notifyUser(recipientId, NOTIFICATION_EVENTS.MESSAGE, {
+    title: 'New message',
+    message: preview,
+    data: { conversationId: conversation.id, matchId: conversation.matchId, messageId: message.id }
+  });
+};
+
+// What each interview action tells the other side
+const INTERVIEW_MESSAGES = {
+  proposed: { title: 'Interview invitation', message: 'You have been invited to an interview. Pick a time that works for you.' },
+  rescheduled: { title: 'New interview times', message: 'New interview times have been proposed. Pick one that works for you.' },
+  confirmed: { title: 'Interview confirmed', message: 'Your candidate picked an interview time.' },
+  reschedule_requested: { title: 'Reschedule requested', message: 'Your candidate asked for different interview times.' },
+  cancelled: { title: 'Interview cancelled', message: 'An interview has been cancelled.' }
+};
+
+/**
+ * @function notifyInterview
+ * @description Tell the other participant about an interview change
+ * @param {Object} interview - The interview after the change
+ * @param {string} action - proposed, rescheduled, confirmed, reschedule_requested or cancelled
+ * @param {string} actorId - Who made the change (they aren't notified)
+ */
+const notifyInterview = async (interview, action, actorId) => {
+  const recipientId = actorId === interview.employerId ? interview.jobSeekerId : interview.employerId;
+
+  await notifyUser(recipientId, NOTIFICATION_EVENTS.INTERVIEW, {
+    ...INTERVIEW_MESSAGES[action],
+    data: { interviewId: interview.id, matchId: interview.matchId, jobId: interview.jobId, action }
+  });
+};
+
+/**
+ * @function notifyJobExpiring
+ * @description Remind an employer that a job expires soon
+ * @param {Object} job - The job, with expiresAt
+ */
+const notifyJobExpiring = async (job) => {
+  const daysLeft = Math.max(1, Math.ceil((job.expiresAt.toMillis() - Date.now()) / (24 * 60 * 60 * 1000)));
+
+  await notifyUser(job.employerId, NOTIFICATION_EVENTS.JOB_EXPIRING, {
+    title: 'Job post expiring soon',
+    message: `${job.title} expires in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}. Renew it to keep receiving candidates.`,
+    data: { jobId: job.id }
+  });
+};
+
+module.exports = {
+  notifyUser,
+  notifyMatch,
+  notifyJobLiked,
+  notifyMessage,
+  notifyInterview,
+  notifyJobExpiring
+};
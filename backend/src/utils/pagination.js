@@ -0,0 +1,134 @@
+/**
+ * Pagination Utilities
+ *
+ * List endpoints return a page of results plus a `nextPageToken`. The client
+ * sends the token back as `pageToken` to get the next page, and stops when
+ * `nextPageToken` is null.
+ *
+ * Tokens are opaque to clients: a base64url-encoded JSON payload. For
+ * Firestore queries the payload is a cursor - the sort values and ID of the
+ * last document on the page - so the next page starts right after it even if
+ * documents were added or removed in the meantime.
+ */
+
+const { admin } = require('../config/firebase');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+
+/** @const {number} Page size when the client doesn't ask for one */
+const DEFAULT_PAGE_SIZE = 20;
+
+/** @const {number} Largest page size a client can ask for */
+const MAX_PAGE_SIZE = 50;
+
+// Firestore Timestamps don't survive JSON, so they are stored as { _ts: [seconds, nanoseconds] }
+const toTokenValue = (value) => (
+  value instanceof admin.firestore.Timestamp
+    ? { _ts: [value.seconds, value.nanoseconds] }
+    : value
+);
+
+const fromTokenValue = (value) => (
+  value && Array.isArray(value._ts)
+    ? new admin.firestore.Timestamp(value._ts[0], value._ts[1])
+    : value
+);
+
+/**
+ * @function encodePageToken
+ * @description Turn a payload into an opaque page token
+ * @param {Object} payload - Data needed to fetch the next page
+ * @returns {string} Page token
+ */
+const encodePageToken = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * @function decodePageToken
+ * @description Read the payload back out of a page token
+ * @param {string} token - Page token from a client
+ * @returns {Object} Payload
+ * @throws {APIError} 400 if the token can't be read
+ */
+const decodePageToken = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object') throw new Error('Not an object');
+    return payload;
+  } catch (error) {
+    throw new APIError(400, 'Invalid page token', null, ERROR_CODES.INVALID_PAGE_TOKEN);
+  }
+};
+
+// Short description of a sort order, stored in cursors so a token can't be reused with a different order
+const describeOrder = (orderBy) =>
+  orderBy.map(({ field, direction = 'asc' }) => `${field}:${direction}`).join(',');
+
+/**
+ * @function encodeCursor
+ * @description Page token pointing just after a document
+ * @param {Object} doc - Firestore DocumentSnapshot of the last document on the page
+ * @param {Object[]} orderBy - Sort order the page was fetched with
+ * @returns {string} Page token
+ */
+const encodeCursor = (doc, orderBy) => encodePageToken({
+  o: describeOrder(orderBy),
+  v: orderBy.map(({ field }) => toTokenValue(doc.get(field))),
+  id: doc.id
+});
+
+/**
+ * @function decodeCursor
+ * @description Read a cursor token made by encodeCursor
+ * @param {string} token - Page token from a client
+ * @param {Object[]} orderBy - Sort order of the query the token is used with
+ * @returns {Object} { values, id } to pass to startAfter()
+ * @throws {APIError} 400 if the token is invalid or was made for a different sort order
+ */
+const decodeCursor = (token, orderBy) => {
+  const payload = decodePageToken(token);
+
+  if (payload.o !== describeOrder(orderBy) ||
+      !Array.isArray(payload.v) ||
+      payload.v.length !== orderBy.length ||
+      typeof payload.id !== 'string') {
+    throw new APIError(400, 'Invalid page token', null, ERROR_CODES.INVALID_PAGE_TOKEN);
+  }
+
+  return { values: payload.v.map(fromTokenValue), id: payload.id };
+};
+
+/**
+ * @function encodeOffset
+ * @description Page token for results ranked in memory (e.g. by distance),
+ * where there is no stored field to put a cursor on
+ * @param {number} offset - Position of the first result on the next page
+ * @returns {string} Page token
+ */
+const encodeOffset = (offset) => encodePageToken({ offset });
+
+/**
+ * @function decodeOffset
+ * @description Read an offset token made by encodeOffset
+ * @param {string} token - Page token from a client
+ * @returns {number} Offset
+ * @throws {APIError} 400 if the token isn't an offset token
+ */
+const decodeOffset = (token) => {
+  const { offset } = decodePageToken(token);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new APIError(400, 'Invalid page token', null, ERROR_CODES.INVALID_PAGE_TOKEN);
+  }
+  return offset;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodePageToken,
+  decodePageToken,
+  encodeCursor,
+  decodeCursor,
+  encodeOffset,
+  decodeOffset
+};
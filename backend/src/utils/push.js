@@ -0,0 +1,141 @@
+/**
+ * Push Notification Transports
+ *
+ * Pushes are handed to a transport, so the delivery service can be swapped
+ * without touching the code that sends them. A transport is an object with:
+ *
+ *   send(messages) -> Promise<tickets>
+ *
+ * where each message is { to, title, body, data } and the result has one
+ * ticket per message, in the same order:
+ *
+ *   { status: 'ok' }
+ *   { status: 'error', error: 'DeviceNotRegistered', message: '...' }
+ *
+ * Tokens whose ticket has the DeviceNotRegistered error should be removed.
+ *
+ * Built in, picked with PUSH_TRANSPORT:
+ * - local (default) -> logs pushes and keeps them in memory, for development
+ * - expo            -> sends through the Expo push service; set
+ *                      EXPO_ACCESS_TOKEN if enhanced push security is on
+ *
+ * Other transports can be installed with setPushTransport.
+ */
+
+const logger = require('./logger').child({ component: 'Push' });
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// Expo accepts up to 100 messages per request
+const EXPO_CHUNK_SIZE = 100;
+
+const EXPO_TIMEOUT_MS = 10000;
+
+/** @const {number} Most pushes the local transport keeps */
+const LOCAL_OUTBOX_SIZE = 100;
+
+/**
+ * @function createLocalTransport
+ * @description Transport that only logs pushes, for development and tests
+ * @returns {Object} Transport with send() and an `outbox` of the latest pushes
+ */
+const createLocalTransport = () => {
+  const outbox = [];
+
+  return {
+    outbox,
+    async send(messages) {
+      messages.forEach(message => {
+        logger.info('Local push', { token: message.to, title: message.title, body: message.body });
+        outbox.push({ ...message, sentAt: new Date() });
+      });
+      outbox.splice(0, Math.max(0, outbox.length - LOCAL_OUTBOX_SIZE));
+
+      return messages.map(() => ({ status: 'ok' }));
+    }
+  };
+};
+
+/**
+ * @function createExpoTransport
+ * @description Transport that sends through the Expo push service
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Expo access token
+ * @returns {Object} Transport
+ */
+const createExpoTransport = ({ accessToken } = {}) => ({
+  async send(messages) {
+    const tickets = [];
+
+    for (let i = 0; i < messages.length; i += EXPO_CHUNK_SIZE) {
+      const chunk = messages.slice(i, i + EXPO_CHUNK_SIZE);
+      const response = await fetch(EXPO_PUSH_URL, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+        },
+        body: JSON.stringify(chunk.map(message => ({ ...message, sound: 'default' }))),
+        signal: AbortSignal.timeout(EXPO_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Expo push request failed with status ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      data.forEach(ticket => tickets.push(
+        ticket.status === 'ok'
+          ? { status: 'ok' }
+          : { status: 'error', error: ticket.details?.error, message: ticket.message }
+      ));
+    }
+
+    return tickets;
+  }
+});
+
+// Pick the transport configured for this environment
+const createDefaultTransport = () => (
+  process.env.PUSH_TRANSPORT === 'expo'
+    ? createExpoTransport({ accessToken: process.env.EXPO_ACCESS_TOKEN })
+    : createLocalTransport()
+);
+
+let transport = createDefaultTransport();
+
+/**
+ * @function setPushTransport
+ * @description Replace the transport pushes are sent through
+ * @param {Object} newTransport - Object with a send(messages) method
+ */
+const setPushTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * @function getPushTransport
+ * @description The transport pushes are sent through
+ * @returns {Object}
+ */
+const getPushTransport = () => transport;
+
+/**
+ * @function sendPushNotifications
+ * @description Send pushes through the current transport
+ * @param {Object[]} messages - [{ to, title, body, data }]
+ * @returns {Promise<Object[]>} One ticket per message
+ */
+const sendPushNotifications = async (messages) => {
+  if (messages.length === 0) return [];
+  return transport.send(messages);
+};
+
+module.exports = {
+  createLocalTransport,
+  createExpoTransport,
+  setPushTransport,
+  getPushTransport,
+  sendPushNotifications
+};
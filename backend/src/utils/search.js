@@ -0,0 +1,265 @@
+/**
+ * Job Search Utilities
+ *
+ * Firestore has no full-text search, so every job stores a small search
+ * index (`searchIndex`) that is rebuilt whenever the job is created or its
+ * title, description or skills change:
+ * - tokens: the stem of every word plus every prefix of every word. A search
+ *   finds candidate jobs with one `array-contains-any` query on this array
+ * - fields: the words of the title, skills and description, used to score
+ *   candidates by relevance
+ *
+ * Words are lowercased, common English words ("the", "and", ...) are dropped
+ * and the rest are stemmed with the Porter algorithm, so "developers",
+ * "developing" and "developer" all find each other. Prefix tokens let
+ * half-typed words match ("java" finds "javascript").
+ *
+ * Relevance: each search word scores the weight of every field it appears in
+ * (title 3, skills 2, description 1), half that for a prefix-only match.
+ * Every search word has to match somewhere for a job to be a result.
+ */
+
+/** @const {Object} How much a match in each field counts towards relevance */
+const FIELD_WEIGHTS = {
+  title: 3,
+  skills: 2,
+  description: 1
+};
+
+/** @const {number} A prefix-only match counts for this share of the field weight */
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+/** @const {number} Shortest prefix stored for prefix matching */
+const MIN_PREFIX_LENGTH = 2;
+
+/** @const {number} Longest word indexed (longer words are cut) */
+const MAX_WORD_LENGTH = 30;
+
+/** @const {number} Most words of a search query that are used */
+const MAX_QUERY_TERMS = 10;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this',
+  'to', 'was', 'we', 'will', 'with', 'you', 'your'
+]);
+
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+// m() > 0, m() == 1 and m() > 1 are written as regular expressions over
+// consonant (C) and vowel (V) sequences
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const C = `${consonant}[^aeiouy]*`;
+const V = `${vowel}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${C}${vowel}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP2 = new RegExp(`^(.+?)(${Object.keys(STEP2_SUFFIXES).join('|')})$`);
+const STEP3 = new RegExp(`^(.+?)(${Object.keys(STEP3_SUFFIXES).join('|')})$`);
+const STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * @function stem
+ * @description Reduce an English word to its stem ("developers" -> "develop")
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem (words with digits or symbols are returned unchanged)
+ */
+const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  // A leading y is a consonant
+  const startsWithY = word[0] === 'y';
+  let w = startsWithY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Step 2 and 3: double and single suffixes
+  if ((match = STEP2.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+  if ((match = STEP3.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = STEP4.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+};
+
+// Stems of indexed words are needed for every candidate of every search, so remember them
+const stemCache = new Map();
+const STEM_CACHE_SIZE = 10000;
+
+const cachedStem = (word) => {
+  if (!stemCache.has(word)) {
+    if (stemCache.size >= STEM_CACHE_SIZE) stemCache.clear();
+    stemCache.set(word, stem(word));
+  }
+  return stemCache.get(word);
+};
+
+/**
+ * @function tokenize
+ * @description Split text into lowercase words, without common English words
+ * Letters, digits, + and # are kept so "C++" and "C#" stay searchable.
+ * @param {string|string[]} text - Text, or a list of texts (e.g. skills)
+ * @returns {string[]} Unique words in order of first appearance
+ */
+const tokenize = (text) => {
+  const joined = Array.isArray(text) ? text.join(' ') : String(text || '');
+  const words = joined
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .map(word => word.slice(0, MAX_WORD_LENGTH))
+    .filter(word => word && !STOP_WORDS.has(word));
+  return [...new Set(words)];
+};
+
+// Every prefix of a word, from MIN_PREFIX_LENGTH up to the whole word
+const getPrefixes = (word) => {
+  const prefixes = [];
+  for (let length = MIN_PREFIX_LENGTH; length <= word.length; length += 1) {
+    prefixes.push(word.slice(0, length));
+  }
+  return prefixes.length > 0 ? prefixes : [word];
+};
+
+/**
+ * @function buildSearchIndex
+ * @description Build the search index stored on a job
+ * @param {Object} job - Job with title, description and skills
+ * @returns {Object} { tokens, fields } to store as the job's `searchIndex`
+ */
+const buildSearchIndex = (job) => {
+  const fields = {
+    title: tokenize(job.title),
+    skills: tokenize(job.skills || []),
+    description: tokenize(job.description)
+  };
+
+  const tokens = new Set();
+  Object.values(fields).flat().forEach(word => {
+    tokens.add(cachedStem(word));
+    getPrefixes(word).forEach(prefix => tokens.add(prefix));
+  });
+
+  return { tokens: [...tokens], fields };
+};
+
+/**
+ * @function parseQuery
+ * @description Turn a search query into the terms used for lookup and scoring
+ * @param {string} query - Text typed by the user
+ * @returns {Object[]} Up to MAX_QUERY_TERMS terms, each { word, stem }
+ */
+const parseQuery = (query) =>
+  tokenize(query)
+    .slice(0, MAX_QUERY_TERMS)
+    .map(word => ({ word, stem: cachedStem(word) }));
+
+/**
+ * @function getLookupTokens
+ * @description Tokens to look up in `searchIndex.tokens` for a query: each
+ * term's stem (matches any form of the word) and the term itself (matches
+ * words it is a prefix of)
+ * @param {Object[]} terms - Terms from parseQuery
+ * @returns {string[]} At most 2 * MAX_QUERY_TERMS unique tokens
+ */
+const getLookupTokens = (terms) => [
+  ...new Set(terms.flatMap(term => [term.stem, term.word]))
+];
+
+/**
+ * @function scoreRelevance
+ * @description How well a job matches a query
+ * @param {Object} searchIndex - The job's stored searchIndex
+ * @param {Object[]} terms - Terms from parseQuery
+ * @returns {number} Relevance score, 0 if any term doesn't match the job
+ */
+const scoreRelevance = (searchIndex, terms) => {
+  if (!searchIndex || !searchIndex.fields || terms.length === 0) return 0;
+
+  let total = 0;
+  for (const term of terms) {
+    let termScore = 0;
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const words = searchIndex.fields[field] || [];
+      if (words.some(word => word === term.word || cachedStem(word) === term.stem)) {
+        termScore += weight;
+      } else if (words.some(word => word.startsWith(term.word))) {
+        termScore += weight * PREFIX_MATCH_WEIGHT;
+      }
+    });
+
+    if (termScore === 0) return 0;
+    total += termScore;
+  }
+
+  return total;
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  stem,
+  tokenize,
+  buildSearchIndex,
+  parseQuery,
+  getLookupTokens,
+  scoreRelevance
+};
@@ -0,0 +1,101 @@
+/**
+ * Signed Tokens
+ *
+ * Short tokens for links sent outside the app (e.g. email verification):
+ *
+ *   base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ *
+ * The payload carries its purpose and expiry time, so a token made for one
+ * feature can't be used for another and stops working when it expires.
+ * Tokens are signed with TOKEN_SECRET. Without it (development only) a random
+ * secret is used, so tokens stop working when the server restarts.
+ *
+ * Signing doesn't make a token single-use; callers that need that keep the
+ * token's `jti` and reject it once used.
+ */
+
+const crypto = require('crypto');
+const { APIError } = require('../middleware/error');
+const { ERROR_CODES } = require('../config/errorCodes');
+const logger = require('./logger').child({ component: 'SignedToken' });
+
+let developmentSecret = null;
+
+// Secret tokens are signed with
+const getSecret = () => {
+  if (process.env.TOKEN_SECRET) return process.env.TOKEN_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_SECRET must be set in production');
+  }
+  if (!developmentSecret) {
+    logger.warn('TOKEN_SECRET is not set; using a random secret until restart');
+    developmentSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return developmentSecret;
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+/**
+ * @function createSignedToken
+ * @description Create a signed token
+ * @param {string} purpose - What the token is for, e.g. 'email_verification'
+ * @param {Object} data - Values to carry in the token
+ * @param {number} ttlSeconds - How long the token is valid for
+ * @returns {{token: string, jti: string, expiresAt: Date}} The token, its unique ID and expiry
+ */
+const createSignedToken = (purpose, data, ttlSeconds) => {
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    ...data,
+    purpose,
+    jti,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload)}`, jti, expiresAt };
+};
+
+/**
+ * @function verifySignedToken
+ * @description Check a token's signature, purpose and expiry
+ * @param {string} purpose - The purpose the token must have been created for
+ * @param {string} token - Token from createSignedToken
+ * @returns {Object} The token's payload (data plus purpose, jti and exp)
+ * @throws {APIError} 400 if the token is invalid or has expired
+ */
+const verifySignedToken = (purpose, token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new APIError(400, 'Invalid token', null, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new APIError(400, 'Invalid token', null, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new APIError(400, 'Invalid token', null, ERROR_CODES.INVALID_TOKEN);
+  }
+
+  if (data.purpose !== purpose) {
+    throw new APIError(400, 'Invalid token', null, ERROR_CODES.INVALID_TOKEN);
+  }
+  if (!data.exp || data.exp * 1000 < Date.now()) {
+    throw new APIError(400, 'This link has expired. Please request a new one.', null, ERROR_CODES.TOKEN_EXPIRED);
+  }
+
+  return data;
+};
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken
+};
@@ -0,0 +1,99 @@
+/**
+ * Skill Taxonomy
+ *
+ * Builds a skill graph from the shared skills list the app uses for
+ * autocomplete (frontend/src/data/experience/skills.json), so the backend
+ * and the onboarding/job posting screens agree on what a skill is called.
+ *
+ * The graph knows:
+ * - Canonical names ("ReactJS", "react" and "React.js" are all "React.js")
+ * - Related skills ("React.js" is related to "React Native")
+ *
+ * Skills that aren't in the list still work; they're just compared by name.
+ */
+
+const skillsData = require('../../../frontend/src/data/experience/skills.json');
+
+// Build a lookup key that ignores case, spaces and punctuation ("React.js" -> "reactjs").
+// "+" and "#" are kept so "C++" and "C#" stay different skills.
+const toKey = (skill) => String(skill || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+
+/** @const {Map<string, string>} Lookup key -> canonical skill name */
+const canonicalNames = new Map();
+
+/** @const {Map<string, Set<string>>} Canonical skill name -> related canonical names */
+const relatedSkills = new Map();
+
+skillsData.skills.forEach(skill => canonicalNames.set(toKey(skill), skill));
+Object.entries(skillsData.aliases || {}).forEach(([skill, aliases]) => {
+  canonicalNames.set(toKey(skill), skill);
+  aliases.forEach(alias => canonicalNames.set(toKey(alias), skill));
+});
+
+/**
+ * @function getCanonicalSkill
+ * @description Resolve a skill or one of its aliases to its canonical name
+ * @param {string} skill - Skill as typed by a user
+ * @returns {string} Canonical name, or the trimmed input if the skill is unknown
+ */
+const getCanonicalSkill = (skill) => canonicalNames.get(toKey(skill)) || String(skill || '').trim();
+
+(skillsData.relatedGroups || []).forEach(group => {
+  const canonicalGroup = group.map(getCanonicalSkill);
+  canonicalGroup.forEach(skill => {
+    if (!relatedSkills.has(skill)) {
+      relatedSkills.set(skill, new Set());
+    }
+    canonicalGroup
+      .filter(other => other !== skill)
+      .forEach(other => relatedSkills.get(skill).add(other));
+  });
+});
+
+/**
+ * @function isSameSkill
+ * @description Check whether two skills are the same once aliases are resolved
+ * @param {string} a - First skill
+ * @param {string} b - Second skill
+ * @returns {boolean}
+ */
+const isSameSkill = (a, b) => toKey(getCanonicalSkill(a)) === toKey(getCanonicalSkill(b));
+
+/**
+ * @function areSkillsRelated
+ * @description Check whether two different skills are in the same related group
+ * @param {string} a - First skill
+ * @param {string} b - Second skill
+ * @returns {boolean}
+ */
+const areSkillsRelated = (a, b) => {
+  const related = relatedSkills.get(getCanonicalSkill(a));
+  return !!related && related.has(getCanonicalSkill(b));
+};
+
+/**
+ * @function getRelatedSkills
+ * @description List the skills related to a skill
+ * @param {string} skill - Skill name or alias
+ * @returns {string[]} Canonical names of related skills
+ */
+const getRelatedSkills = (skill) => [...(relatedSkills.get(getCanonicalSkill(skill)) || [])];
+
+/**
+ * @function hasSkillOrRelated
+ * @description Check whether a list of skills covers a skill exactly or through a related skill
+ * @param {string} skill - Skill we're looking for
+ * @param {string[]} skills - Skills to search
+ * @returns {boolean}
+ */
+const hasSkillOrRelated = (skill, skills = []) => skills.some(other =>
+  isSameSkill(skill, other) || areSkillsRelated(skill, other)
+);
+
+module.exports = {
+  getCanonicalSkill,
+  isSameSkill,
+  areSkillsRelated,
+  getRelatedSkills,
+  hasSkillOrRelated
+};
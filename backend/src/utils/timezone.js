@@ -0,0 +1,142 @@
+/**
+ * Time Zone Utilities
+ *
+ * Interview times are stored in UTC and shown in an IANA time zone
+ * ("Asia/Kolkata", "America/New_York"). Clients can send a time either with
+ * an offset ("2025-01-15T10:00:00+05:30", "2025-01-15T04:30:00Z") or as a
+ * local wall-clock time ("2025-01-15T10:00") in a given time zone.
+ *
+ * Offsets come from Intl, so daylight saving time is handled by the
+ * runtime's time zone data.
+ */
+
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatterCache = new Map();
+
+// Intl formatters are slow to create, so keep one per time zone
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * @function isValidTimeZone
+ * @description Check that a string is an IANA time zone the runtime knows
+ * @param {string} timeZone - e.g. "Asia/Kolkata"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date parts of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(date).reduce((result, part) => ({
+    ...result,
+    [part.type]: part.value
+  }), {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+/**
+ * @function getOffsetMinutes
+ * @description Offset of a time zone from UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Minutes ahead of UTC (e.g. 330 for Asia/Kolkata)
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / 60000);
+};
+
+/**
+ * @function parseDateTime
+ * @description Turn a client-sent date-time into a Date
+ * @param {string} value - ISO 8601 time with an offset, or a local time without one
+ * @param {string} timeZone - Time zone for local times
+ * @returns {Date|null} The instant, or null if the value can't be read
+ */
+const parseDateTime = (value, timeZone) => {
+  if (typeof value !== 'string') return null;
+
+  if (OFFSET_PATTERN.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = LOCAL_TIME_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1, 6).map(Number);
+  const second = match[6] ? Number(match[6]) : 0;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Date.UTC rolls over out-of-range values (Feb 30 -> Mar 2), so check nothing rolled
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // The offset depends on the instant, so correct once more around DST changes
+  let utc = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  utc = wallClock - getOffsetMinutes(new Date(utc), timeZone) * 60000;
+
+  return new Date(utc);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * @function formatInTimeZone
+ * @description Format an instant as ISO 8601 local time with its offset
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. "2025-01-15T10:00:00+05:30"
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset >= 0 ? '+' : '-';
+  const absolute = Math.abs(offset);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getOffsetMinutes,
+  parseDateTime,
+  formatInTimeZone
+};
@@ -0,0 +1,188 @@
+/**
+ * Schema Validator
+ *
+ * A small declarative validator for request bodies and query strings.
+ * A schema is a plain object mapping field names to rules:
+ *
+ *   {
+ *     title: { type: 'string', required: true, maxLength: 100 },
+ *     salary: {
+ *       type: 'object',
+ *       required: true,
+ *       properties: { amount: { type: 'number', min: 1 } }
+ *     }
+ *   }
+ *
+ * Validating:
+ * - Coerces values to their type ("25" -> 25, "true" -> true, "a,b" -> ['a', 'b'])
+ *   so query strings and form data validate the same way as JSON
+ * - Trims strings and fills in defaults
+ * - Drops fields the schema doesn't know about
+ * - Collects every problem as { field, code, message } instead of stopping at the first
+ *   (codes are in config/errorCodes.js)
+ *
+ * Supported rules: type, required, default, enum, trim, minLength, maxLength,
+ * pattern, min, max, minItems, maxItems, items, properties and messages
+ * (custom text per rule, e.g. messages: { required: 'Job title is required' }).
+ */
+
+const { FIELD_ERROR_CODES } = require('../config/errorCodes');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'any'];
+
+// Turn a field path and rule into the text shown to the client
+const getMessage = (rule, key, field, fallback) =>
+  (rule.messages && rule.messages[key]) || `${field} ${fallback}`;
+
+// A problem with one field: { field, code, message }, coded by the rule that failed
+const fieldError = (rule, key, field, fallback, messageKey = key) => ({
+  field,
+  code: FIELD_ERROR_CODES[key],
+  message: getMessage(rule, messageKey, field, fallback)
+});
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Convert a raw value to the rule's type, or return undefined if it can't be
+const coerce = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+      if (type === 'integer' && !Number.isInteger(number)) return undefined;
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return undefined;
+    case 'array':
+      if (Array.isArray(value)) return value;
+      // Query strings send lists as "a,b,c"
+      if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+      return undefined;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return value;
+  }
+};
+
+// Validate one value against its rule, pushing problems onto errors
+const validateValue = (rule, rawValue, field, errors) => {
+  if (rule.type && !TYPES.includes(rule.type)) {
+    throw new Error(`Unknown schema type '${rule.type}' for ${field}`);
+  }
+
+  let value = rawValue;
+  if (typeof value === 'string' && rule.trim !== false) {
+    value = value.trim();
+  }
+
+  if (isMissing(value)) {
+    if (rule.default !== undefined) return rule.default;
+    if (rule.required) errors.push(fieldError(rule, 'required', field, 'is required'));
+    return undefined;
+  }
+
+  const type = rule.type || 'any';
+  value = coerce(value, type);
+  if (value === undefined) {
+    const article = /^[aeiou]/.test(type) ? 'an' : 'a';
+    errors.push(fieldError(rule, 'type', field, `must be ${article} ${type}`));
+    return undefined;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(fieldError(rule, 'enum', field, `must be one of: ${rule.enum.join(', ')}`));
+  }
+
+  if (type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push(fieldError(rule, 'minLength', field, `must be at least ${rule.minLength} characters`));
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push(fieldError(rule, 'maxLength', field, `must be at most ${rule.maxLength} characters`));
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(fieldError(rule, 'pattern', field, 'is not in a valid format'));
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(fieldError(rule, 'min', field, `must be at least ${rule.min}`));
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(fieldError(rule, 'max', field, `must be at most ${rule.max}`));
+    }
+  }
+
+  if (type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      const messageKey = rule.messages && rule.messages.minItems ? 'minItems' : 'required';
+      errors.push(fieldError(rule, 'minItems', field, `must have at least ${rule.minItems} item(s)`, messageKey));
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(fieldError(rule, 'maxItems', field, `must have at most ${rule.maxItems} items`));
+    }
+    if (rule.items) {
+      value = value.map((item, index) => validateValue(rule.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (type === 'object' && rule.properties) {
+    value = validateObject(rule.properties, value, `${field}.`, errors);
+  }
+
+  return value;
+};
+
+// Validate every field in a schema, keeping only the fields it knows about
+const validateObject = (schema, data = {}, prefix, errors) => {
+  const result = {};
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = validateValue(rule, data[key], `${prefix}${key}`, errors);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * @function validate
+ * @description Validate data against a schema
+ * @param {Object} schema - Field name -> rule
+ * @param {Object} data - Data to validate (e.g. req.body)
+ * @returns {Object} { value, errors } where value is the cleaned data and
+ * errors is a list of { field, code, message } (empty when valid)
+ */
+const validate = (schema, data) => {
+  const errors = [];
+  const value = validateObject(schema, data || {}, '', errors);
+  return { value, errors };
+};
+
+/**
+ * @function partial
+ * @description Make every top-level field optional and drop defaults, for
+ * partial updates where missing fields should be left alone
+ * @param {Object} schema - Field name -> rule
+ * @returns {Object} New schema
+ */
+const partial = (schema) => Object.entries(schema).reduce((result, [key, rule]) => {
+  const { required, default: defaultValue, ...rest } = rule;
+  return { ...result, [key]: rest };
+}, {});
+
+module.exports = {
+  validate,
+  partial
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEvent } = require('../src/utils/calendar');
+
+const event = (fields) => buildEvent({
+  uid: 'interview-1@mploy',
+  start: new Date('2025-01-15T04:30:00Z'),
+  end: new Date('2025-01-15T05:00:00Z'),
+  summary: 'Interview',
+  ...fields
+});
+
+test('calendar files have CRLF lines, UTC times and escaped text', () => {
+  const ics = event({ description: 'Bring CV; ID, and\nportfolio' });
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(ics.includes('DTSTART:20250115T043000Z\r\n'));
+  assert.ok(ics.includes('DESCRIPTION:Bring CV\\; ID\\, and\\nportfolio\r\n'));
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const ics = event({ description: 'é'.repeat(100) });
+
+  ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(!ics.includes('�'));
+});
+
+test('values with line breaks or control characters cannot add properties', () => {
+  const ics = event({
+    url: 'https://meet.example.com/x\r\nATTENDEE:mailto:evil@example.com',
+    location: 'Room 1\rATTENDEE:mailto:evil@example.com\u0000'
+  });
+
+  assert.ok(!ics.includes('URL:'));
+  assert.ok(!/\r\nATTENDEE/.test(ics));
+  assert.ok(!ics.includes('\u0000'));
+});
+
+test('safe https meeting links are written', () => {
+  assert.ok(event({ url: 'https://meet.example.com/abc?pwd=1' }).includes('URL:https://meet.example.com/abc?pwd=1\r\n'));
+  assert.ok(!event({ url: 'javascript:alert(1)' }).includes('URL:'));
+});
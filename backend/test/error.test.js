@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { APIError, notFoundHandler, errorHandler } = require('../src/middleware/error');
+const { ERROR_CODES } = require('../src/config/errorCodes');
+
+// Run the error handler and return the JSON it sent
+const handle = (err) => {
+  let statusCode;
+  let body;
+  const res = {
+    headersSent: false,
+    status(code) { statusCode = code; return this; },
+    json(data) { body = data; return this; }
+  };
+  errorHandler(err, { id: 'req-1' }, res, () => {});
+  return { statusCode, body };
+};
+
+// A Firestore (gRPC) error
+const firestoreError = (code) => Object.assign(new Error('firestore'), { code, details: '' });
+
+test('APIErrors keep their status and code, with a default code per status', () => {
+  assert.equal(new APIError(404, 'Job not found').code, 'NOT_FOUND');
+  assert.equal(new APIError(409, 'Taken', null, 'ALREADY_SWIPED').code, 'ALREADY_SWIPED');
+  assert.equal(new APIError(418, 'Odd').code, 'BAD_REQUEST');
+  assert.equal(new APIError(502, 'Upstream').code, 'INTERNAL_ERROR');
+});
+
+test('a 400 with field errors is VALIDATION_FAILED and each field gets a code', () => {
+  const error = new APIError(400, 'Validation failed', [{ field: 'title', message: 'Bad title' }]);
+
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.deepEqual(error.errors, [{ field: 'title', message: 'Bad title', code: 'invalid' }]);
+});
+
+test('responses carry status, code, message, field errors and the request id', () => {
+  const { statusCode, body } = handle(new APIError(400, 'Validation failed', [{ field: 'a', code: 'required', message: 'a is required' }]));
+
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body, {
+    status: 'fail',
+    code: 'VALIDATION_FAILED',
+    message: 'Validation failed',
+    errors: [{ field: 'a', code: 'required', message: 'a is required' }],
+    requestId: 'req-1'
+  });
+});
+
+test('upload, body parser and Firestore errors map to client errors', () => {
+  const cases = [
+    [new multer.MulterError('LIMIT_FILE_SIZE'), 413, 'FILE_TOO_LARGE'],
+    [new multer.MulterError('LIMIT_FILE_COUNT'), 400, 'TOO_MANY_FILES'],
+    [Object.assign(new Error('bad json'), { type: 'entity.parse.failed' }), 400, 'INVALID_JSON'],
+    [Object.assign(new Error('too big'), { type: 'entity.too.large' }), 413, 'PAYLOAD_TOO_LARGE'],
+    [firestoreError(5), 404, 'NOT_FOUND'],
+    [firestoreError(6), 409, 'CONFLICT'],
+    [firestoreError(10), 409, 'CONFLICT'],
+    [firestoreError(8), 429, 'RATE_LIMITED'],
+    [firestoreError(14), 503, 'SERVICE_UNAVAILABLE']
+  ];
+
+  cases.forEach(([error, statusCode, code]) => {
+    const result = handle(error);
+    assert.equal(result.statusCode, statusCode, code);
+    assert.equal(result.body.code, code);
+  });
+});
+
+test('unknown errors are a 500 that hides the real message outside development', () => {
+  const { statusCode, body } = handle(new Error('secret database detail'));
+
+  assert.equal(statusCode, 500);
+  assert.equal(body.code, 'INTERNAL_ERROR');
+  assert.equal(body.message, 'Something went wrong!');
+  assert.equal(body.stack, undefined);
+});
+
+test('unmatched routes are ROUTE_NOT_FOUND', () => {
+  let error;
+  notFoundHandler({ method: 'GET', path: '/api/nope' }, {}, (err) => { error = err; });
+
+  assert.equal(error.statusCode, 404);
+  assert.equal(error.code, 'ROUTE_NOT_FOUND');
+});
+
+test('the app has a message for every error code', () => {
+  // The app's error service is an ES module, so read its keys from the source
+  const source = fs.readFileSync(path.join(__dirname, '../../frontend/src/services/api/errors.js'), 'utf8');
+  const messages = source.slice(source.indexOf('ERROR_MESSAGES = {'), source.indexOf('};'));
+  const missing = Object.values(ERROR_CODES).filter(code => !new RegExp(`^\\s+${code}:`, 'm').test(messages));
+  assert.deepEqual(missing, []);
+});
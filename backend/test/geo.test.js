@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PRECISION,
+  calculateDistanceKm,
+  encodeGeohash,
+  getGeohashPrefixes,
+  buildGeohashes,
+  getPrecisionForRadius,
+  getSearchCells,
+  findClosestDistance
+} = require('../src/utils/geo');
+
+const mumbai = { latitude: 19.076, longitude: 72.8777 };
+const pune = { latitude: 18.5204, longitude: 73.8567 };
+
+test('distances are great-circle kilometres', () => {
+  assert.ok(Math.abs(calculateDistanceKm(mumbai, pune) - 120) < 2);
+  assert.equal(calculateDistanceKm(mumbai, mumbai), 0);
+});
+
+test('geohashes match the reference encoding', () => {
+  // Example from https://en.wikipedia.org/wiki/Geohash
+  assert.equal(encodeGeohash(42.605, -5.603, 5), 'ezs42');
+  assert.equal(encodeGeohash(mumbai.latitude, mumbai.longitude).length, MAX_PRECISION);
+});
+
+test('every prefix of a point is stored, once', () => {
+  const prefixes = getGeohashPrefixes(mumbai);
+  assert.equal(prefixes.length, MAX_PRECISION);
+  assert.ok(prefixes.every((prefix, index) => prefix.length === index + 1));
+
+  const combined = buildGeohashes([mumbai, mumbai, null]);
+  assert.deepEqual(combined, prefixes);
+});
+
+test('search cells are at least as big as the radius and cover nearby points', () => {
+  [1, 25, 120, 500].forEach(radius => {
+    const cells = getSearchCells(mumbai, radius);
+    assert.ok(cells.length >= 1 && cells.length <= 9);
+    assert.ok(getPrecisionForRadius(radius, mumbai.latitude) >= 1);
+  });
+
+  const cells = getSearchCells(mumbai, 150);
+  assert.ok(getGeohashPrefixes(pune).some(prefix => cells.includes(prefix)));
+});
+
+test('search cells wrap around the antimeridian', () => {
+  const cells = getSearchCells({ latitude: 0, longitude: 179.99 }, 50);
+  const westOfDateLine = encodeGeohash(0, -179.99, cells[0].length);
+  assert.ok(cells.includes(westOfDateLine));
+});
+
+test('closest distance ignores missing points', () => {
+  assert.equal(findClosestDistance(mumbai, [pune, null, mumbai]), 0);
+  assert.equal(findClosestDistance(mumbai, []), null);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+// Models need an app; nothing here talks to Firestore
+if (admin.apps.length === 0) admin.initializeApp({ projectId: 'demo-test' });
+const JobAnalyticsModel = require('../src/models/jobAnalytics.model');
+
+const day = (date, counts) => ({ date, impressions: 0, views: 0, likes: 0, passes: 0, matches: 0, ...counts });
+
+test('summarize adds up the days and works out funnel rates', () => {
+  const { totals, funnel } = JobAnalyticsModel.summarize([
+    day('2025-01-01', { impressions: 100, views: 30, likes: 6, passes: 14, matches: 1 }),
+    day('2025-01-02', { impressions: 100, views: 10, likes: 2, passes: 8, matches: 1 })
+  ]);
+
+  assert.deepEqual(totals, { impressions: 200, views: 40, likes: 8, passes: 22, matches: 2 });
+  assert.deepEqual(funnel, {
+    viewRate: 0.2,
+    likeRate: 0.2667,
+    matchRate: 0.25,
+    overallRate: 0.01
+  });
+});
+
+test('summarize gives null rates when the step before had nothing', () => {
+  const { funnel } = JobAnalyticsModel.summarize([day('2025-01-01')]);
+  assert.deepEqual(funnel, { viewRate: null, likeRate: null, matchRate: null, overallRate: null });
+});
+
+test('date keys are UTC days', () => {
+  assert.equal(JobAnalyticsModel.toDateKey(new Date('2025-03-09T23:30:00-05:00')), '2025-03-10');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateMatchScore,
+  scoreSkills,
+  scoreExperience,
+  scoreSalary,
+  getExperienceLevel,
+  getDegreeRank
+} = require('../src/utils/matchScoring');
+
+// The full example in docs/MATCH_SCORING_ALGORITHM.md
+const job = {
+  skills: ['React.js', 'Node.js', 'MongoDB'],
+  experienceLevel: 'mid',
+  salary: { amount: 80000, type: 'annual' },
+  location: {
+    type: 'onsite',
+    locations: [{ address: 'New York, NY', coordinates: { latitude: 40.7128, longitude: -74.006 } }]
+  },
+  education: { degree: "Bachelor's", field: 'Computer Science' }
+};
+
+const jobSeeker = {
+  // Newark, New Jersey
+  currentLocation: { latitude: 40.7357, longitude: -74.1724 },
+  searchRadius: 30,
+  profile: {
+    skills: ['React.js', 'Express.js', 'MongoDB', 'PostgreSQL'],
+    experience: 2.5,
+    preferredSalary: { amount: 85000, type: 'annual', isNegotiable: true },
+    preferredLocations: ['New York'],
+    education: [{ degree: "Master's", specialization: 'Software Engineering' }]
+  }
+};
+
+test('scores the documented example 86', () => {
+  const { score, breakdown } = calculateMatchScore(job, jobSeeker);
+
+  assert.equal(score, 86);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(breakdown).map(([factor, { points }]) => [factor, points])),
+    { skills: 23, experience: 18, salary: 20, location: 15, education: 10 }
+  );
+});
+
+test('skills count aliases as exact and taxonomy neighbours as related', () => {
+  const result = scoreSkills(['React.js', 'Node.js', 'Go'], ['ReactJS', 'Express.js']);
+
+  assert.deepEqual(result.exact, ['React.js']);
+  assert.deepEqual(result.related, ['Node.js']);
+  assert.deepEqual(result.missing, ['Go']);
+});
+
+test('skills give full points to jobs without skills and a bonus for covering all', () => {
+  assert.equal(scoreSkills([], []).points, 30);
+  assert.equal(scoreSkills(['React.js'], ['React.js']).points, 30);
+});
+
+test('experience scores levels apart and years close to the requirement', () => {
+  assert.equal(scoreExperience('mid', 4).points, 25);
+  assert.equal(scoreExperience('mid', 2.5).points, 18);
+  assert.equal(scoreExperience('executive', 0).points, 0);
+  assert.equal(scoreExperience(null, 0).points, 25);
+  assert.equal(getExperienceLevel(7), 'senior');
+});
+
+test('salary compares monthly and annual amounts', () => {
+  assert.equal(scoreSalary({ amount: 50000, type: 'monthly' }, { amount: 600000, type: 'annual' }).points, 20);
+  assert.equal(scoreSalary({ amount: 100 }, { amount: 125 }).points, 10);
+  assert.equal(scoreSalary({ amount: 100 }, { amount: 200 }).points, 0);
+});
+
+test('degrees are ranked by level', () => {
+  assert.ok(getDegreeRank('Master of Technology (M.Tech)') > getDegreeRank('Bachelor of Technology (B.Tech)'));
+  assert.equal(getDegreeRank('Something else'), 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { admin } = require('../src/config/firebase');
+const {
+  encodePageToken,
+  decodePageToken,
+  encodeCursor,
+  decodeCursor,
+  encodeOffset,
+  decodeOffset
+} = require('../src/utils/pagination');
+
+const orderBy = [{ field: 'createdAt', direction: 'desc' }];
+const createdAt = new admin.firestore.Timestamp(1736900000, 123);
+
+// Just enough of a DocumentSnapshot for encodeCursor
+const doc = { id: 'job1', get: (field) => ({ createdAt })[field] };
+
+// The APIError code a call throws
+const errorCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+test('a cursor round-trips its sort values, Timestamps included', () => {
+  const { values, id } = decodeCursor(encodeCursor(doc, orderBy), orderBy);
+
+  assert.equal(id, 'job1');
+  assert.ok(values[0].isEqual(createdAt));
+});
+
+test('a cursor is rejected for a different sort order', () => {
+  const token = encodeCursor(doc, orderBy);
+  assert.equal(errorCode(() => decodeCursor(token, [{ field: 'createdAt', direction: 'asc' }])), 'INVALID_PAGE_TOKEN');
+});
+
+test('tampered or malformed tokens are rejected', () => {
+  const tampered = [
+    'not base64 json',
+    encodePageToken('a string'),
+    encodePageToken({ o: 'createdAt:desc', v: [], id: 'job1' }),
+    encodePageToken({ o: 'createdAt:desc', v: [1], id: 42 }),
+    encodePageToken({ o: 'createdAt:desc', v: 'x', id: 'job1' })
+  ];
+
+  tampered.forEach(token => {
+    assert.equal(errorCode(() => decodeCursor(token, orderBy)), 'INVALID_PAGE_TOKEN', token);
+  });
+});
+
+test('offset tokens only accept whole non-negative offsets', () => {
+  assert.equal(decodeOffset(encodeOffset(40)), 40);
+  [encodePageToken({ offset: -1 }), encodePageToken({ offset: 1.5 }), encodePageToken({ offset: '3' })].forEach(token => {
+    assert.equal(errorCode(() => decodeOffset(token)), 'INVALID_PAGE_TOKEN');
+  });
+});
+
+test('page tokens carry any JSON payload', () => {
+  assert.deepEqual(decodePageToken(encodePageToken({ a: [1, 'b'] })), { a: [1, 'b'] });
+});
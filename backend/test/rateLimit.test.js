@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, setRateLimitStore, rateLimit } = require('../src/middleware/rateLimit');
+const { RATE_LIMITS } = require('../src/config/rateLimits');
+
+// Run a middleware with a fake request and response
+const run = async (middleware, req) => {
+  const headers = {};
+  const res = { set: (name, value) => Object.assign(headers, typeof name === 'object' ? name : { [name]: value }) };
+  let nextArg;
+  await middleware(req, res, (arg) => { nextArg = arg; });
+  return { headers, error: nextArg };
+};
+
+test('the memory store counts per key within a window', async () => {
+  const store = createMemoryStore();
+
+  assert.equal((await store.increment('a', 1000)).count, 1);
+  assert.equal((await store.increment('a', 1000)).count, 2);
+  assert.equal((await store.increment('b', 1000)).count, 1);
+
+  await store.reset('a');
+  assert.equal((await store.increment('a', 1000)).count, 1);
+});
+
+test('the memory store starts a new window once the old one ends', async () => {
+  const store = createMemoryStore();
+  await store.increment('a', -1);
+
+  const { count, resetAt } = await store.increment('a', 1000);
+  assert.equal(count, 1);
+  assert.ok(resetAt > Date.now());
+});
+
+test('requests get RateLimit headers, then a 429 with Retry-After over the limit', async () => {
+  setRateLimitStore(createMemoryStore());
+  const limiter = rateLimit('auth');
+  const { max } = RATE_LIMITS.auth;
+  const req = { ip: '203.0.113.1' };
+
+  for (let i = 1; i <= max; i += 1) {
+    const { headers, error } = await run(limiter, req);
+    assert.equal(error, undefined);
+    assert.equal(headers['RateLimit-Limit'], String(max));
+    assert.equal(headers['RateLimit-Remaining'], String(max - i));
+  }
+
+  const { headers, error } = await run(limiter, req);
+  assert.equal(error.statusCode, 429);
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(headers['RateLimit-Remaining'], '0');
+  assert.ok(Number(headers['Retry-After']) > 0);
+});
+
+test('signed-in users are counted separately from their IP', async () => {
+  const store = createMemoryStore();
+  const keys = [];
+  setRateLimitStore({ increment: (key, windowMs) => { keys.push(key); return store.increment(key, windowMs); } });
+
+  await run(rateLimit('search'), { ip: '203.0.113.1', user: { uid: 'u1' } });
+  await run(rateLimit('search'), { ip: '203.0.113.1' });
+
+  assert.deepEqual(keys, ['search:user:u1', 'search:ip:203.0.113.1']);
+});
+
+test('requests are let through when the store fails', async () => {
+  setRateLimitStore({ increment: async () => { throw new Error('store down'); } });
+
+  const { headers, error } = await run(rateLimit('api'), { ip: '203.0.113.1' });
+  assert.equal(error, undefined);
+  assert.deepEqual(headers, {});
+
+  setRateLimitStore(createMemoryStore());
+});
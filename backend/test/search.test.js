@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stem,
+  tokenize,
+  buildSearchIndex,
+  parseQuery,
+  getLookupTokens,
+  scoreRelevance
+} = require('../src/utils/search');
+
+test('stem reduces word forms to one stem', () => {
+  assert.equal(stem('developers'), 'develop');
+  assert.equal(stem('developing'), 'develop');
+  assert.equal(stem('developer'), 'develop');
+  assert.equal(stem('caresses'), 'caress');
+  assert.equal(stem('ponies'), 'poni');
+  assert.equal(stem('hopping'), 'hop');
+  assert.equal(stem('relational'), 'relat');
+});
+
+test('stem leaves short words and words with symbols alone', () => {
+  assert.equal(stem('go'), 'go');
+  assert.equal(stem('c++'), 'c++');
+  assert.equal(stem('html5'), 'html5');
+});
+
+test('tokenize lowercases, drops stop words and duplicates, and keeps + and #', () => {
+  assert.deepEqual(tokenize('The C++ and C# Developer, developer!'), ['c++', 'c#', 'developer']);
+  assert.deepEqual(tokenize(['Node.js', 'React']), ['node', 'js', 'react']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('the index holds stems and prefixes of every word', () => {
+  const { tokens, fields } = buildSearchIndex({
+    title: 'Senior Developers',
+    skills: ['JavaScript'],
+    description: 'Building apps'
+  });
+
+  assert.deepEqual(fields.title, ['senior', 'developers']);
+  ['develop', 'de', 'dev', 'developers', 'ja', 'java', 'build'].forEach(token => {
+    assert.ok(tokens.includes(token), token);
+  });
+});
+
+test('relevance weighs fields and needs every term to match', () => {
+  const index = buildSearchIndex({
+    title: 'React Developer',
+    skills: ['JavaScript'],
+    description: 'Develop web apps'
+  });
+
+  // "developing" matches the title and description by stem
+  assert.equal(scoreRelevance(index, parseQuery('developing')), 3 + 1);
+  // "java" only matches the skill as a prefix
+  assert.equal(scoreRelevance(index, parseQuery('java')), 2 * 0.5);
+  assert.equal(scoreRelevance(index, parseQuery('react python')), 0);
+});
+
+test('lookup tokens are each term and its stem', () => {
+  assert.deepEqual(getLookupTokens(parseQuery('the developers')), ['develop', 'developers']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_SECRET = 'test-secret';
+const { createSignedToken, verifySignedToken } = require('../src/utils/signedToken');
+
+// The APIError code a call throws
+const errorCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+test('a token verifies for its purpose and carries its data', () => {
+  const { token, jti, expiresAt } = createSignedToken('email_verification', { uid: 'u1' }, 60);
+  const data = verifySignedToken('email_verification', token);
+
+  assert.equal(data.uid, 'u1');
+  assert.equal(data.jti, jti);
+  assert.equal(data.exp, Math.floor(expiresAt.getTime() / 1000));
+});
+
+test('a token made for another purpose is rejected', () => {
+  const { token } = createSignedToken('email_verification', { uid: 'u1' }, 60);
+  assert.equal(errorCode(() => verifySignedToken('password_reset', token)), 'INVALID_TOKEN');
+});
+
+test('an expired token is rejected', () => {
+  const { token } = createSignedToken('email_verification', { uid: 'u1' }, -1);
+  assert.equal(errorCode(() => verifySignedToken('email_verification', token)), 'TOKEN_EXPIRED');
+});
+
+test('a tampered token is rejected', () => {
+  const { token } = createSignedToken('email_verification', { uid: 'u1' }, 60);
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ uid: 'u2', purpose: 'email_verification', exp: 9999999999 })).toString('base64url');
+
+  assert.equal(errorCode(() => verifySignedToken('email_verification', `${forged}.${signature}`)), 'INVALID_TOKEN');
+  assert.equal(errorCode(() => verifySignedToken('email_verification', `${token}x`)), 'INVALID_TOKEN');
+  assert.equal(errorCode(() => verifySignedToken('email_verification', 'not-a-token')), 'INVALID_TOKEN');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCanonicalSkill,
+  isSameSkill,
+  areSkillsRelated,
+  getRelatedSkills,
+  hasSkillOrRelated
+} = require('../src/utils/skills');
+
+test('aliases resolve to the canonical skill name', () => {
+  assert.equal(getCanonicalSkill('reactjs'), 'React.js');
+  assert.ok(isSameSkill('ReactJS', 'react.js'));
+});
+
+test('unknown skills are compared by name', () => {
+  assert.equal(getCanonicalSkill('  Cobol '), 'Cobol');
+  assert.ok(isSameSkill('cobol', 'COBOL'));
+  assert.ok(!areSkillsRelated('Cobol', 'Fortran'));
+});
+
+test('related skills come from the shared groups, both ways', () => {
+  assert.ok(areSkillsRelated('React.js', 'React Native'));
+  assert.ok(areSkillsRelated('React Native', 'React.js'));
+  assert.ok(getRelatedSkills('reactjs').includes('React Native'));
+  assert.ok(!areSkillsRelated('React.js', 'React.js'));
+});
+
+test('hasSkillOrRelated accepts exact and related skills', () => {
+  assert.ok(hasSkillOrRelated('Node.js', ['Express.js']));
+  assert.ok(hasSkillOrRelated('Node.js', ['node.js']));
+  assert.ok(!hasSkillOrRelated('Node.js', []));
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getOffsetMinutes,
+  parseDateTime,
+  formatInTimeZone
+} = require('../src/utils/timezone');
+
+test('time zones are checked against the runtime', () => {
+  assert.ok(isValidTimeZone('Asia/Kolkata'));
+  assert.ok(!isValidTimeZone('Mars/Olympus'));
+  assert.ok(!isValidTimeZone(''));
+});
+
+test('local times are read in the given time zone, across DST', () => {
+  assert.equal(parseDateTime('2025-01-15T10:00', 'Asia/Kolkata').toISOString(), '2025-01-15T04:30:00.000Z');
+  assert.equal(parseDateTime('2025-01-15T10:00', 'America/New_York').toISOString(), '2025-01-15T15:00:00.000Z');
+  assert.equal(parseDateTime('2025-07-15T10:00', 'America/New_York').toISOString(), '2025-07-15T14:00:00.000Z');
+  assert.equal(getOffsetMinutes(new Date('2025-07-15T14:00:00Z'), 'America/New_York'), -240);
+});
+
+test('times with an offset ignore the time zone', () => {
+  assert.equal(parseDateTime('2025-01-15T10:00:00+05:30', 'America/New_York').toISOString(), '2025-01-15T04:30:00.000Z');
+});
+
+test('days and times that do not exist are rejected', () => {
+  assert.equal(parseDateTime('2025-02-30T10:00', 'Asia/Kolkata'), null);
+  assert.equal(parseDateTime('2025-01-15T24:00', 'Asia/Kolkata'), null);
+  assert.equal(parseDateTime('tomorrow', 'Asia/Kolkata'), null);
+  assert.equal(parseDateTime(null, 'Asia/Kolkata'), null);
+});
+
+test('instants are formatted with their local offset', () => {
+  assert.equal(formatInTimeZone(new Date('2025-01-15T04:30:00Z'), 'Asia/Kolkata'), '2025-01-15T10:00:00+05:30');
+  assert.equal(formatInTimeZone(new Date('2025-01-15T15:00:00Z'), 'America/New_York'), '2025-01-15T10:00:00-05:00');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, partial } = require('../src/utils/validator');
+
+const schema = {
+  title: { type: 'string', required: true, maxLength: 10, messages: { required: 'Job title is required' } },
+  count: { type: 'integer', min: 1, max: 5 },
+  remote: { type: 'boolean', default: false },
+  tags: { type: 'array', maxItems: 2, items: { type: 'string', enum: ['a', 'b'] } },
+  salary: {
+    type: 'object',
+    properties: { amount: { type: 'number', required: true, min: 0 } }
+  }
+};
+
+test('coerces query string values, trims, fills defaults and drops unknown fields', () => {
+  const { value, errors } = validate(schema, { title: '  Cook ', count: '3', tags: 'a, b', extra: 'x' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { title: 'Cook', count: 3, remote: false, tags: ['a', 'b'] });
+});
+
+test('collects every problem with its field, code and message', () => {
+  const { errors } = validate(schema, {
+    count: '2.5',
+    tags: ['a', 'c', 'b'],
+    salary: { amount: -1 }
+  });
+
+  assert.deepEqual(errors, [
+    { field: 'title', code: 'required', message: 'Job title is required' },
+    { field: 'count', code: 'invalid_type', message: 'count must be an integer' },
+    { field: 'tags', code: 'too_many_items', message: 'tags must have at most 2 items' },
+    { field: 'tags[1]', code: 'invalid_value', message: 'tags[1] must be one of: a, b' },
+    { field: 'salary.amount', code: 'too_small', message: 'salary.amount must be at least 0' }
+  ]);
+});
+
+test('string rules check length and pattern', () => {
+  const { errors } = validate({ code: { type: 'string', maxLength: 3, pattern: /^[A-Z]+$/ } }, { code: 'abcd' });
+  assert.deepEqual(errors.map(error => error.code), ['too_long', 'invalid_format']);
+});
+
+test('partial makes top-level fields optional and drops their defaults', () => {
+  const { value, errors } = validate(partial(schema), {});
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {});
+});
+
+test('unknown rule types are a programming error', () => {
+  assert.throws(() => validate({ field: { type: 'date' } }, { field: 'x' }), /Unknown schema type/);
+});
@@ -20,9 +20,28 @@
  * @lastModified 2024-12-10
  */
 
-import React, { createContext, useContext, useState } from 'react';
-import { addJob, updateJob } from '../services/firebase/jobs';
+import React, { createContext, useContext, useRef, useState } from 'react';
+import * as Location from 'expo-location';
+import { updateJob } from '../services/firebase/jobs';
+import { jobsApi, createIdempotencyKey } from '../services/api/jobs';
 import { useUser } from './UserContext';
+import jobRules from '../data/validation/jobRules.json';
+
+/**
+ * @function geocodeLocations
+ * @description Look up coordinates for the addresses typed into the form,
+ * which the API needs to show the job in location searches
+ * @param {string[]} addresses - Job locations as typed
+ * @returns {Promise<Array>} [{ address, latitude, longitude }]
+ * @throws {Error} If an address can't be found
+ */
+const geocodeLocations = (addresses) => Promise.all(addresses.map(async (address) => {
+  const [result] = await Location.geocodeAsync(address);
+  if (!result) {
+    throw new Error(`We couldn't find "${address}". Try a fuller address.`);
+  }
+  return { address, latitude: result.latitude, longitude: result.longitude };
+}));
 
 /**
  * @context JobPostingContext
@@ -103,25 +122,46 @@ export const JobPostingProvider = ({ children }) => {
 
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Idempotency-Key for the current submission, kept until it succeeds or the form changes
+  const submissionKey = useRef(null);
 
   const validateJob = (jobData) => {
     const newErrors = {};
+    const { fields } = jobRules;
 
-    // Required fields validation
-    if (!jobData.title?.trim()) {
-      newErrors.title = 'Job title is required';
+    // Same rules the API checks (data/validation/jobRules.json)
+    const title = jobData.title?.trim() || '';
+    if (!title) {
+      newErrors.title = fields.title.messages.required;
+    } else if (title.length > fields.title.maxLength) {
+      newErrors.title = fields.title.messages.maxLength;
     }
-    if (!jobData.description?.trim()) {
-      newErrors.description = 'Job description is required';
+
+    const description = jobData.description?.trim() || '';
+    if (!description) {
+      newErrors.description = fields.description.messages.required;
+    } else if (description.length > fields.description.maxLength) {
+      newErrors.description = fields.description.messages.maxLength;
     }
-    if (!jobData.location?.locations?.length) {
-      newErrors.location = 'At least one location is required';
+
+    const locations = jobData.location?.locations || [];
+    if (locations.length < fields.locations.minItems) {
+      newErrors.location = fields.locations.messages.required;
+    } else if (locations.length > fields.locations.maxItems) {
+      newErrors.location = fields.locations.messages.maxItems;
     }
+
     if (!jobData.salary?.amount) {
-      newErrors.salary = 'Salary amount is required';
+      newErrors.salary = fields.salary.messages.required;
+    } else if (jobData.salary.amount < fields.salary.min) {
+      newErrors.salary = fields.salary.messages.min;
     }
-    if (!jobData.skills?.length) {
-      newErrors.skills = 'At least one skill is required';
+
+    const skills = jobData.skills || [];
+    if (skills.length < fields.skills.minItems) {
+      newErrors.skills = fields.skills.messages.required;
+    } else if (skills.length > fields.skills.maxItems) {
+      newErrors.skills = fields.skills.messages.maxItems;
     }
 
     setErrors(newErrors);
@@ -147,7 +187,23 @@ export const JobPostingProvider = ({ children }) => {
       if (jobId) {
         await updateJob(jobId, jobData);
       } else {
-        await addJob(jobData);
+        // New jobs go through the API with one key per submission, so retrying
+        // a save that timed out can't post the job twice
+        if (!submissionKey.current) {
+          submissionKey.current = createIdempotencyKey();
+        }
+        await jobsApi.createJob({
+          title: jobData.title,
+          description: jobData.description,
+          locationType: jobData.location.type,
+          locations: await geocodeLocations(jobData.location.locations),
+          employmentType: jobData.employmentType,
+          experienceLevel: jobData.experienceLevel,
+          salary: jobData.salary,
+          skills: jobData.skills,
+          status
+        }, submissionKey.current);
+        submissionKey.current = null;
       }
 
       return true;
@@ -161,6 +217,8 @@ export const JobPostingProvider = ({ children }) => {
   };
 
   const updateJobField = (field, value) => {
+    // A changed form is a new submission
+    submissionKey.current = null;
     setCurrentJob(prev => ({
       ...prev,
       [field]: value,
@@ -175,6 +233,7 @@ export const JobPostingProvider = ({ children }) => {
   };
 
   const resetJob = () => {
+    submissionKey.current = null;
     setCurrentJob({
       title: '',
       description: '',
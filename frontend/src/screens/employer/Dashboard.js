@@ -30,12 +30,50 @@
  * @lastModified 2024-12-10
  */
 
-import React from 'react';
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, RefreshControl } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import Container from '../../components/common/Container';
+import { employerApi } from '../../services/api/employer';
 import { theme } from '../../theme/theme';
 
+/**
+ * @constant {Object} ACTIVITY_ICONS
+ * @description MaterialIcons name for each kind of activity item
+ */
+const ACTIVITY_ICONS = {
+  like: 'thumb-up',
+  match: 'handshake',
+  interview: 'event',
+};
+
+/**
+ * @function describeActivity
+ * @description Turns an activity item from the stats endpoint into a sentence
+ * @param {Object} item - { type, jobTitle, status }
+ * @returns {string} e.g. "New match for Line Cook"
+ */
+const describeActivity = ({ type, jobTitle, status }) => {
+  const job = jobTitle || 'a job';
+  if (type === 'like') return `A candidate liked ${job}`;
+  if (type === 'match') return `New match for ${job}`;
+  return `Interview for ${job} ${(status || '').replace('_', ' ')}`;
+};
+
+/**
+ * @function formatTimeAgo
+ * @description Short relative time for an ISO date, e.g. "5m ago"
+ * @param {string} iso - ISO date string
+ * @returns {string} Relative time
+ */
+const formatTimeAgo = (iso) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / (24 * 60))}d ago`;
+};
+
 /**
  * @function DashboardCard
  * @description Reusable card component for displaying dashboard statistics
@@ -63,23 +101,85 @@ const DashboardCard = ({ title, value, icon, onPress }) => (
  */
 const Dashboard = ({ navigation }) => {
   /**
-   * @constant {Object} stats
-   * @description Object containing current hiring statistics
+   * @state {Object} stats
+   * @description Current hiring statistics from GET /api/employer/stats
    * @property {number} activeJobs - Number of currently active job postings
-   * @property {number} totalApplications - Total number of received applications
+   * @property {number} totalApplications - Candidates who liked one of the jobs (a right swipe is how candidates apply)
    * @property {number} shortlisted - Number of shortlisted candidates
-   * @property {number} interviews - Number of scheduled interviews
+   * @property {number} interviews - Number of upcoming confirmed interviews
+   * @property {number} matches - Number of matches
+   * @property {number} views - Total views across all job posts
    */
-  const stats = {
+  const [stats, setStats] = useState({
     activeJobs: 0,
     totalApplications: 0,
     shortlisted: 0,
     interviews: 0,
-  };
+    matches: 0,
+    views: 0,
+  });
+  const [activity, setActivity] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * @function loadStats
+   * @description Fetches the latest stats and activity from the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  const loadStats = useCallback(async () => {
+    try {
+      const data = await employerApi.getStats();
+      setStats({
+        activeJobs: data.jobs.active,
+        totalApplications: data.rightSwipes,
+        shortlisted: data.shortlisted,
+        interviews: data.interviews.upcoming,
+        matches: data.matches.total,
+        views: data.views,
+      });
+      setActivity(data.recentActivity);
+      setError(null);
+    } catch (err) {
+      console.error('[Dashboard] Failed to load stats:', err.message);
+      setError('Could not load your latest stats. Pull down to try again.');
+    }
+  }, []);
+
+  // Refresh whenever the dashboard comes back into view
+  useFocusEffect(
+    useCallback(() => {
+      loadStats();
+    }, [loadStats])
+  );
+
+  /**
+   * @function handleRefresh
+   * @description Pull-to-refresh handler
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await loadStats();
+    setRefreshing(false);
+  }, [loadStats]);
 
   return (
     <Container>
-      <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+      <ScrollView
+        style={styles.container}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary.main]}
+            tintColor={theme.colors.primary.main}
+          />
+        }
+      >
         <View style={styles.header}>
           <View style={styles.titleContainer}>
             <Text style={styles.title}>Dashboard</Text>
@@ -99,6 +199,8 @@ const Dashboard = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
         {/* Quick Stats */}
         <View style={styles.statsGrid}>
           <DashboardCard
@@ -125,13 +227,35 @@ const Dashboard = ({ navigation }) => {
             icon="event"
             onPress={() => navigation.navigate('Interviews')}
           />
+          <DashboardCard
+            title="Matches"
+            value={stats.matches}
+            icon="handshake"
+            onPress={() => navigation.navigate('Matches')}
+          />
+          <DashboardCard
+            title="Job Views"
+            value={stats.views}
+            icon="visibility"
+            onPress={() => navigation.navigate('JobPosts')}
+          />
         </View>
 
         {/* Recent Activity */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Recent Activity</Text>
-          <View style={styles.activityList}>
-            <Text style={styles.emptyText}>No recent activity</Text>
+          <View style={[styles.activityList, activity.length > 0 && styles.activityListFilled]}>
+            {activity.length === 0 ? (
+              <Text style={styles.emptyText}>No recent activity</Text>
+            ) : (
+              activity.map(item => (
+                <View key={`${item.type}-${item.id}`} style={styles.activityItem}>
+                  <MaterialIcons name={ACTIVITY_ICONS[item.type]} size={20} color={theme.colors.primary.main} />
+                  <Text style={styles.activityText} numberOfLines={2}>{describeActivity(item)}</Text>
+                  <Text style={styles.activityTime}>{formatTimeAgo(item.at)}</Text>
+                </View>
+              ))
+            )}
           </View>
         </View>
 
@@ -242,6 +366,35 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  activityListFilled: {
+    justifyContent: 'flex-start',
+    alignItems: 'stretch',
+    paddingVertical: theme.spacing.sm,
+  },
+  activityItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+  },
+  activityText: {
+    flex: 1,
+    fontFamily: theme.typography.fontFamily.primary,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.neutral.darkGrey,
+    marginLeft: theme.spacing.sm,
+  },
+  activityTime: {
+    fontFamily: theme.typography.fontFamily.primary,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.neutral.grey,
+    marginLeft: theme.spacing.sm,
+  },
+  errorText: {
+    fontFamily: theme.typography.fontFamily.primary,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.accent.error,
+    marginBottom: theme.spacing.md,
+  },
   emptyText: {
     fontFamily: theme.typography.fontFamily.primary,
     fontSize: theme.typography.fontSize.md,
@@ -43,7 +43,7 @@ import { useUser } from '../../context/UserContext';
  * @function JobStatusBadge
  * @description Component for displaying job status with appropriate color coding
  * @param {Object} props - Component props
- * @param {string} props.status - Job status ('active', 'draft', 'paused', or 'closed')
+ * @param {string} props.status - Job status ('draft', 'active', 'paused', 'expired', 'closed' or 'filled')
  * @returns {JSX.Element} Status badge UI
  */
 const JobStatusBadge = ({ status }) => {
@@ -62,6 +62,10 @@ const JobStatusBadge = ({ status }) => {
         return theme.colors.info;
       case 'closed':
         return theme.colors.accent.error;
+      case 'filled':
+        return theme.colors.primary.main;
+      case 'expired':
+        return theme.colors.neutral.darkGrey;
       default:
         return theme.colors.neutral.grey;
     }
@@ -122,6 +126,10 @@ const JobCard = ({ job }) => {
           ₹{job.salary.amount.toLocaleString()}/{job.salary.type}
         </Text>
       </View>
+
+      <Text style={styles.jobStats}>
+        {job.views || 0} views • {job.rightSwipeCount || 0} likes
+      </Text>
     </TouchableOpacity>
   );
 };
@@ -135,7 +143,9 @@ const JobPosts = () => {
   const navigation = useNavigation();
   const { user } = useUser();
   const [jobs, setJobs] = useState([]);
+  const [nextPageToken, setNextPageToken] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
@@ -152,7 +162,7 @@ const JobPosts = () => {
 
   /**
    * @function loadJobs
-   * @description Fetches all job postings for the current employer
+   * @description Fetches the first page of job postings for the current employer
    * @async
    * @throws {Error} When job data fetching fails
    * @returns {Promise<void>}
@@ -160,8 +170,9 @@ const JobPosts = () => {
   const loadJobs = async () => {
     try {
       setLoading(true);
-      const data = await jobsApi.getEmployerJobs(user.uid);
-      setJobs(data);
+      const page = await jobsApi.getEmployerJobs(user.uid);
+      setJobs(page.jobs);
+      setNextPageToken(page.nextPageToken);
     } catch (error) {
       setError(error.message);
     } finally {
@@ -169,6 +180,28 @@ const JobPosts = () => {
     }
   };
 
+  /**
+   * @function loadMoreJobs
+   * @description Fetches the next page of job postings and adds it to the list
+   * @async
+   * @throws {Error} When job data fetching fails
+   * @returns {Promise<void>}
+   */
+  const loadMoreJobs = async () => {
+    if (!nextPageToken || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const page = await jobsApi.getEmployerJobs(user.uid, undefined, nextPageToken);
+      setJobs(prev => [...prev, ...page.jobs]);
+      setNextPageToken(page.nextPageToken);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   return (
     <Container>
       <ScrollView 
@@ -226,6 +259,19 @@ const JobPosts = () => {
               {jobs.map((job) => (
                 <JobCard key={job.id} job={job} />
               ))}
+              {nextPageToken && (
+                <TouchableOpacity
+                  style={[styles.button, styles.loadMoreButton]}
+                  onPress={loadMoreJobs}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? (
+                    <ActivityIndicator color={theme.colors.neutral.white} />
+                  ) : (
+                    <Text style={styles.buttonText}>Load More</Text>
+                  )}
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </View>
@@ -334,6 +380,11 @@ const styles = StyleSheet.create({
     fontWeight: theme.typography.fontWeight.medium,
     color: theme.colors.primary.main,
   },
+  jobStats: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.neutral.grey,
+    marginTop: theme.spacing.sm,
+  },
   centerContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -362,6 +413,10 @@ const styles = StyleSheet.create({
   createFirstButton: {
     marginTop: theme.spacing.lg,
   },
+  loadMoreButton: {
+    alignSelf: 'center',
+    alignItems: 'center',
+  },
   emptyText: {
     fontSize: theme.typography.fontSize.lg,
     fontWeight: theme.typography.fontWeight.medium,
@@ -30,13 +30,26 @@
  * @lastModified 2024-12-10
  */
 
-import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, Switch, ScrollView, ActivityIndicator } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
 import Container from '../../components/common/Container';
 import { theme } from '../../theme/theme';
 import { logoutUser } from '../../services/firebase/auth';
 import { useUser } from '../../context/UserContext';
+import { notificationsApi } from '../../services/api/notifications';
+
+/**
+ * Notification events an employer can turn on or off, in display order
+ * @constant {Array<{event: string, label: string, description: string}>}
+ */
+const NOTIFICATION_OPTIONS = [
+  { event: 'job_liked', label: 'Candidate likes', description: 'A candidate liked one of your jobs' },
+  { event: 'match', label: 'New matches', description: 'You and a candidate liked each other' },
+  { event: 'message', label: 'Messages', description: 'New messages from candidates' },
+  { event: 'interview', label: 'Interviews', description: 'Interview times confirmed, moved or cancelled' },
+  { event: 'job_expiring', label: 'Expiring jobs', description: 'A job post expires in a few days' }
+];
 
 /**
  * @function Settings
@@ -47,6 +60,38 @@ import { useUser } from '../../context/UserContext';
  */
 const Settings = ({ navigation }) => {
   const { setUser } = useUser();
+  const [preferences, setPreferences] = useState(null);
+  const [preferencesError, setPreferencesError] = useState(null);
+
+  useEffect(() => {
+    notificationsApi.getPreferences()
+      .then(setPreferences)
+      .catch(() => setPreferencesError('Notification settings could not be loaded.'));
+  }, []);
+
+  /**
+   * @function handleToggle
+   * @description Turns a notification channel on or off for one event.
+   * The switch updates straight away and goes back if saving fails.
+   * @param {string} event - Notification event, e.g. 'message'
+   * @param {string} channel - 'push' or 'inApp'
+   * @param {boolean} value - New setting
+   * @returns {Promise<void>}
+   */
+  const handleToggle = async (event, channel, value) => {
+    const previous = preferences;
+    setPreferences({
+      ...preferences,
+      [event]: { ...preferences[event], [channel]: value }
+    });
+
+    try {
+      setPreferences(await notificationsApi.updatePreferences({ [event]: { [channel]: value } }));
+    } catch (error) {
+      setPreferences(previous);
+      Alert.alert('Update Failed', 'Your notification settings could not be saved. Please try again.');
+    }
+  };
 
   /**
    * @function handleLogout
@@ -84,7 +129,39 @@ const Settings = ({ navigation }) => {
           <Text style={styles.title}>Settings</Text>
         </View>
 
-        <View style={styles.content}>
+        <ScrollView style={styles.content}>
+          <Text style={styles.sectionTitle}>Notifications</Text>
+          {preferencesError && <Text style={styles.errorText}>{preferencesError}</Text>}
+          {!preferences && !preferencesError && (
+            <ActivityIndicator color={theme.colors.primary.main} style={styles.loader} />
+          )}
+          {preferences && (
+            <View style={styles.section}>
+              <View style={styles.channelHeader}>
+                <Text style={styles.channelLabel}>Push</Text>
+                <Text style={styles.channelLabel}>In-app</Text>
+              </View>
+              {NOTIFICATION_OPTIONS.map(({ event, label, description }) => (
+                <View key={event} style={styles.preferenceRow}>
+                  <View style={styles.preferenceText}>
+                    <Text style={styles.preferenceLabel}>{label}</Text>
+                    <Text style={styles.preferenceDescription}>{description}</Text>
+                  </View>
+                  <Switch
+                    value={preferences[event].push}
+                    onValueChange={(value) => handleToggle(event, 'push', value)}
+                    trackColor={{ true: theme.colors.primary.light }}
+                  />
+                  <Switch
+                    value={preferences[event].inApp}
+                    onValueChange={(value) => handleToggle(event, 'inApp', value)}
+                    trackColor={{ true: theme.colors.primary.light }}
+                  />
+                </View>
+              ))}
+            </View>
+          )}
+
           <TouchableOpacity
             style={styles.logoutButton}
             onPress={handleLogout}
@@ -92,7 +169,7 @@ const Settings = ({ navigation }) => {
             <MaterialIcons name="logout" size={24} color={theme.colors.accent.error} />
             <Text style={styles.logoutText}>Logout</Text>
           </TouchableOpacity>
-        </View>
+        </ScrollView>
       </View>
     </Container>
   );
@@ -122,6 +199,53 @@ const styles = StyleSheet.create({
     flex: 1,
     paddingTop: theme.spacing.xl,
   },
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.neutral.darkGrey,
+    marginBottom: theme.spacing.md,
+  },
+  section: {
+    marginBottom: theme.spacing.xl,
+  },
+  loader: {
+    marginBottom: theme.spacing.xl,
+  },
+  errorText: {
+    color: theme.colors.accent.error,
+    marginBottom: theme.spacing.xl,
+  },
+  channelHeader: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: theme.spacing.sm,
+  },
+  channelLabel: {
+    width: 56,
+    textAlign: 'center',
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.neutral.grey,
+  },
+  preferenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.neutral.lightGrey,
+  },
+  preferenceText: {
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  preferenceLabel: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.neutral.black,
+  },
+  preferenceDescription: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.neutral.grey,
+  },
   logoutButton: {
     flexDirection: 'row',
     alignItems: 'center',
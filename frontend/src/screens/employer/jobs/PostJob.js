@@ -49,6 +49,7 @@ import { theme } from '../../../theme/theme';
 import Container from '../../../components/common/Container';
 import OnboardingHeader from '../../../components/common/OnboardingHeader';
 import DropDownPicker from 'react-native-dropdown-picker';
+import { searchSkills, getCanonicalSkill } from '../../../services/skillTaxonomy';
 
 /**
  * @constant {string[]} employmentTypes
@@ -159,15 +160,7 @@ const PostJob = ({ jobId }) => {
     setSkillInput(text);
     
     if (text.length >= 2) {
-      const staticSuggestions = [
-        'React Native', 'JavaScript', 'Python', 'Java',
-        'Digital Marketing', 'Content Writing', 'Sales',
-        // ... more suggestions
-      ].filter(skill => 
-        skill.toLowerCase().includes(text.toLowerCase())
-      ).slice(0, 5);
-
-      setSuggestions(staticSuggestions);
+      setSuggestions(searchSkills(text, currentJob.skills));
       setShowSuggestions(true);
     } else {
       setSuggestions([]);
@@ -378,7 +371,7 @@ const PostJob = ({ jobId }) => {
                   onChangeText={handleSkillInput}
                   onSubmitEditing={() => {
                     if (skillInput.trim()) {
-                      const newSkill = skillInput.trim();
+                      const newSkill = getCanonicalSkill(skillInput);
                       if (!currentJob.skills.includes(newSkill)) {
                         updateJobField('skills', [...currentJob.skills, newSkill]);
                       }
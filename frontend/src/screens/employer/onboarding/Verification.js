@@ -27,7 +27,7 @@
  * @lastModified 2024-12-10
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
 import DocumentPicker from 'expo-document-picker';
@@ -39,6 +39,7 @@ import Button from '../../../components/common/Button';
 import { theme } from '../../../theme/theme';
 import { useEmployerOnboarding } from '../../../context/EmployerOnboardingContext';
 import { sendVerificationEmail } from '../../../services/emailService';
+import { verificationApi } from '../../../services/api/verification';
 import { VERIFICATION_CONSTANTS, ERROR_MESSAGES } from '../../../config/constants';
 
 /**
@@ -58,10 +59,26 @@ export default function Verification({ navigation }) {
     gracePeriod: VERIFICATION_CONSTANTS.GRACE_PERIOD_DAYS
   });
   const [selectedDocuments, setSelectedDocuments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+
+  // Load the grace period and any documents already uploaded
+  useEffect(() => {
+    verificationApi.getStatus()
+      .then(status => {
+        setVerificationStatus(prev => ({
+          ...prev,
+          businessEmail: status.method === 'business_email',
+          companyDocs: status.documents.length > 0,
+          gracePeriod: status.daysRemaining
+        }));
+        setSelectedDocuments(status.documents.map(doc => ({ name: doc.fileName, status: doc.status })));
+      })
+      .catch(error => console.warn('Could not load verification status:', error.message));
+  }, []);
 
   const { companyInfo, employerType, locationPreferences } = formData;
   const isDirectEmployer = employerType.type === 'direct';
-  const userEmail = "user@example.com"; // TODO: Get this from auth context
+  const userEmail = user?.email;
 
   /**
    * @function canVerifyByEmail
@@ -84,14 +101,14 @@ export default function Verification({ navigation }) {
    */
   const handleVerificationEmail = async () => {
     try {
-      const response = await sendVerificationEmail(userEmail, companyInfo.name);
+      await sendVerificationEmail(userEmail, companyInfo.name, companyInfo.website);
       setVerificationStatus(prev => ({ ...prev, emailSent: true }));
       Alert.alert(
         "Verification Email Sent",
         "Please check your business email and click the verification link to complete the process."
       );
     } catch (error) {
-      Alert.alert("Error", ERROR_MESSAGES.EMAIL_SEND_FAILED);
+      Alert.alert("Error", error.message || ERROR_MESSAGES.EMAIL_SEND_FAILED);
     }
   };
 
@@ -125,16 +142,24 @@ export default function Verification({ navigation }) {
           type: asset.mimeType,
           size: asset.size
         }));
-        
-        setSelectedDocuments(prev => [...prev, ...newDocs]);
-        
+
+        setIsUploading(true);
+        const uploaded = await verificationApi.uploadDocuments(newDocs);
+        setSelectedDocuments(prev => [
+          ...uploaded.map(doc => ({ name: doc.fileName, status: doc.status })),
+          ...prev
+        ]);
+        setVerificationStatus(prev => ({ ...prev, companyDocs: true }));
+
         Alert.alert(
           "Documents Uploaded",
           `Your documents have been uploaded and will be verified within ${VERIFICATION_CONSTANTS.DOCUMENT_VERIFICATION_TIME}.`
         );
       }
     } catch (error) {
-      Alert.alert("Error", ERROR_MESSAGES.DOCUMENT_UPLOAD_FAILED);
+      Alert.alert("Error", error.message || ERROR_MESSAGES.DOCUMENT_UPLOAD_FAILED);
+    } finally {
+      setIsUploading(false);
     }
   };
 
@@ -179,12 +204,14 @@ export default function Verification({ navigation }) {
             <View key={index} style={styles.documentItem}>
               <MaterialIcons name="description" size={24} color={theme.colors.primary.main} />
               <Text style={styles.documentName} numberOfLines={1}>{doc.name}</Text>
+              {doc.status && <Text style={styles.documentStatus}>{doc.status}</Text>}
             </View>
           ))}
         </View>
         <Button
-          title="Upload Documents"
+          title={isUploading ? 'Uploading...' : 'Upload Documents'}
           onPress={handleDocumentUpload}
+          disabled={isUploading}
           style={styles.actionButton}
         />
       </View>
@@ -302,6 +329,13 @@ const styles = StyleSheet.create({
     marginLeft: theme.spacing.sm,
     flex: 1,
   },
+  documentStatus: {
+    fontFamily: theme.typography.fontFamily.primary,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.neutral.grey,
+    marginLeft: theme.spacing.sm,
+    textTransform: 'capitalize',
+  },
   gracePeriodInfo: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -44,7 +44,7 @@ import { useOnboarding } from '../../../context/OnboardingContext';
 import ProgressBar from '../../../components/common/ProgressBar';
 import DropDownPicker from 'react-native-dropdown-picker';
 import industriesData from '../../../data/experience/industries.json';
-import skillsData from '../../../data/experience/skills.json';
+import { searchSkills } from '../../../services/skillTaxonomy';
 import Chip from '../../../components/common/Chip';
 
 // Constants for dropdown options
@@ -186,11 +186,7 @@ const Experience = ({ navigation }) => {
   const handleSkillInput = (text) => {
     setSkillInput(text);
     if (text.trim()) {
-      const filtered = skillsData.skills.filter(
-        skill => skill.toLowerCase().includes(text.toLowerCase()) && 
-        !skills.includes(skill)
-      );
-      setFilteredSkills(filtered);
+      setFilteredSkills(searchSkills(text, skills, Infinity));
       setShowSkillSuggestions(true);
     } else {
       setFilteredSkills([]);
@@ -0,0 +1,38 @@
+/**
+ * Employer API Service
+ *
+ * Fetches the numbers shown on the employer dashboard from our backend server.
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/constants';
+import { auth } from '../firebase/config';
+import { toApiError } from './errors';
+
+/**
+ * Employer API service object containing employer dashboard API operations
+ */
+export const employerApi = {
+  /**
+   * Get the current employer's dashboard stats
+   * @async
+   * @function getStats
+   * @returns {Promise<Object>} { jobs: { total, active, ... }, views, rightSwipes, shortlisted,
+   * matches: { total, pending, accepted, rejected }, interviews: { upcoming, next },
+   * recentActivity: [{ type, jobTitle, status, at }], generatedAt }
+   * @throws {Error} If the request fails
+   */
+  getStats: async () => {
+    const idToken = await auth.currentUser.getIdToken();
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/employer/stats`, {
+        headers: {
+          'Authorization': `Bearer ${idToken}`
+        }
+      });
+      return response.data.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to load dashboard');
+    }
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * API Error Mapping
+ *
+ * The backend answers errors with a stable `code` (see backend
+ * src/config/errorCodes.js) next to a free-text `message`:
+ *
+ *   { status: 'fail', code: 'VALIDATION_FAILED', message: 'Validation failed',
+ *     errors: [{ field: 'title', code: 'required', message: 'Job title is required' }],
+ *     requestId: '...' }
+ *
+ * Services turn failed requests into errors whose message is the text we
+ * show users, picked by code, so screens never parse the server's message.
+ */
+
+/**
+ * What users see for each error code
+ * @constant {Object}
+ */
+export const ERROR_MESSAGES = {
+  NETWORK_ERROR: 'Could not reach the server. Check your connection and try again.',
+  BAD_REQUEST: 'Something was wrong with that request. Please try again.',
+  UNAUTHENTICATED: 'Please sign in again.',
+  AUTH_TOKEN_MISSING: 'Please sign in again.',
+  AUTH_TOKEN_INVALID: 'Your session has expired. Please sign in again.',
+  ACCOUNT_SUSPENDED: 'Your account has been suspended. Contact support if you think this is a mistake.',
+  ACCOUNT_UNDER_REVIEW: 'Your account is under review, so you can\'t do this right now.',
+  FORBIDDEN: 'You don\'t have access to this.',
+  ROLE_NOT_ALLOWED: 'Your account type can\'t do this.',
+  NOT_FOUND: 'We couldn\'t find that. It may have been removed.',
+  CONFLICT: 'This was changed by someone else. Refresh and try again.',
+  UNPROCESSABLE: 'That can\'t be done. Please check and try again.',
+  PROFILE_EXISTS: 'You already have a profile.',
+  VERIFICATION_REQUIRED: 'Your verification grace period has ended. Verify your company to keep posting jobs.',
+  ALREADY_VERIFIED: 'Your company is already verified.',
+  INVALID_TOKEN: 'This link is no longer valid. Please use the latest email we sent.',
+  TOKEN_EXPIRED: 'This link has expired. Please request a new one.',
+  TOKEN_ALREADY_USED: 'This link has already been used.',
+  FILE_REQUIRED: 'Please choose a file to upload.',
+  FILE_TOO_LARGE: 'That file is too large.',
+  TOO_MANY_FILES: 'Too many files. Please upload fewer at once.',
+  UNSUPPORTED_FILE_TYPE: 'That file type isn\'t supported. Use PDF, JPEG or PNG.',
+  PAYLOAD_TOO_LARGE: 'That\'s too much to send at once.',
+  INVALID_STATUS_TRANSITION: 'That can\'t be done in its current state. Refresh and try again.',
+  ALREADY_SWIPED: 'You\'ve already made a decision on this one.',
+  ALREADY_REPORTED: 'You\'ve already reported this. Our team is looking into it.',
+  MATCH_CLOSED: 'This match has been closed.',
+  MESSAGE_BLOCKED: 'This message couldn\'t be sent because it breaks our community guidelines.',
+  INTERVIEW_CONFLICT: 'Some of these times clash with other interviews.',
+  SLOT_PASSED: 'That time has already passed. Please pick another.',
+  VALIDATION_FAILED: 'Some details aren\'t right. Please check the form and try again.',
+  INVALID_JSON: 'Something was wrong with that request. Please try again.',
+  INVALID_PAGE_TOKEN: 'The list changed. Please refresh.',
+  ROUTE_NOT_FOUND: 'This feature isn\'t available. Please update the app.',
+  IDEMPOTENCY_KEY_REUSED: 'This was already saved with different details. Refresh and try again.',
+  IDEMPOTENCY_KEY_IN_USE: 'Still saving. Please wait a moment.',
+  RATE_LIMITED: 'You\'re doing that too often. Please wait a moment and try again.',
+  SERVICE_UNAVAILABLE: 'The service is busy. Please try again in a moment.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again.'
+};
+
+/**
+ * Turn a failed axios request into an error to show users
+ * @param {Error} error - Error thrown by axios
+ * @param {string} fallback - Text for codes without their own message
+ * @returns {Error} Error with a user-facing `message`, plus `code`, `status`,
+ * `fieldErrors` ({ [field]: message } for validation errors) and `requestId`
+ * (quote it when reporting a problem; it finds the request in the server logs)
+ */
+export const toApiError = (error, fallback) => {
+  const data = error.response?.data || {};
+  const code = error.response ? data.code : 'NETWORK_ERROR';
+  const fieldErrors = (data.errors || []).reduce((result, fieldError) => ({
+    ...result,
+    [fieldError.field]: result[fieldError.field] || fieldError.message
+  }), {});
+
+  // Field messages come from the API's schemas and are written for users
+  const firstFieldError = Object.values(fieldErrors)[0];
+  const message = (code === 'VALIDATION_FAILED' && firstFieldError) || ERROR_MESSAGES[code] || fallback;
+
+  const apiError = new Error(message);
+  apiError.code = code || 'UNKNOWN';
+  apiError.status = error.response?.status;
+  apiError.fieldErrors = fieldErrors;
+  apiError.requestId = data.requestId || error.response?.headers?.['x-request-id'];
+  return apiError;
+};
@@ -10,44 +10,128 @@ import axios from 'axios';
 import { API_BASE_URL } from '../../config/constants';
 import { getEmployerJobs as getFirebaseEmployerJobs } from '../firebase/jobs';
 import { auth } from '../firebase/config';
+import { toApiError } from './errors';
+
+/**
+ * Make an id for one request. It is sent as X-Request-Id and shows up in the
+ * server's log lines for that request, so app errors can be matched to them.
+ * @returns {string}
+ */
+const createRequestId = () => `app-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Make a key for one job submission. It is sent as Idempotency-Key, so when a
+ * save is retried (e.g. after a timeout) the server answers with the job it
+ * already created instead of creating it again. Reuse it for every retry of
+ * the same form.
+ * @returns {string}
+ */
+export const createIdempotencyKey = () => `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+/**
+ * Headers for an authenticated API request
+ * @async
+ * @param {string} requestId - From createRequestId
+ * @returns {Promise<Object>}
+ */
+const getHeaders = async (requestId) => {
+  const idToken = await auth.currentUser.getIdToken();
+  return {
+    'Authorization': `Bearer ${idToken}`,
+    'X-Request-Id': requestId
+  };
+};
 
 /**
  * Jobs API service object containing all job-related API operations
  */
 export const jobsApi = {
   /**
-   * Get all jobs for the current employer
+   * Create a job
+   * There is no Firebase fallback: writing the job directly could post it twice
+   * @async
+   * @function createJob
+   * @param {Object} job - Fields accepted by POST /api/jobs
+   * @param {string} idempotencyKey - From createIdempotencyKey, the same for every retry of one submission
+   * @returns {Promise<Object>} The created job
+   * @throws {Error} With text for users, e.g. code VALIDATION_FAILED (see toApiError)
+   */
+  createJob: async (job, idempotencyKey) => {
+    const requestId = createRequestId();
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/jobs`, job, {
+        headers: {
+          ...(await getHeaders(requestId)),
+          'Idempotency-Key': idempotencyKey
+        }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('[JobsAPI] Request failed:', { requestId, status: error.response?.status, code: error.response?.data?.code });
+      throw toApiError(error, 'Failed to save job');
+    }
+  },
+
+  /**
+   * Get one page of jobs for the current employer, newest first
    * @async
    * @function getEmployerJobs
    * @param {string} employerId - ID of the employer
    * @param {string} [status] - Optional status filter
-   * @returns {Promise<Array>} Array of job objects
-   * @throws {Error} If fetching fails from both API and Firebase
+   * @param {string} [pageToken] - nextPageToken from the previous page
+   * @returns {Promise<{jobs: Array, nextPageToken: string|null}>} Jobs on this page and
+   * the token for the next page (null when there are no more jobs)
+   * @throws {Error} With text for users (see toApiError). Only when the server
+   * can't be reached are the jobs read from Firebase instead
    */
-  getEmployerJobs: async (employerId, status) => {
-    console.log('[JobsAPI] Starting getEmployerJobs:', employerId);
+  getEmployerJobs: async (employerId, status, pageToken) => {
+    const requestId = createRequestId();
     try {
-      // Get the current user's ID token
-      const idToken = await auth.currentUser.getIdToken();
-      console.log('[JobsAPI] Got Firebase token:', { tokenLength: idToken.length });
-      
       // Using proper API endpoint with employerId and auth token
       const response = await axios.get(`${API_BASE_URL}/api/jobs/employer/${employerId}`, {
-        params: { status },
-        headers: {
-          'Authorization': `Bearer ${idToken}`
-        }
+        params: { status, pageToken },
+        headers: await getHeaders(requestId)
       });
-      console.log('[JobsAPI] Success response:', { status: response.status, jobsCount: response.data?.data?.length });
-      return response.data.data; // API returns { status: 'success', data: [...jobs] }
+      // API returns { status: 'success', data: [...jobs], nextPageToken }
+      return {
+        jobs: response.data.data,
+        nextPageToken: response.data.nextPageToken || null
+      };
     } catch (error) {
-      console.error('[JobsAPI] Request failed:', { 
-        status: error.response?.status,
-        message: error.message,
-        data: error.response?.data
-      });
+      console.error('[JobsAPI] Request failed:', { requestId, status: error.response?.status, code: error.response?.data?.code });
+      const apiError = toApiError(error, 'Failed to load jobs');
+      if (apiError.code !== 'NETWORK_ERROR') {
+        throw apiError;
+      }
+
       console.warn('API fallback to Firebase:', error.message);
-      return getFirebaseEmployerJobs(employerId, status);
+      // Firebase returns every job at once, so there is never a next page
+      const jobs = await getFirebaseEmployerJobs(employerId, status);
+      return { jobs, nextPageToken: null };
+    }
+  },
+
+  /**
+   * Get a job's analytics for a date range
+   * @async
+   * @function getJobAnalytics
+   * @param {string} jobId - ID of the job
+   * @param {Object} [range] - { from, to } UTC days as YYYY-MM-DD (default: the last 30 days)
+   * @returns {Promise<Object>} { totals, funnel: { viewRate, likeRate, matchRate, overallRate },
+   * series: [{ date, impressions, views, likes, passes, matches }] }
+   * @throws {Error} If the request fails
+   */
+  getJobAnalytics: async (jobId, range = {}) => {
+    const requestId = createRequestId();
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/jobs/${jobId}/analytics`, {
+        params: { from: range.from, to: range.to },
+        headers: await getHeaders(requestId)
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('[JobsAPI] Request failed:', { requestId, status: error.response?.status, code: error.response?.data?.code });
+      throw toApiError(error, 'Failed to load job analytics');
     }
   }
 };
@@ -0,0 +1,79 @@
+/**
+ * Notifications API Service
+ *
+ * Reads and updates the current user's notification preferences and registers
+ * the device for push notifications through our backend server.
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/constants';
+import { auth } from '../firebase/config';
+
+/**
+ * Build request headers with the current user's ID token
+ * @async
+ * @returns {Promise<Object>} Axios request config
+ */
+const getAuthConfig = async () => {
+  const idToken = await auth.currentUser.getIdToken();
+  return {
+    headers: {
+      'Authorization': `Bearer ${idToken}`
+    }
+  };
+};
+
+/**
+ * Notifications API service object containing all notification-related API operations
+ */
+export const notificationsApi = {
+  /**
+   * Get the current user's notification preferences
+   * @async
+   * @function getPreferences
+   * @returns {Promise<Object>} { [event]: { inApp: boolean, push: boolean } }
+   * @throws {Error} If the request fails
+   */
+  getPreferences: async () => {
+    const response = await axios.get(`${API_BASE_URL}/api/notifications/preferences`, await getAuthConfig());
+    return response.data.data;
+  },
+
+  /**
+   * Update some of the current user's notification preferences
+   * @async
+   * @function updatePreferences
+   * @param {Object} changes - e.g. { message: { push: false } }
+   * @returns {Promise<Object>} The full, updated preferences
+   * @throws {Error} If the request fails
+   */
+  updatePreferences: async (changes) => {
+    const response = await axios.put(`${API_BASE_URL}/api/notifications/preferences`, changes, await getAuthConfig());
+    return response.data.data;
+  },
+
+  /**
+   * Register this device's Expo push token for the current user
+   * @async
+   * @function registerPushToken
+   * @param {string} token - Expo push token
+   * @param {string} platform - 'ios', 'android' or 'web'
+   * @returns {Promise<void>}
+   * @throws {Error} If the request fails
+   */
+  registerPushToken: async (token, platform) => {
+    await axios.post(`${API_BASE_URL}/api/notifications/push-tokens`, { token, platform }, await getAuthConfig());
+  },
+
+  /**
+   * Stop sending pushes to this device (call on sign-out)
+   * @async
+   * @function removePushToken
+   * @param {string} token - Expo push token
+   * @returns {Promise<void>}
+   * @throws {Error} If the request fails
+   */
+  removePushToken: async (token) => {
+    await axios.delete(`${API_BASE_URL}/api/notifications/push-tokens/${encodeURIComponent(token)}`, await getAuthConfig());
+  }
+};
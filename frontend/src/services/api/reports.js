@@ -0,0 +1,70 @@
+/**
+ * Reports API Service
+ *
+ * Sends abuse reports about jobs and accounts to our backend server.
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/constants';
+import { auth } from '../firebase/config';
+import { toApiError } from './errors';
+
+/**
+ * Reasons the server accepts, per kind of report
+ * @constant {Object}
+ */
+export const REPORT_REASONS = {
+  job: ['fake_job', 'scam', 'exploitative', 'discriminatory', 'inappropriate', 'other'],
+  user: ['fake_profile', 'harassment', 'scam', 'spam', 'inappropriate', 'other']
+};
+
+/**
+ * Send a report
+ * @async
+ * @param {Object} report - { targetType, targetId, reason, evidence }
+ * @returns {Promise<Object>} The report, with `hidden: true` if it got the target hidden
+ * @throws {Error} With text for users, e.g. code ALREADY_REPORTED (see toApiError)
+ */
+const sendReport = async (report) => {
+  const idToken = await auth.currentUser.getIdToken();
+
+  try {
+    const response = await axios.post(`${API_BASE_URL}/api/reports`, report, {
+      headers: {
+        'Authorization': `Bearer ${idToken}`
+      }
+    });
+    return response.data.data;
+  } catch (error) {
+    throw toApiError(error, 'Failed to send report');
+  }
+};
+
+/**
+ * Reports API service object containing all report-related API operations
+ */
+export const reportsApi = {
+  /**
+   * Report a fake, scam or exploitative job
+   * @async
+   * @function reportJob
+   * @param {string} jobId - ID of the job
+   * @param {string} reason - One of REPORT_REASONS.job
+   * @param {string} [evidence] - What happened, up to 2000 characters
+   * @returns {Promise<Object>} The report
+   */
+  reportJob: (jobId, reason, evidence) =>
+    sendReport({ targetType: 'job', targetId: jobId, reason, evidence }),
+
+  /**
+   * Report another account, e.g. a candidate or an employer
+   * @async
+   * @function reportUser
+   * @param {string} userId - ID of the user
+   * @param {string} reason - One of REPORT_REASONS.user
+   * @param {string} [evidence] - What happened, up to 2000 characters
+   * @returns {Promise<Object>} The report
+   */
+  reportUser: (userId, reason, evidence) =>
+    sendReport({ targetType: 'user', targetId: userId, reason, evidence })
+};
@@ -0,0 +1,69 @@
+/**
+ * Verification API Service
+ *
+ * Uploads business verification documents and reads the employer's
+ * verification status from our backend server.
+ */
+
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/constants';
+import { auth } from '../firebase/config';
+import { toApiError } from './errors';
+
+/**
+ * Verification API service object containing all verification-related API operations
+ */
+export const verificationApi = {
+  /**
+   * Get the current employer's verification status
+   * @async
+   * @function getStatus
+   * @returns {Promise<Object>} { status, method, gracePeriodDays, gracePeriodEndsAt,
+   * daysRemaining, isRestricted, documents }
+   * @throws {Error} If the request fails
+   */
+  getStatus: async () => {
+    const idToken = await auth.currentUser.getIdToken();
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/verification/status`, {
+        headers: {
+          'Authorization': `Bearer ${idToken}`
+        }
+      });
+      return response.data.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to load verification status');
+    }
+  },
+
+  /**
+   * Upload documents for review
+   * @async
+   * @function uploadDocuments
+   * @param {Array<{uri: string, name: string, type: string}>} documents - Picked files
+   * @param {string} [documentType='other'] - business_registration, tax_document,
+   * professional_license or other
+   * @returns {Promise<Array>} The saved documents, each with status 'pending'
+   * @throws {Error} With text for users if the upload is refused (see toApiError)
+   */
+  uploadDocuments: async (documents, documentType = 'other') => {
+    const idToken = await auth.currentUser.getIdToken();
+    const formData = new FormData();
+    documents.forEach(doc => {
+      formData.append('documents', { uri: doc.uri, name: doc.name, type: doc.type });
+    });
+    formData.append('documentType', documentType);
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/verification/documents`, formData, {
+        headers: {
+          'Authorization': `Bearer ${idToken}`,
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to upload documents');
+    }
+  }
+};
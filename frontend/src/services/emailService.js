@@ -17,6 +17,8 @@
 
 import axios from 'axios';
 import { API_BASE_URL } from '../config/constants';
+import { auth } from './firebase/config';
+import { toApiError } from './api/errors';
 
 /**
  * Axios instance configured for email service operations
@@ -32,11 +34,15 @@ const api = axios.create({
 
 /**
  * Request interceptor for adding authentication tokens
- * @description Currently prepared for future auth implementation
+ * @description Sends the signed-in user's Firebase ID token. Verifying a token
+ * from an email link works without one.
  */
 api.interceptors.request.use(
-  (config) => {
-    // You can add auth token here when authentication is implemented
+  async (config) => {
+    if (auth.currentUser) {
+      const idToken = await auth.currentUser.getIdToken();
+      config.headers.Authorization = `Bearer ${idToken}`;
+    }
     return config;
   },
   (error) => {
@@ -50,6 +56,8 @@ api.interceptors.request.use(
  * @function sendVerificationEmail
  * @param {string} email - The business email address to verify
  * @param {string} companyName - Name of the company for email personalization
+ * @param {string} [website] - Company website the email domain must match, if it
+ * isn't saved on the profile yet
  * @returns {Promise<Object>} Object containing success status and message
  * @throws {Error} If email sending fails
  * 
@@ -61,11 +69,12 @@ api.interceptors.request.use(
  *   console.error(error.message);
  * }
  */
-export const sendVerificationEmail = async (email, companyName) => {
+export const sendVerificationEmail = async (email, companyName, website) => {
   try {
     const response = await api.post('/api/auth/send-verification', {
       email,
       companyName,
+      website,
       type: 'business_verification'
     });
     
@@ -74,9 +83,9 @@ export const sendVerificationEmail = async (email, companyName) => {
       message: response.data.message
     };
   } catch (error) {
-    const errorMessage = error.response?.data?.message || 'Failed to send verification email';
-    console.error('Error sending verification email:', errorMessage);
-    throw new Error(errorMessage);
+    const apiError = toApiError(error, 'Failed to send verification email');
+    console.error('Error sending verification email:', apiError.code, apiError.requestId);
+    throw apiError;
   }
 };
 
@@ -107,8 +116,8 @@ export const verifyEmailToken = async (token) => {
       message: response.data.message
     };
   } catch (error) {
-    const errorMessage = error.response?.data?.message || 'Failed to verify email';
-    console.error('Error verifying email:', errorMessage);
-    throw new Error(errorMessage);
+    const apiError = toApiError(error, 'Failed to verify email');
+    console.error('Error verifying email:', apiError.code, apiError.requestId);
+    throw apiError;
   }
 };
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Skill Taxonomy Service
+ *
+ * Turns the skills list in data/experience/skills.json into a small skill
+ * graph for autocomplete. The backend builds the same graph from the same
+ * file, so skills picked here are named the way matching expects.
+ *
+ * Key Features:
+ * - Alias search ("reactjs" suggests "React.js", "k8s" suggests "Kubernetes")
+ * - Canonical skill names for free-typed skills
+ * - Related skill suggestions
+ *
+ * @package services
+ * @lastModified 2024-12-10
+ */
+
+import skillsData from '../data/experience/skills.json';
+
+/**
+ * Builds a lookup key that ignores case, spaces and punctuation
+ * @param {string} skill - Skill name or alias
+ * @returns {string} Lookup key, e.g. "React.js" -> "reactjs"
+ */
+const toKey = (skill) => String(skill || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+
+/**
+ * Searchable entries, one per canonical skill with all of its lookup keys
+ * @constant {Array<{name: string, keys: string[]}>}
+ */
+const SKILL_ENTRIES = skillsData.skills.map(name => ({
+  name,
+  keys: [name, ...((skillsData.aliases || {})[name] || [])].map(toKey),
+}));
+
+/**
+ * Resolves a skill or one of its aliases to its canonical name
+ * @function getCanonicalSkill
+ * @param {string} skill - Skill as typed by the user
+ * @returns {string} Canonical name, or the trimmed input if the skill is unknown
+ *
+ * @example
+ * getCanonicalSkill('reactjs'); // 'React.js'
+ */
+export const getCanonicalSkill = (skill) => {
+  const key = toKey(skill);
+  const entry = SKILL_ENTRIES.find(({ keys }) => keys.includes(key));
+  return entry ? entry.name : String(skill || '').trim();
+};
+
+/**
+ * Lists skills related to a skill
+ * @function getRelatedSkills
+ * @param {string} skill - Skill name or alias
+ * @returns {string[]} Canonical names of related skills
+ */
+export const getRelatedSkills = (skill) => {
+  const name = getCanonicalSkill(skill);
+  const related = new Set();
+  (skillsData.relatedGroups || [])
+    .filter(group => group.includes(name))
+    .forEach(group => group.forEach(other => other !== name && related.add(other)));
+  return [...related];
+};
+
+/**
+ * Finds autocomplete suggestions for typed text
+ * Matches on canonical names and aliases; skills whose name or alias starts
+ * with the text are listed before skills that only contain it.
+ * @function searchSkills
+ * @param {string} text - Text typed by the user
+ * @param {string[]} [exclude=[]] - Skills already selected
+ * @param {number} [limit=5] - Maximum number of suggestions
+ * @returns {string[]} Canonical skill names
+ *
+ * @example
+ * searchSkills('node', ['JavaScript']); // ['Node.js']
+ */
+export const searchSkills = (text, exclude = [], limit = 5) => {
+  const key = toKey(text);
+  if (!key) return [];
+
+  const excluded = new Set(exclude.map(getCanonicalSkill));
+  const available = SKILL_ENTRIES.filter(({ name }) => !excluded.has(name));
+
+  const startsWith = available.filter(({ keys }) => keys.some(k => k.startsWith(key)));
+  const contains = available.filter(entry =>
+    !startsWith.includes(entry) && entry.keys.some(k => k.includes(key))
+  );
+
+  return [...startsWith, ...contains].slice(0, limit).map(({ name }) => name);
+};
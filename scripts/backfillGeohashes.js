@@ -0,0 +1,61 @@
+const admin = require('firebase-admin');
+const serviceAccount = require('../backend/src/config/mploy-b2395-firebase-adminsdk-rzsvw-fab609539f.json');
+const { buildGeohashes } = require('../backend/src/utils/geo');
+
+// Initialize Firebase Admin
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Adds the geohash arrays used by radius searches to jobs and users written before they existed
+async function backfillGeohashes() {
+  const updates = [];
+
+  // 1. Jobs: every location of a job is searchable
+  const jobsSnapshot = await db.collection('jobs').get();
+  jobsSnapshot.forEach(jobDoc => {
+    const locations = jobDoc.data().location?.locations || [];
+    updates.push({
+      ref: jobDoc.ref,
+      data: { 'location.geohashes': buildGeohashes(locations.map(loc => loc.coordinates)) }
+    });
+  });
+
+  // 2. Users: job seekers by current location, employers by headquarters
+  const usersSnapshot = await db.collection('users').get();
+  usersSnapshot.forEach(userDoc => {
+    const userData = userDoc.data();
+    if (userData.jobSeeker?.currentLocation) {
+      updates.push({
+        ref: userDoc.ref,
+        data: { 'jobSeeker.geohashes': buildGeohashes([userData.jobSeeker.currentLocation]) }
+      });
+    } else if (userData.employer?.profile?.headquarters) {
+      updates.push({
+        ref: userDoc.ref,
+        data: { 'employer.profile.geohashes': buildGeohashes([userData.employer.profile.headquarters]) }
+      });
+    }
+  });
+
+  for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(start, start + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+
+  console.log(`Backfilled geohashes on ${updates.length} documents`);
+}
+
+// Run backfill
+backfillGeohashes()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Geohash backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+const admin = require('firebase-admin');
+const serviceAccount = require('../backend/src/config/mploy-b2395-firebase-adminsdk-rzsvw-fab609539f.json');
+const { buildSearchIndex } = require('../backend/src/utils/search');
+
+// Initialize Firebase Admin
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const db = admin.firestore();
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Builds the keyword search index for jobs written before it existed,
+// or written straight to Firestore by the app instead of through the API
+async function backfillSearchIndex() {
+  const jobsSnapshot = await db.collection('jobs').get();
+  const jobDocs = jobsSnapshot.docs;
+
+  for (let start = 0; start < jobDocs.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    jobDocs.slice(start, start + BATCH_SIZE).forEach(jobDoc => {
+      batch.update(jobDoc.ref, { searchIndex: buildSearchIndex(jobDoc.data()) });
+    });
+    await batch.commit();
+  }
+
+  console.log(`Built search index for ${jobDocs.length} jobs`);
+}
+
+// Run backfill
+backfillSearchIndex()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Search index backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+const admin = require('firebase-admin');
+const serviceAccount = require('../backend/src/config/mploy-b2395-firebase-adminsdk-rzsvw-fab609539f.json');
+
+// Initialize Firebase Admin
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+// Grants the admin role to an existing account
+// Usage: node scripts/setAdminRole.js <email>
+async function setAdminRole(email) {
+  if (!email) {
+    throw new Error('Usage: node scripts/setAdminRole.js <email>');
+  }
+
+  const user = await admin.auth().getUserByEmail(email);
+  await admin.auth().setCustomUserClaims(user.uid, { role: 'admin' });
+  await admin.firestore().collection('users').doc(user.uid).set({
+    role: 'admin',
+    updatedAt: admin.firestore.Timestamp.now()
+  }, { merge: true });
+
+  console.log(`${email} is now an admin. They need to sign in again to pick up the new role.`);
+}
+
+setAdminRole(process.argv[2])
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Failed to set admin role:', error);
+    process.exit(1);
+  });